@@ -12,8 +12,20 @@ const { corsConfig } = require('./src/config/cors');
 const socketService = require('./src/socket');
 const rateLimiter = require('./src/middleware/security/rateLimiter');
 
+// TRUST_PROXY takes what Express's "trust proxy" setting does: "true", a
+// hop count, or comma-separated addresses/subnets (e.g. "loopback, 10.0.0.0/8")
+const parseTrustProxy = (value) => {
+  if (!value || value === 'false') return false;
+  if (value === 'true') return true;
+  return /^\d+$/.test(value) ? Number(value) : value;
+};
+
 const app = express();
 
+// Behind a reverse proxy, req.ip (and the rate limits keyed on it) is the
+// client address from X-Forwarded-For only when the proxy is trusted
+app.set('trust proxy', parseTrustProxy(process.env.TRUST_PROXY));
+
 // Security middleware
 app.use(helmet());
 app.use(compression());
@@ -38,6 +50,6 @@ app.use(errorHandler);
 
 // Socket.IO setup
 const server = require('http').createServer(app);
-socketService.init(server);
+socketService.init(server, { trustProxy: app.get('trust proxy fn') });
 
 module.exports = server;
\ No newline at end of file
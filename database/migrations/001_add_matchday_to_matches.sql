@@ -0,0 +1,3 @@
+-- Matchday (round-robin round) a group match belongs to
+ALTER TABLE matches
+  ADD COLUMN matchday INT NULL AFTER grup;
@@ -0,0 +1,27 @@
+-- Venues and courts (pitches) of an event; every match is played on a court
+CREATE TABLE venues (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  id_event INT NOT NULL,
+  nama_venue VARCHAR(150) NOT NULL,
+  alamat VARCHAR(255) NULL,
+  created_by INT NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  FOREIGN KEY (id_event) REFERENCES events(id) ON DELETE CASCADE
+);
+
+CREATE TABLE venue_courts (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  id_venue INT NOT NULL,
+  nama_court VARCHAR(100) NOT NULL,
+  is_active TINYINT(1) NOT NULL DEFAULT 1,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  FOREIGN KEY (id_venue) REFERENCES venues(id) ON DELETE CASCADE
+);
+
+ALTER TABLE matches
+  ADD COLUMN id_court INT NULL AFTER grup,
+  ADD FOREIGN KEY (id_court) REFERENCES venue_courts(id) ON DELETE SET NULL;
+
+-- Break between halves plus changeover, added to the playing time of a match
+ALTER TABLE event_categories
+  ADD COLUMN buffer_menit INT NOT NULL DEFAULT 15;
@@ -0,0 +1,8 @@
+-- Ordered tiebreaker chain per category, e.g.
+-- ["head_to_head_points", "head_to_head_goal_difference", "fair_play", "drawing_lots"]
+ALTER TABLE event_categories
+  ADD COLUMN tiebreakers JSON NULL;
+
+-- Result of drawing lots between tied teams (1 = ranked first)
+ALTER TABLE klasemen
+  ADD COLUMN undian INT NULL;
@@ -0,0 +1,4 @@
+-- Card totals per player and category, kept alongside jumlah_gol
+ALTER TABLE pemain_event
+  ADD COLUMN jumlah_kuning INT NOT NULL DEFAULT 0 AFTER jumlah_gol,
+  ADD COLUMN jumlah_merah INT NOT NULL DEFAULT 0 AFTER jumlah_kuning;
@@ -0,0 +1,17 @@
+-- Audit trail of corrected and voided match events
+CREATE TABLE match_event_audit (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  id_match_event INT NOT NULL,
+  id_match INT NOT NULL,
+  aksi ENUM('update', 'delete') NOT NULL,
+  data_lama JSON NOT NULL,
+  data_baru JSON NULL,
+  alasan VARCHAR(255) NULL,
+  created_by INT NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  INDEX idx_match_event_audit_match (id_match)
+);
+
+ALTER TABLE match_events
+  ADD COLUMN updated_at TIMESTAMP NULL,
+  ADD COLUMN updated_by INT NULL;
@@ -0,0 +1,15 @@
+-- Assists, substitutions, penalties, second yellows and futsal team fouls
+ALTER TABLE match_events
+  MODIFY COLUMN id_pemain INT NULL,
+  ADD COLUMN id_pemain_keluar INT NULL AFTER id_pemain,
+  ADD COLUMN id_event_terkait INT NULL AFTER id_pemain_keluar,
+  ADD COLUMN babak TINYINT NULL AFTER menit,
+  ADD INDEX idx_match_events_terkait (id_event_terkait);
+
+ALTER TABLE pemain_event
+  ADD COLUMN jumlah_assist INT NOT NULL DEFAULT 0 AFTER jumlah_gol;
+
+-- NULL means no timeout limit
+ALTER TABLE event_categories
+  ADD COLUMN maks_timeout_per_babak INT NULL,
+  ADD COLUMN batas_akumulasi_pelanggaran INT NOT NULL DEFAULT 5;
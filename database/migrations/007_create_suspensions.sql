@@ -0,0 +1,31 @@
+-- Per-category discipline rules, e.g. {"batas_kuning": 3, "larangan_merah": 1}
+ALTER TABLE event_categories
+  ADD COLUMN aturan_disiplin JSON NULL;
+
+-- Match bans of a registered player
+CREATE TABLE suspensions (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  id_pemain_event INT NOT NULL,
+  id_kategori INT NOT NULL,
+  id_match_sumber INT NULL,
+  id_match_event INT NULL,
+  alasan ENUM('akumulasi_kuning', 'kuning_kedua', 'merah', 'manual') NOT NULL,
+  jumlah_laga INT NOT NULL DEFAULT 1,
+  catatan VARCHAR(255) NULL,
+  created_by INT NULL,
+  updated_by INT NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP NULL,
+  UNIQUE KEY uq_suspensions_event (id_match_event),
+  INDEX idx_suspensions_pemain (id_pemain_event),
+  INDEX idx_suspensions_kategori (id_kategori)
+);
+
+-- Matches in which a ban was served
+CREATE TABLE suspension_matches (
+  id_suspension INT NOT NULL,
+  id_match INT NOT NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  PRIMARY KEY (id_suspension, id_match),
+  FOREIGN KEY (id_suspension) REFERENCES suspensions(id) ON DELETE CASCADE
+);
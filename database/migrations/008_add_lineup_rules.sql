@@ -0,0 +1,17 @@
+-- Lineup limits per category, NULL means no limit
+ALTER TABLE event_categories
+  ADD COLUMN min_pemain_inti INT NULL,
+  ADD COLUMN maks_pemain_inti INT NULL,
+  ADD COLUMN min_cadangan INT NULL,
+  ADD COLUMN maks_cadangan INT NULL,
+  ADD COLUMN maks_staff_lineup INT NULL,
+  ADD COLUMN kunci_lineup_menit INT NOT NULL DEFAULT 60;
+
+-- Who published each team's lineup and when
+CREATE TABLE match_lineup_submissions (
+  id_match INT NOT NULL,
+  id_team INT NOT NULL,
+  submitted_by INT NULL,
+  submitted_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  PRIMARY KEY (id_match, id_team)
+);
@@ -0,0 +1,13 @@
+-- Server-side match clock, one row per started match
+CREATE TABLE match_clock (
+  id_match INT PRIMARY KEY,
+  babak TINYINT NOT NULL DEFAULT 1,
+  fase ENUM('berjalan', 'jeda', 'istirahat', 'selesai') NOT NULL DEFAULT 'berjalan',
+  -- Seconds played in the current half before the running segment
+  detik_berjalan INT NOT NULL DEFAULT 0,
+  mulai_segmen DATETIME(3) NULL,
+  tambahan_menit INT NOT NULL DEFAULT 0,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP NULL,
+  FOREIGN KEY (id_match) REFERENCES matches(id) ON DELETE CASCADE
+);
@@ -0,0 +1,24 @@
+-- Extra-time periods for level knockout matches, 0 goes straight to penalties
+ALTER TABLE event_categories
+  ADD COLUMN babak_tambahan INT NOT NULL DEFAULT 0,
+  ADD COLUMN durasi_babak_tambahan INT NULL,
+  ADD COLUMN jumlah_penendang_penalti INT NOT NULL DEFAULT 5;
+
+-- Shootout score kept alongside skor_1/skor_2 for lists and brackets
+ALTER TABLE matches
+  ADD COLUMN skor_penalti_1 INT NULL AFTER skor_2,
+  ADD COLUMN skor_penalti_2 INT NULL AFTER skor_penalti_1;
+
+-- Penalty shootout kicks in order
+CREATE TABLE match_penalties (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  id_match INT NOT NULL,
+  urutan INT NOT NULL,
+  id_team INT NOT NULL,
+  id_pemain_event INT NOT NULL,
+  hasil ENUM('gol', 'gagal') NOT NULL,
+  created_by INT NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE KEY uq_match_penalties_urutan (id_match, urutan),
+  FOREIGN KEY (id_match) REFERENCES matches(id) ON DELETE CASCADE
+);
@@ -0,0 +1,3 @@
+-- Region of a team, used to keep teams apart in the group draw
+ALTER TABLE teams
+  ADD COLUMN wilayah VARCHAR(100) NULL;
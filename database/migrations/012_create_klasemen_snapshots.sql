@@ -0,0 +1,12 @@
+-- Ranked group tables as they stood after each matchday
+CREATE TABLE klasemen_snapshots (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  id_kategori INT NOT NULL,
+  matchday INT NOT NULL,
+  -- Match whose result last produced this snapshot
+  id_match INT NULL,
+  data JSON NOT NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP NULL,
+  UNIQUE KEY uq_klasemen_snapshots_matchday (id_kategori, matchday)
+);
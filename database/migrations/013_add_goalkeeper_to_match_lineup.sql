@@ -0,0 +1,3 @@
+-- Goalkeeper in a match lineup, used for clean-sheet leaderboards
+ALTER TABLE match_lineup
+  ADD COLUMN is_kiper TINYINT(1) NOT NULL DEFAULT 0;
@@ -0,0 +1,4 @@
+-- Bumped whenever a match's time, court or status changes; used as the
+-- SEQUENCE of calendar feed entries
+ALTER TABLE matches
+  ADD COLUMN revisi_jadwal INT NOT NULL DEFAULT 0;
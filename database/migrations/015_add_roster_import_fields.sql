@@ -0,0 +1,19 @@
+-- Identity fields used to match imported players and staff to existing records
+ALTER TABLE pemain
+  ADD COLUMN nik VARCHAR(32) NULL,
+  ADD COLUMN tanggal_lahir DATE NULL,
+  ADD UNIQUE KEY uq_pemain_nik (nik);
+
+ALTER TABLE staff
+  ADD COLUMN nik VARCHAR(32) NULL,
+  ADD UNIQUE KEY uq_staff_nik (nik);
+
+ALTER TABLE staff_event
+  ADD COLUMN jabatan VARCHAR(50) NULL;
+
+-- Age limits per category, as full years on tanggal_acuan_usia (or the
+-- registration date when it is not set). NULL means no limit.
+ALTER TABLE event_categories
+  ADD COLUMN usia_min INT NULL,
+  ADD COLUMN usia_maks INT NULL,
+  ADD COLUMN tanggal_acuan_usia DATE NULL;
@@ -0,0 +1,38 @@
+-- Outgoing webhook endpoints registered by EOs, optionally scoped to one event
+CREATE TABLE webhooks (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  id_event INT NULL,
+  url VARCHAR(500) NOT NULL,
+  secret VARCHAR(128) NOT NULL,
+  -- JSON list of subscribed event types
+  event_types JSON NOT NULL,
+  deskripsi VARCHAR(255) NULL,
+  aktif TINYINT(1) NOT NULL DEFAULT 1,
+  created_by INT NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP NULL,
+  INDEX idx_webhooks_event (id_event)
+);
+
+-- One row per webhook per dispatched event, updated on every attempt
+CREATE TABLE webhook_deliveries (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  id_webhook INT NOT NULL,
+  -- Shared by every delivery (and replay) of the same occurrence
+  event_uid CHAR(36) NOT NULL,
+  event_type VARCHAR(50) NOT NULL,
+  payload JSON NOT NULL,
+  status ENUM('menunggu', 'mengirim', 'berhasil', 'gagal') NOT NULL DEFAULT 'menunggu',
+  attempts INT NOT NULL DEFAULT 0,
+  next_attempt_at DATETIME NULL,
+  locked_at DATETIME NULL,
+  last_status_code INT NULL,
+  last_error VARCHAR(500) NULL,
+  last_response TEXT NULL,
+  delivered_at DATETIME NULL,
+  replay_of INT NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP NULL,
+  INDEX idx_webhook_deliveries_webhook (id_webhook, created_at),
+  INDEX idx_webhook_deliveries_due (status, next_attempt_at)
+);
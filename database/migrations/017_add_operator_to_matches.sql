@@ -0,0 +1,5 @@
+-- User assigned to score a match over the operator socket; NULL means the
+-- match can only be scored through the REST API
+ALTER TABLE matches
+  ADD COLUMN id_operator INT NULL,
+  ADD INDEX idx_matches_operator (id_operator);
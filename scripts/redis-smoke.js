@@ -0,0 +1,80 @@
+// scripts/redis-smoke.js
+//
+// Exercises the Redis-backed rate limits, job locks and replay log against a
+// real server. Start one locally and run:
+//
+//   redis-server --port 6379 &
+//   REDIS_URL=redis://127.0.0.1:6379 npm run redis:smoke
+//
+// Then stop redis-server and run it again: with the server unreachable the
+// same calls must fall back instead of hanging.
+const assert = require('assert');
+
+process.env.REDIS_URL = process.env.REDIS_URL || 'redis://127.0.0.1:6379';
+process.env.REDIS_KEY_PREFIX = `sportscore-smoke-${process.pid}:`;
+
+const redis = require('../src/config/redis');
+const rateLimitStore = require('../src/utils/helpers/rateLimitStore');
+const ReplayLog = require('../src/socket/ReplayLog');
+
+const CONNECT_WAIT_MS = 3000;
+
+const waitForConnection = async () => {
+  const deadline = Date.now() + CONNECT_WAIT_MS;
+
+  while (!redis.ready && Date.now() < deadline) {
+    await new Promise(resolve => setTimeout(resolve, 100));
+  }
+
+  return redis.ready;
+};
+
+const checkConnected = async () => {
+  const first = await rateLimitStore.hit('smoke', 60000);
+  const second = await rateLimitStore.hit('smoke', 60000);
+  assert.strictEqual(second.count, first.count + 1, 'hits count into one window');
+  assert.ok(await redis.run(redis.client.exists(redis.key('ratelimit', 'smoke'))), 'window is kept in Redis');
+
+  assert.strictEqual(await redis.tryLock('smoke', 60000), true, 'first lock is granted');
+  assert.strictEqual(await redis.tryLock('smoke', 60000), false, 'held lock is refused');
+
+  const replayLog = new ReplayLog();
+  const started = await replayLog.record('match_0', 'match:started', {});
+  const added = await replayLog.record('match_0', 'match:event_added', { id: 1 });
+  assert.strictEqual(added, started + 1, 'broadcasts are numbered in order');
+
+  const { events } = await replayLog.getMissed('match_0', started);
+  assert.deepStrictEqual(events.map(entry => entry.seq), [added], 'missed broadcasts are replayed');
+};
+
+const checkUnavailable = async () => {
+  const { count } = await rateLimitStore.hit('smoke', 60000);
+  assert.strictEqual(count, 1, 'hits are counted in process');
+
+  assert.strictEqual(await redis.tryLock('smoke', 60000), true, 'locks are granted without Redis');
+
+  await assert.rejects(new ReplayLog().record('match_0', 'match:started', {}), 'replay log fails fast');
+};
+
+const main = async () => {
+  const connected = await waitForConnection();
+  console.log(`Redis at ${process.env.REDIS_URL} is ${connected ? 'reachable' : 'unreachable'}`);
+
+  const startedAt = Date.now();
+  await (connected ? checkConnected() : checkUnavailable());
+  console.log(`✅ ${connected ? 'Shared' : 'Fallback'} behaviour checked in ${Date.now() - startedAt}ms`);
+
+  if (connected) {
+    const keys = await redis.client.keys(`${process.env.REDIS_KEY_PREFIX}*`);
+    if (keys.length > 0) {
+      await redis.client.del(keys);
+    }
+  }
+};
+
+main()
+  .catch((error) => {
+    console.error('❌ Redis smoke test failed:', error.message);
+    process.exitCode = 1;
+  })
+  .finally(() => redis.close());
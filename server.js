@@ -1,6 +1,7 @@
 const app = require('./app');
 const config = require('./src/config/database');
 const logger = require('./src/utils/logger');
+const { startJobs } = require('./src/jobs');
 
 const PORT = process.env.PORT || 3000;
 
@@ -18,4 +19,5 @@ process.on('unhandledRejection', (err) => {
 
 const server = app.listen(PORT, () => {
   logger.info(`🚀 Server running on port ${PORT}`);
+  startJobs();
 });
\ No newline at end of file
@@ -52,6 +52,23 @@ class Database {
     }
   }
 
+  // Rows of a large result set as an object-mode readable stream, so
+  // callers can process them without loading the whole result. Destroying
+  // the stream early also drops its connection: the query stays paused on
+  // it and would never hand it back to the pool.
+  stream(sql, params = []) {
+    const query = this.pool.pool.query(sql, params);
+    const rows = query.stream({ highWaterMark: 100 });
+
+    rows.on('close', () => {
+      if (!rows.readableEnded && query._connection) {
+        query._connection.destroy();
+      }
+    });
+
+    return rows;
+  }
+
   async transaction(callback) {
     const connection = await this.pool.getConnection();
     await connection.beginTransaction();
@@ -0,0 +1,26 @@
+const path = require('path');
+const multer = require('multer');
+const { AppError } = require('../middleware/error/errorHandler');
+
+const MAX_SPREADSHEET_SIZE = parseInt(process.env.MAX_SPREADSHEET_SIZE) || 2 * 1024 * 1024;
+
+const SPREADSHEET_EXTENSIONS = ['.csv', '.xlsx'];
+
+// CSV and XLSX uploads kept in memory; imports parse them straight from the buffer
+const spreadsheetUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: MAX_SPREADSHEET_SIZE, files: 1 },
+  fileFilter: (req, file, cb) => {
+    const extension = path.extname(file.originalname).toLowerCase();
+
+    if (!SPREADSHEET_EXTENSIONS.includes(extension)) {
+      return cb(new AppError('Only CSV and XLSX files are allowed', 400));
+    }
+
+    cb(null, true);
+  }
+});
+
+module.exports = {
+  spreadsheetUpload
+};
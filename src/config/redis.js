@@ -0,0 +1,112 @@
+const { createClient } = require('redis');
+const logger = require('../utils/logger');
+
+// Longest wait for a command before callers fall back to working without Redis
+const COMMAND_TIMEOUT_MS = parseInt(process.env.REDIS_COMMAND_TIMEOUT_MS) || 1000;
+
+// Optional: without REDIS_URL everything runs in-process, which is only
+// correct for a single Node instance
+class Redis {
+  constructor() {
+    this.client = null;
+    this.subscriber = null;
+    this.enabled = Boolean(process.env.REDIS_URL);
+    this.prefix = process.env.REDIS_KEY_PREFIX || 'sportscore:';
+
+    if (this.enabled) {
+      this.init();
+    }
+  }
+
+  init() {
+    try {
+      this.client = this.createConnection('client');
+      // Pub/sub needs a connection of its own
+      this.subscriber = this.createConnection('subscriber');
+    } catch (error) {
+      logger.error('Redis initialization failed:', error);
+      throw error;
+    }
+  }
+
+  // Commands sent while disconnected are queued until the connection is
+  // back, which the socket adapter relies on. Everything else checks ready
+  // and goes through run(), so it never waits on that queue.
+  createConnection(name) {
+    const connection = createClient({ url: process.env.REDIS_URL });
+
+    connection.on('error', (error) => logger.error(`Redis ${name} error:`, { error: error.message }));
+    connection.on('ready', () => logger.info(`✅ Redis ${name} connected`));
+
+    connection.connect().catch((error) => {
+      logger.error(`❌ Redis ${name} connection failed:`, error);
+    });
+
+    return connection;
+  }
+
+  // Configured and currently connected
+  get ready() {
+    return this.enabled && Boolean(this.client?.isReady);
+  }
+
+  // Await a command, rejecting when Redis does not answer in time
+  async run(command) {
+    let timer;
+
+    try {
+      return await Promise.race([
+        command,
+        new Promise((resolve, reject) => {
+          timer = setTimeout(() => reject(new Error('Redis command timed out')), COMMAND_TIMEOUT_MS);
+        })
+      ]);
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+
+  key(...parts) {
+    return `${this.prefix}${parts.join(':')}`;
+  }
+
+  // Take a lock that expires by itself. Always granted when Redis is off,
+  // since a single instance has no one to share the work with, and when
+  // Redis is unreachable: the work is safe to repeat, skipping it is not.
+  async tryLock(name, ttlMs) {
+    if (!this.enabled) {
+      return true;
+    }
+
+    if (!this.ready) {
+      logger.warn(`Redis unavailable, running ${name} without a lock`);
+      return true;
+    }
+
+    try {
+      const result = await this.run(
+        this.client.set(this.key('lock', name), String(process.pid), { NX: true, PX: ttlMs })
+      );
+      return result === 'OK';
+    } catch (error) {
+      logger.warn(`Redis lock ${name} failed, running without a lock:`, { error: error.message });
+      return true;
+    }
+  }
+
+  async close() {
+    if (!this.enabled) return;
+
+    await Promise.all([this.client, this.subscriber].map(connection => {
+      // QUIT would sit in the offline queue while reconnecting
+      if (!connection.isReady) {
+        return connection.disconnect().catch(() => {});
+      }
+
+      return connection.quit().catch(() => connection.disconnect());
+    }));
+    logger.info('Redis connections closed');
+  }
+}
+
+module.exports = new Redis();
@@ -0,0 +1,56 @@
+// src/constants/events.js
+
+// Event types recorded in match_events
+const MATCH_EVENT_TYPES = {
+  GOL: 'GOL',
+  GOL_PENALTI: 'GOL_PENALTI',
+  PENALTI_GAGAL: 'PENALTI_GAGAL',
+  BUNUH_DIRI: 'BUNUH_DIRI',
+  ASSIST: 'ASSIST',
+  KUNING: 'KUNING',
+  KUNING_KEDUA: 'KUNING_KEDUA',
+  MERAH: 'MERAH',
+  SUBSTITUSI: 'SUBSTITUSI',
+  PELANGGARAN: 'PELANGGARAN',
+  TIMEOUT: 'TIMEOUT'
+};
+
+// Goals credited to the team of the player
+const GOAL_EVENT_TYPES = [MATCH_EVENT_TYPES.GOL, MATCH_EVENT_TYPES.GOL_PENALTI];
+
+// Goals credited to the opponent
+const OWN_GOAL_EVENT_TYPES = [MATCH_EVENT_TYPES.BUNUH_DIRI];
+
+// Events that send a player off
+const SENDING_OFF_EVENT_TYPES = [MATCH_EVENT_TYPES.MERAH, MATCH_EVENT_TYPES.KUNING_KEDUA];
+
+// Team-level events where a player is optional
+const TEAM_EVENT_TYPES = [MATCH_EVENT_TYPES.PELANGGARAN, MATCH_EVENT_TYPES.TIMEOUT];
+
+// Event types an operator can submit; KUNING_KEDUA is derived from a second KUNING
+const SUBMITTABLE_EVENT_TYPES = Object.values(MATCH_EVENT_TYPES)
+  .filter(type => type !== MATCH_EVENT_TYPES.KUNING_KEDUA);
+
+// Occurrences that can be delivered to registered webhooks.
+// TODO: registration:status_changed and payment:status_changed are not
+// dispatched yet. Registration and payment handling is still empty
+// (PaymentService, PaymentController); call WebhookService.dispatch with
+// these types wherever it changes a registration or payment status.
+const WEBHOOK_EVENT_TYPES = [
+  'match:started',
+  'match:event_added',
+  'match:finished',
+  'standings:updated',
+  'registration:status_changed',
+  'payment:status_changed'
+];
+
+module.exports = {
+  MATCH_EVENT_TYPES,
+  GOAL_EVENT_TYPES,
+  OWN_GOAL_EVENT_TYPES,
+  SENDING_OFF_EVENT_TYPES,
+  TEAM_EVENT_TYPES,
+  SUBMITTABLE_EVENT_TYPES,
+  WEBHOOK_EVENT_TYPES
+};
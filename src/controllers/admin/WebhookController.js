@@ -0,0 +1,195 @@
+// src/controllers/admin/WebhookController.js
+import BaseController from '../base/baseController';
+import WebhookService from '../../services/notification/WebhookService';
+import { body, param, query } from 'express-validator';
+
+class WebhookController extends BaseController {
+  constructor() {
+    super();
+    this.webhookService = new WebhookService();
+  }
+
+  // Validation schemas
+  static get validationSchemas() {
+    return {
+      getWebhooks: [
+        query('event').optional().isInt().withMessage('Event ID must be an integer')
+      ],
+      createWebhook: [
+        body('url').isURL({ protocols: ['http', 'https'], require_protocol: true }).withMessage('URL must be a valid http(s) URL'),
+        body('event_types').isArray({ min: 1 }).withMessage('Event types must be a non-empty array'),
+        body('event_types.*').isIn(WebhookService.EVENT_TYPES).withMessage('Invalid event type'),
+        body('id_event').optional({ nullable: true }).isInt().withMessage('Event ID must be an integer'),
+        body('deskripsi').optional().isLength({ max: 255 }).withMessage('Description must not exceed 255 characters')
+      ],
+      updateWebhook: [
+        param('id').isInt().withMessage('Webhook ID must be an integer'),
+        body('url').optional().isURL({ protocols: ['http', 'https'], require_protocol: true }).withMessage('URL must be a valid http(s) URL'),
+        body('event_types').optional().isArray({ min: 1 }).withMessage('Event types must be a non-empty array'),
+        body('event_types.*').optional().isIn(WebhookService.EVENT_TYPES).withMessage('Invalid event type'),
+        body('deskripsi').optional().isLength({ max: 255 }).withMessage('Description must not exceed 255 characters'),
+        body('aktif').optional().isBoolean().withMessage('Active must be a boolean')
+      ],
+      webhookId: [
+        param('id').isInt().withMessage('Webhook ID must be an integer')
+      ],
+      getDeliveries: [
+        param('id').isInt().withMessage('Webhook ID must be an integer'),
+        query('status').optional().isIn(Object.values(WebhookService.DELIVERY_STATUS)).withMessage('Invalid delivery status')
+      ],
+      replayDelivery: [
+        param('deliveryId').isInt().withMessage('Delivery ID must be an integer')
+      ]
+    };
+  }
+
+  // The webhook when the current user may manage it. Otherwise sends the
+  // not found or forbidden response and returns null.
+  async findManagedWebhook(req, res, id) {
+    const webhook = await this.webhookService.getWebhookById(id);
+
+    if (!webhook) {
+      this.sendNotFound(res, 'Webhook not found');
+      return null;
+    }
+
+    if (!(await this.webhookService.canManage(this.getCurrentUser(req), webhook.id_event))) {
+      this.sendForbidden(res, 'You can only manage webhooks of your own events');
+      return null;
+    }
+
+    return webhook;
+  }
+
+  // GET /api/admin/webhooks
+  getWebhooks = this.asyncHandler(async (req, res) => {
+    const webhooks = await this.webhookService.getWebhooks({
+      eventId: req.query.event,
+      user: this.getCurrentUser(req)
+    });
+
+    return this.sendSuccess(res, webhooks);
+  });
+
+  // POST /api/admin/webhooks
+  createWebhook = this.asyncHandler(async (req, res) => {
+    const user = this.getCurrentUser(req);
+    const userId = user?.id;
+
+    if (!(await this.webhookService.canManage(user, req.body.id_event))) {
+      return this.sendForbidden(res, req.body.id_event
+        ? 'You can only add webhooks to your own events'
+        : 'Only admins can add webhooks for all events');
+    }
+
+    const webhook = await this.webhookService.createWebhook(req.body, userId);
+
+    this.logAction('CREATE_WEBHOOK', userId, { webhookId: webhook.id, url: webhook.url });
+
+    // The secret is returned here and on rotation only
+    return this.sendCreated(res, webhook, 'Webhook created successfully');
+  });
+
+  // PUT /api/admin/webhooks/:id
+  updateWebhook = this.asyncHandler(async (req, res) => {
+    const { id } = req.params;
+    const userId = this.getCurrentUser(req)?.id;
+
+    if (!(await this.findManagedWebhook(req, res, id))) return;
+
+    const webhook = await this.webhookService.updateWebhook(id, req.body, userId);
+
+    if (!webhook) {
+      return this.sendNotFound(res, 'Webhook not found');
+    }
+
+    this.logAction('UPDATE_WEBHOOK', userId, { webhookId: id, changes: Object.keys(req.body) });
+
+    return this.sendSuccess(res, webhook, 'Webhook updated successfully');
+  });
+
+  // DELETE /api/admin/webhooks/:id
+  deleteWebhook = this.asyncHandler(async (req, res) => {
+    const { id } = req.params;
+    const userId = this.getCurrentUser(req)?.id;
+
+    if (!(await this.findManagedWebhook(req, res, id))) return;
+
+    const deleted = await this.webhookService.deleteWebhook(id, userId);
+
+    if (!deleted) {
+      return this.sendNotFound(res, 'Webhook not found');
+    }
+
+    this.logAction('DELETE_WEBHOOK', userId, { webhookId: id });
+
+    return this.sendSuccess(res, null, 'Webhook deleted successfully');
+  });
+
+  // POST /api/admin/webhooks/:id/rotate-secret
+  rotateSecret = this.asyncHandler(async (req, res) => {
+    const { id } = req.params;
+    const userId = this.getCurrentUser(req)?.id;
+
+    if (!(await this.findManagedWebhook(req, res, id))) return;
+
+    const webhook = await this.webhookService.rotateSecret(id, userId);
+
+    if (!webhook) {
+      return this.sendNotFound(res, 'Webhook not found');
+    }
+
+    this.logAction('ROTATE_WEBHOOK_SECRET', userId, { webhookId: id });
+
+    return this.sendSuccess(res, webhook, 'Webhook secret rotated successfully');
+  });
+
+  // GET /api/admin/webhooks/:id/deliveries
+  getDeliveries = this.asyncHandler(async (req, res) => {
+    const { id } = req.params;
+    const { page, limit, offset } = this.getPaginationParams(req);
+
+    if (!(await this.findManagedWebhook(req, res, id))) return;
+
+    const result = await this.webhookService.getDeliveries(id, {
+      status: req.query.status,
+      limit,
+      offset
+    });
+
+    return this.sendSuccess(res, {
+      deliveries: result.data,
+      pagination: {
+        page,
+        limit,
+        total: result.total
+      }
+    });
+  });
+
+  // POST /api/admin/webhooks/deliveries/:deliveryId/replay
+  replayDelivery = this.asyncHandler(async (req, res) => {
+    const { deliveryId } = req.params;
+    const userId = this.getCurrentUser(req)?.id;
+
+    const original = await this.webhookService.getDeliveryById(deliveryId);
+
+    if (!original) {
+      return this.sendNotFound(res, 'Webhook delivery not found');
+    }
+
+    if (!(await this.findManagedWebhook(req, res, original.id_webhook))) return;
+
+    const delivery = await this.webhookService.replayDelivery(deliveryId, userId);
+
+    if (!delivery) {
+      return this.sendNotFound(res, 'Webhook delivery not found');
+    }
+
+    this.logAction('REPLAY_WEBHOOK_DELIVERY', userId, { deliveryId, replayId: delivery.id });
+
+    return this.sendCreated(res, delivery, 'Webhook delivery replayed');
+  });
+}
+
+export default WebhookController;
@@ -43,8 +43,8 @@ class BaseController {
     return ApiResponse.error(res, message, 404);
   }
 
-  sendBadRequest(res, message = 'Bad request') {
-    return ApiResponse.error(res, message, 400);
+  sendBadRequest(res, message = 'Bad request', errors = null) {
+    return ApiResponse.error(res, message, 400, errors);
   }
 
   sendUnauthorized(res, message = 'Unauthorized') {
@@ -0,0 +1,81 @@
+// src/controllers/event/VenueController.js
+import BaseController from '../base/baseController';
+import VenueService from '../../services/event/VenueService';
+import { body } from 'express-validator';
+
+class VenueController extends BaseController {
+  constructor() {
+    super();
+    this.venueService = new VenueService();
+  }
+
+  // Validation schemas
+  static get validationSchemas() {
+    return {
+      createVenue: [
+        body('nama_venue').isString().notEmpty().withMessage('Venue name is required'),
+        body('alamat').optional().isString().withMessage('Address must be a string')
+      ],
+
+      createCourt: [
+        body('nama_court').isString().notEmpty().withMessage('Court name is required')
+      ],
+
+      updateCourt: [
+        body('nama_court').optional().isString().notEmpty().withMessage('Court name must be a string'),
+        body('is_active').optional().isBoolean().withMessage('is_active must be a boolean')
+      ]
+    };
+  }
+
+  // GET /api/events/:eventId/venues
+  getVenues = this.asyncHandler(async (req, res) => {
+    const { eventId } = req.params;
+
+    const venues = await this.venueService.getVenuesByEvent(eventId);
+
+    return this.sendSuccess(res, venues);
+  });
+
+  // POST /api/events/:eventId/venues
+  createVenue = this.asyncHandler(async (req, res) => {
+    const { eventId } = req.params;
+    const userId = this.getCurrentUser(req)?.id;
+
+    const venue = await this.venueService.createVenue(eventId, req.body, userId);
+
+    this.logAction('CREATE_VENUE', userId, { eventId, venueId: venue.id });
+
+    return this.sendCreated(res, venue, 'Venue created successfully');
+  });
+
+  // POST /api/venues/:id/courts
+  createCourt = this.asyncHandler(async (req, res) => {
+    const { id } = req.params;
+    const userId = this.getCurrentUser(req)?.id;
+
+    const court = await this.venueService.createCourt(id, req.body, userId);
+
+    this.logAction('CREATE_COURT', userId, { venueId: id, courtId: court.id });
+
+    return this.sendCreated(res, court, 'Court created successfully');
+  });
+
+  // PUT /api/courts/:id
+  updateCourt = this.asyncHandler(async (req, res) => {
+    const { id } = req.params;
+    const userId = this.getCurrentUser(req)?.id;
+
+    const court = await this.venueService.updateCourt(id, req.body, userId);
+
+    if (!court) {
+      return this.sendNotFound(res, 'Court not found');
+    }
+
+    this.logAction('UPDATE_COURT', userId, { courtId: id });
+
+    return this.sendSuccess(res, court, 'Court updated successfully');
+  });
+}
+
+export default VenueController;
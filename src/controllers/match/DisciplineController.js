@@ -0,0 +1,126 @@
+// src/controllers/match/DisciplineController.js
+import BaseController from '../base/baseController';
+import DisciplineService from '../../services/match/DisciplineService';
+import { emitToCategory } from '../../socket';
+import { body, query } from 'express-validator';
+
+class DisciplineController extends BaseController {
+  constructor() {
+    super();
+    this.disciplineService = new DisciplineService();
+  }
+
+  // Validation schemas
+  static get validationSchemas() {
+    return {
+      updateRules: [
+        body('batas_kuning').optional().isInt({ min: 0 }).withMessage('Yellow card limit must be a non-negative integer'),
+        body('larangan_akumulasi').optional().isInt({ min: 0 }).withMessage('Accumulation ban must be a non-negative integer'),
+        body('larangan_kuning_kedua').optional().isInt({ min: 0 }).withMessage('Second yellow ban must be a non-negative integer'),
+        body('larangan_merah').optional().isInt({ min: 0 }).withMessage('Red card ban must be a non-negative integer')
+      ],
+
+      createSuspension: [
+        body('id_pemain_event').isInt().withMessage('Player registration ID must be an integer'),
+        body('jumlah_laga').isInt({ min: 1 }).withMessage('Number of matches must be a positive integer'),
+        body('catatan').optional().isString().withMessage('Note must be a string')
+      ],
+
+      extendSuspension: [
+        body('tambahan').isInt({ min: 1 }).withMessage('Additional matches must be a positive integer'),
+        body('catatan').optional().isString().withMessage('Note must be a string')
+      ],
+
+      getSuspendedPlayers: [
+        query('kategori').isInt().withMessage('Category ID must be an integer')
+      ]
+    };
+  }
+
+  // GET /api/discipline/:kategoriId/rules
+  getRules = this.asyncHandler(async (req, res) => {
+    const { kategoriId } = req.params;
+
+    const rules = await this.disciplineService.getRules(kategoriId);
+
+    if (!rules) {
+      return this.sendNotFound(res, 'Category not found');
+    }
+
+    return this.sendSuccess(res, rules);
+  });
+
+  // PUT /api/discipline/:kategoriId/rules
+  updateRules = this.asyncHandler(async (req, res) => {
+    const { kategoriId } = req.params;
+    const userId = this.getCurrentUser(req)?.id;
+
+    const rules = await this.disciplineService.updateRules(kategoriId, req.body, userId);
+
+    if (!rules) {
+      return this.sendNotFound(res, 'Category not found');
+    }
+
+    this.logAction('UPDATE_DISCIPLINE_RULES', userId, { kategori: kategoriId, rules });
+
+    return this.sendSuccess(res, rules, 'Discipline rules updated successfully');
+  });
+
+  // GET /api/discipline/:kategoriId/suspensions
+  getSuspensions = this.asyncHandler(async (req, res) => {
+    const { kategoriId } = req.params;
+    const { team, active } = req.query;
+
+    const suspensions = await this.disciplineService.getSuspensions(kategoriId, {
+      teamId: team,
+      activeOnly: active === 'true'
+    });
+
+    return this.sendSuccess(res, suspensions);
+  });
+
+  // POST /api/discipline/:kategoriId/suspensions
+  createSuspension = this.asyncHandler(async (req, res) => {
+    const { kategoriId } = req.params;
+    const userId = this.getCurrentUser(req)?.id;
+
+    const suspension = await this.disciplineService.createSuspension(kategoriId, req.body, userId);
+
+    this.logAction('CREATE_SUSPENSION', userId, { kategori: kategoriId, suspensionId: suspension.id });
+
+    emitToCategory(kategoriId, 'suspensions:updated', { issued: [suspension] });
+
+    return this.sendCreated(res, suspension, 'Suspension created successfully');
+  });
+
+  // PUT /api/discipline/suspensions/:id/extend
+  extendSuspension = this.asyncHandler(async (req, res) => {
+    const { id } = req.params;
+    const { tambahan, catatan } = req.body;
+    const userId = this.getCurrentUser(req)?.id;
+
+    const suspension = await this.disciplineService.extendSuspension(id, tambahan, catatan, userId);
+
+    if (!suspension) {
+      return this.sendNotFound(res, 'Suspension not found');
+    }
+
+    this.logAction('EXTEND_SUSPENSION', userId, { suspensionId: id, tambahan });
+
+    emitToCategory(suspension.id_kategori, 'suspensions:updated', { extended: suspension });
+
+    return this.sendSuccess(res, suspension, 'Suspension extended successfully');
+  });
+
+  // GET /api/discipline/teams/:teamId/suspended?kategori=
+  getSuspendedPlayers = this.asyncHandler(async (req, res) => {
+    const { teamId } = req.params;
+    const { kategori } = req.query;
+
+    const result = await this.disciplineService.getSuspendedPlayers(teamId, kategori);
+
+    return this.sendSuccess(res, result);
+  });
+}
+
+export default DisciplineController;
@@ -0,0 +1,63 @@
+// src/controllers/match/ExportController.js
+import BaseController from '../base/baseController';
+import ExportService from '../../services/match/ExportService';
+import { writeCsv, writeXlsx } from '../../utils/generators/spreadsheetGenerator';
+import { param, query } from 'express-validator';
+import logger from '../../utils/logger';
+
+const CONTENT_TYPES = {
+  csv: 'text/csv; charset=utf-8',
+  xlsx: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'
+};
+
+class ExportController extends BaseController {
+  constructor() {
+    super();
+    this.exportService = new ExportService();
+  }
+
+  // Validation schemas
+  static get validationSchemas() {
+    return {
+      exportData: [
+        param('dataset').isIn(ExportService.DATASETS).withMessage('Invalid export'),
+        query('format').optional().isIn(ExportService.FORMATS).withMessage('Format must be csv or xlsx'),
+        query('kategori').optional().isInt().withMessage('Category ID must be an integer'),
+        query('event').optional().isInt().withMessage('Event ID must be an integer'),
+        query('team').optional().isInt().withMessage('Team ID must be an integer')
+      ]
+    };
+  }
+
+  // GET /api/exports/:dataset
+  exportData = this.asyncHandler(async (req, res) => {
+    const { dataset } = req.params;
+    const format = req.query.format || 'csv';
+    const filters = this.getFilterParams(req, ['kategori', 'status', 'grup', 'event', 'team']);
+    const userId = this.getCurrentUser(req)?.id;
+
+    const exported = await this.exportService.getExport(dataset, filters);
+
+    const filename = `${dataset}-${new Date().toISOString().slice(0, 10)}.${format}`;
+
+    res.setHeader('Content-Type', CONTENT_TYPES[format]);
+    res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+
+    this.logAction('EXPORT_DATA', userId, { dataset, format, filters });
+
+    // Headers are sent once rows start flowing, so a failure part-way can
+    // only abort the download
+    try {
+      if (format === 'xlsx') {
+        await writeXlsx(res, exported, exported.rows);
+      } else {
+        await writeCsv(res, exported.columns, exported.rows);
+      }
+    } catch (error) {
+      logger.error('Error streaming export:', error);
+      res.destroy(error);
+    }
+  });
+}
+
+export default ExportController;
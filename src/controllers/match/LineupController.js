@@ -0,0 +1,70 @@
+// src/controllers/match/LineupController.js
+import BaseController from '../base/baseController';
+import LineupService from '../../services/match/LineupService';
+import { emitToMatch } from '../../socket';
+import { body } from 'express-validator';
+
+class LineupController extends BaseController {
+  constructor() {
+    super();
+    this.lineupService = new LineupService();
+  }
+
+  // Validation schemas
+  static get validationSchemas() {
+    return {
+      submitLineup: [
+        body('id_team').isInt().withMessage('Team ID must be an integer'),
+        body('players').isArray({ min: 1 }).withMessage('Players must be a non-empty array'),
+        body('players.*.id_pemain_event').isInt().withMessage('Player registration ID must be an integer'),
+        body('players.*.is_starting').isBoolean().withMessage('is_starting must be a boolean'),
+        body('players.*.is_kiper').optional().isBoolean().withMessage('is_kiper must be a boolean'),
+        body('staff').optional().isArray().withMessage('Staff must be an array'),
+        body('staff.*').isInt().withMessage('Staff registration ID must be an integer')
+      ]
+    };
+  }
+
+  // GET /api/lineups/:matchId
+  getLineup = this.asyncHandler(async (req, res) => {
+    const { matchId } = req.params;
+
+    const lineup = await this.lineupService.getLineup(matchId);
+
+    if (!lineup) {
+      return this.sendNotFound(res, 'Match not found');
+    }
+
+    return this.sendSuccess(res, lineup);
+  });
+
+  // PUT /api/lineups/:matchId
+  submitLineup = this.asyncHandler(async (req, res) => {
+    const { matchId } = req.params;
+    const { id_team, players, staff } = req.body;
+    const user = this.getCurrentUser(req);
+
+    // Team accounts may only submit their own lineup
+    if (user?.role === 'team' && Number(user.id) !== Number(id_team)) {
+      return this.sendForbidden(res, 'You can only submit the lineup of your own team');
+    }
+
+    const result = await this.lineupService.submitLineup(matchId, id_team, { players, staff }, user?.id);
+
+    if (!result) {
+      return this.sendNotFound(res, 'Match not found');
+    }
+
+    this.logAction('SUBMIT_LINEUP', user?.id, { matchId, teamId: id_team, players: players.length });
+
+    // The opponent and spectators in the match room see the published lineup
+    emitToMatch(matchId, 'lineup:published', {
+      id_team: Number(id_team),
+      lineup: result.lineup
+    });
+
+    return this.sendSuccess(res, result.lineup, 'Lineup submitted successfully');
+  });
+}
+
+export default LineupController;
@@ -2,6 +2,13 @@
 import BaseController from '../base/baseController';
 import MatchService from '../../services/match/MatchService';
 import LiveMatchService from '../../services/match/LiveMatchService';
+import BracketService from '../../services/match/BracketService';
+import GroupDrawService from '../../services/match/GroupDrawService';
+import MatchPreviewService from '../../services/match/MatchPreviewService';
+import MatchReportService from '../../services/match/MatchReportService';
+import WebhookService from '../../services/notification/WebhookService';
+import { generateMatchSheet } from '../../utils/generators/matchSheetGenerator';
+import { SUBMITTABLE_EVENT_TYPES } from '../../constants/events';
 import { emitToMatch, emitToCategory } from '../../socket';
 import { body, param, query } from 'express-validator';
 
@@ -10,6 +17,11 @@ class MatchController extends BaseController {
     super();
     this.matchService = new MatchService();
     this.liveMatchService = new LiveMatchService();
+    this.bracketService = new BracketService();
+    this.groupDrawService = new GroupDrawService();
+    this.previewService = new MatchPreviewService();
+    this.reportService = new MatchReportService();
+    this.webhookService = new WebhookService();
   }
 
   // Validation schemas
@@ -20,15 +32,82 @@ class MatchController extends BaseController {
         body('team_1').isInt().withMessage('Team 1 ID must be an integer'),
         body('team_2').isInt().withMessage('Team 2 ID must be an integer'),
         body('waktu').isISO8601().withMessage('Invalid datetime format'),
-        body('grup').optional().isString().withMessage('Group must be a string')
+        body('grup').optional().isString().withMessage('Group must be a string'),
+        body('id_court').optional().isInt().withMessage('Court ID must be an integer')
       ],
       
       matchEvent: [
-        body('id_match').isInt().withMessage('Match ID must be an integer'),
         body('id_team').isInt().withMessage('Team ID must be an integer'),
-        body('id_pemain').isInt().withMessage('Player ID must be an integer'),
-        body('jenis').isIn(['GOL', 'BUNUH_DIRI', 'KUNING', 'MERAH']).withMessage('Invalid event type'),
-        body('menit').isInt({ min: 0 }).withMessage('Minute must be a positive integer')
+        body('id_pemain').optional({ nullable: true }).isInt().withMessage('Player ID must be an integer'),
+        body('jenis').isIn(SUBMITTABLE_EVENT_TYPES).withMessage('Invalid event type'),
+        body('menit').isInt({ min: 0 }).withMessage('Minute must be a positive integer'),
+        body('babak').optional().isInt({ min: 1 }).withMessage('Half must be a positive integer'),
+        body('id_pemain_keluar').optional().isInt().withMessage('Substituted player ID must be an integer'),
+        body('id_event_terkait').optional().isInt().withMessage('Related event ID must be an integer')
+      ],
+
+      correctMatchEvent: [
+        param('eventId').isInt().withMessage('Event ID must be an integer'),
+        body('id_team').optional().isInt().withMessage('Team ID must be an integer'),
+        body('id_pemain').optional().isInt().withMessage('Player ID must be an integer'),
+        body('jenis').optional().isIn(SUBMITTABLE_EVENT_TYPES).withMessage('Invalid event type'),
+        body('menit').optional().isInt({ min: 0 }).withMessage('Minute must be a positive integer'),
+        body('babak').optional().isInt({ min: 1 }).withMessage('Half must be a positive integer'),
+        body('id_pemain_keluar').optional().isInt().withMessage('Substituted player ID must be an integer'),
+        body('id_event_terkait').optional().isInt().withMessage('Related event ID must be an integer'),
+        body('alasan').optional().isString().withMessage('Reason must be a string')
+      ],
+
+      startMatch: [
+        body('babak').optional().isInt({ min: 1 }).withMessage('Half must be a positive integer')
+      ],
+
+      setStoppageTime: [
+        body('menit').isInt({ min: 0 }).withMessage('Stoppage time must be a non-negative integer')
+      ],
+
+      penaltyKick: [
+        body('id_team').isInt().withMessage('Team ID must be an integer'),
+        body('id_pemain_event').isInt().withMessage('Player registration ID must be an integer'),
+        body('hasil').isIn(['gol', 'gagal']).withMessage('Result must be gol or gagal')
+      ],
+
+      getHeadToHead: [
+        query('team_1').isInt().withMessage('Team 1 ID must be an integer'),
+        query('team_2').isInt().withMessage('Team 2 ID must be an integer')
+          .custom((value, { req }) => value !== req.query.team_1).withMessage('Teams must be different'),
+        query('kategori').optional().isInt().withMessage('Category ID must be an integer')
+      ],
+
+      drawGroups: [
+        body('id_kategori').isInt().withMessage('Category ID must be an integer'),
+        body('pots').isArray({ min: 1 }).withMessage('Pots must be a non-empty array'),
+        body('pots.*').isArray({ min: 1 }).withMessage('Each pot must be a non-empty array of team IDs'),
+        body('pots.*.*').isInt().withMessage('Team ID must be an integer'),
+        body('jumlah_grup').isInt({ min: 1 }).withMessage('Number of groups must be a positive integer'),
+        body('separate').optional().isArray().withMessage('Separate must be an array'),
+        body('separate.*').isIn(GroupDrawService.SEPARATION_FIELDS).withMessage('Invalid separation constraint'),
+        body('keep_apart').optional().isArray().withMessage('keep_apart must be an array of team ID lists'),
+        body('keep_apart.*').isArray({ min: 2 }).withMessage('Each keep_apart entry must list at least two teams'),
+        body('seed').optional().isString().withMessage('Seed must be a string'),
+        body('jeda_ms').optional().isInt({ min: 0, max: 10000 }).withMessage('Delay must be between 0 and 10000 ms'),
+        body('dry_run').optional().isBoolean().withMessage('dry_run must be a boolean')
+      ],
+
+      // Posisi and jumlah are both needed once peringkat_terbaik is given
+      generateBracket: [
+        body('id_kategori').isInt().withMessage('Category ID must be an integer'),
+        body('lolos_per_grup').optional().isInt({ min: 1 }).withMessage('Qualifiers per group must be a positive integer'),
+        body('peringkat_terbaik').optional({ nullable: true }).isObject().withMessage('peringkat_terbaik must be an object'),
+        body('peringkat_terbaik.posisi')
+          .if((value, { req }) => req.body.peringkat_terbaik != null)
+          .isInt({ min: 1 }).withMessage('Best-placed position must be a positive integer'),
+        body('peringkat_terbaik.jumlah')
+          .if((value, { req }) => req.body.peringkat_terbaik != null)
+          .isInt({ min: 1 }).withMessage('Number of best-placed teams must be a positive integer'),
+        body('jumlah_tim').optional().isInt({ min: 2 }).withMessage('Number of teams must be at least 2'),
+        body('teams').optional().isArray().withMessage('Teams must be an array of team IDs'),
+        body('teams.*').isInt().withMessage('Team ID must be an integer')
       ],
 
       updateScore: [
@@ -74,11 +153,21 @@ class MatchController extends BaseController {
     return this.sendSuccess(res, match);
   });
 
+  // GET /api/matches/head-to-head
+  getHeadToHead = this.asyncHandler(async (req, res) => {
+    const { team_1, team_2, kategori } = req.query;
+
+    const preview = await this.previewService.getPreview(team_1, team_2, kategori || null);
+
+    return this.sendSuccess(res, preview);
+  });
+
   // GET /api/matches/:id/detail
   getMatchDetail = this.asyncHandler(async (req, res) => {
     const { id } = req.params;
+    const includePreview = req.query.preview === 'true';
     
-    const matchDetail = await this.matchService.getMatchDetailWithLineup(id);
+    const matchDetail = await this.matchService.getMatchDetailWithLineup(id, { includePreview });
     
     if (!matchDetail) {
       return this.sendNotFound(res, 'Match not found');
@@ -87,6 +176,27 @@ class MatchController extends BaseController {
     return this.sendSuccess(res, matchDetail);
   });
 
+  // GET /api/matches/:id/report.pdf
+  getMatchReport = this.asyncHandler(async (req, res) => {
+    const { id } = req.params;
+    const blank = req.query.blank === 'true';
+
+    const sheet = await this.reportService.getMatchSheet(id, { blank });
+
+    if (!sheet) {
+      return this.sendNotFound(res, 'Match not found');
+    }
+
+    const filename = `match-${id}${blank ? '-blank' : ''}.pdf`;
+
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Disposition', `inline; filename="${filename}"`);
+
+    const doc = generateMatchSheet(sheet);
+    doc.pipe(res);
+    doc.end();
+  });
+
   // POST /api/matches
   createMatch = this.asyncHandler(async (req, res) => {
     const matchData = req.body;
@@ -160,12 +270,81 @@ class MatchController extends BaseController {
     // Emit to connected clients
     emitToMatch(id, 'match:event_added', {
       event,
+      skor_1: matchDetail?.skor_1,
+      skor_2: matchDetail?.skor_2,
       matchDetail
     });
 
+    this.webhookService.dispatch('match:event_added', {
+      event,
+      skor_1: matchDetail?.skor_1,
+      skor_2: matchDetail?.skor_2
+    }, { matchId: id });
+
     return this.sendCreated(res, event, 'Match event added successfully');
   });
 
+  // PUT /api/matches/:id/events/:eventId
+  updateMatchEvent = this.asyncHandler(async (req, res) => {
+    const { id, eventId } = req.params;
+    const { alasan, ...eventData } = req.body;
+    const userId = this.getCurrentUser(req)?.id;
+
+    const result = await this.matchService.updateMatchEvent(id, eventId, eventData, alasan, userId);
+
+    if (!result) {
+      return this.sendNotFound(res, 'Match event not found');
+    }
+
+    this.logAction('UPDATE_MATCH_EVENT', userId, { matchId: id, eventId, alasan });
+
+    await this.emitEventCorrection(id, result);
+
+    return this.sendSuccess(res, result, 'Match event corrected successfully');
+  });
+
+  // DELETE /api/matches/:id/events/:eventId
+  deleteMatchEvent = this.asyncHandler(async (req, res) => {
+    const { id, eventId } = req.params;
+    const { alasan } = req.body;
+    const userId = this.getCurrentUser(req)?.id;
+
+    const result = await this.matchService.deleteMatchEvent(id, eventId, alasan, userId);
+
+    if (!result) {
+      return this.sendNotFound(res, 'Match event not found');
+    }
+
+    this.logAction('DELETE_MATCH_EVENT', userId, { matchId: id, eventId, alasan });
+
+    await this.emitEventCorrection(id, result);
+
+    return this.sendSuccess(res, result, 'Match event voided successfully');
+  });
+
+  async emitEventCorrection(matchId, result) {
+    const matchDetail = await this.matchService.getMatchDetailWithLineup(matchId);
+
+    emitToMatch(matchId, 'match:event_corrected', {
+      action: result.action,
+      before: result.before,
+      after: result.after,
+      skor_1: result.skor_1,
+      skor_2: result.skor_2,
+      matchDetail
+    });
+
+    if (result.standings) {
+      emitToCategory(result.id_kategori, 'standings:updated', {
+        standings: result.standings
+      });
+
+      this.webhookService.dispatch('standings:updated', {
+        standings: result.standings
+      }, { kategoriId: result.id_kategori });
+    }
+  }
+
   // PUT /api/matches/:id/score
   updateScore = this.asyncHandler(async (req, res) => {
     const { id } = req.params;
@@ -196,7 +375,7 @@ class MatchController extends BaseController {
   // POST /api/matches/:id/start
   startMatch = this.asyncHandler(async (req, res) => {
     const { id } = req.params;
-    const { babak = 1 } = req.body;
+    const { babak } = req.body;
     const userId = this.getCurrentUser(req)?.id;
 
     const match = await this.liveMatchService.startMatch(id, babak, userId);
@@ -205,14 +384,20 @@ class MatchController extends BaseController {
       return this.sendNotFound(res, 'Match not found');
     }
 
-    this.logAction('START_MATCH', userId, { matchId: id, babak });
+    this.logAction('START_MATCH', userId, { matchId: id, babak: match.clock.babak });
 
     // Emit start event
     emitToMatch(id, 'match:started', {
-      babak,
+      babak: match.clock.babak,
+      clock: match.clock,
       timestamp: new Date().toISOString()
     });
 
+    this.webhookService.dispatch('match:started', {
+      babak: match.clock.babak,
+      clock: match.clock
+    }, { matchId: id });
+
     return this.sendSuccess(res, match, 'Match started successfully');
   });
 
@@ -224,13 +409,14 @@ class MatchController extends BaseController {
     const match = await this.liveMatchService.pauseMatch(id, userId);
 
     if (!match) {
-      return this.sendNotFound(res, 'Match not found or not in progress');
+      return this.sendNotFound(res, 'Match not found');
     }
 
     this.logAction('PAUSE_MATCH', userId, { matchId: id });
 
     // Emit pause event
     emitToMatch(id, 'match:paused', {
+      clock: match.clock,
       timestamp: new Date().toISOString()
     });
 
@@ -245,19 +431,122 @@ class MatchController extends BaseController {
     const match = await this.liveMatchService.resumeMatch(id, userId);
 
     if (!match) {
-      return this.sendNotFound(res, 'Match not found or not paused');
+      return this.sendNotFound(res, 'Match not found');
     }
 
     this.logAction('RESUME_MATCH', userId, { matchId: id });
 
     // Emit resume event
     emitToMatch(id, 'match:resumed', {
+      clock: match.clock,
       timestamp: new Date().toISOString()
     });
 
     return this.sendSuccess(res, match, 'Match resumed successfully');
   });
 
+  // POST /api/matches/:id/end-half
+  endHalf = this.asyncHandler(async (req, res) => {
+    const { id } = req.params;
+    const userId = this.getCurrentUser(req)?.id;
+
+    const match = await this.liveMatchService.endHalf(id, userId);
+
+    if (!match) {
+      return this.sendNotFound(res, 'Match not found');
+    }
+
+    this.logAction('END_HALF', userId, { matchId: id, babak: match.clock.babak });
+
+    emitToMatch(id, 'match:half_ended', {
+      clock: match.clock,
+      timestamp: new Date().toISOString()
+    });
+
+    return this.sendSuccess(res, match, 'Half ended successfully');
+  });
+
+  // POST /api/matches/:id/stoppage
+  setStoppageTime = this.asyncHandler(async (req, res) => {
+    const { id } = req.params;
+    const { menit } = req.body;
+    const userId = this.getCurrentUser(req)?.id;
+
+    const match = await this.liveMatchService.setStoppageTime(id, menit, userId);
+
+    if (!match) {
+      return this.sendNotFound(res, 'Match not found');
+    }
+
+    this.logAction('SET_STOPPAGE_TIME', userId, { matchId: id, babak: match.clock.babak, menit });
+
+    emitToMatch(id, 'match:stoppage_time', {
+      clock: match.clock,
+      timestamp: new Date().toISOString()
+    });
+
+    return this.sendSuccess(res, match, 'Stoppage time announced successfully');
+  });
+
+  // POST /api/matches/:id/penalties
+  recordPenaltyKick = this.asyncHandler(async (req, res) => {
+    const { id } = req.params;
+    const userId = this.getCurrentUser(req)?.id;
+
+    const result = await this.liveMatchService.recordPenaltyKick(id, req.body, userId);
+
+    if (!result) {
+      return this.sendNotFound(res, 'Match not found');
+    }
+
+    this.logAction('RECORD_PENALTY_KICK', userId, {
+      matchId: id,
+      teamId: req.body.id_team,
+      hasil: req.body.hasil
+    });
+
+    emitToMatch(id, 'match:shootout_updated', {
+      match: result.match,
+      shootout: result.shootout
+    });
+
+    return this.sendCreated(res, result, 'Penalty kick recorded successfully');
+  });
+
+  // DELETE /api/matches/:id/penalties/last
+  undoPenaltyKick = this.asyncHandler(async (req, res) => {
+    const { id } = req.params;
+    const userId = this.getCurrentUser(req)?.id;
+
+    const result = await this.liveMatchService.undoPenaltyKick(id, userId);
+
+    if (!result) {
+      return this.sendNotFound(res, 'No penalty kick to remove');
+    }
+
+    this.logAction('UNDO_PENALTY_KICK', userId, { matchId: id });
+
+    emitToMatch(id, 'match:shootout_updated', {
+      match: result.match,
+      shootout: result.shootout
+    });
+
+    return this.sendSuccess(res, result, 'Penalty kick removed successfully');
+  });
+
+  // GET /api/matches/:id/clock
+  getClock = this.asyncHandler(async (req, res) => {
+    const { id } = req.params;
+
+    const clock = await this.liveMatchService.getClock(id);
+
+    if (!clock) {
+      return this.sendNotFound(res, 'Match clock not found');
+    }
+
+    return this.sendSuccess(res, clock);
+  });
+
   // POST /api/matches/:id/finish
   finishMatch = this.asyncHandler(async (req, res) => {
     const { id } = req.params;
@@ -286,6 +575,27 @@ class MatchController extends BaseController {
       standings: result.standings
     });
 
+    // Subscribers outside the app get the same two notifications
+    this.webhookService.dispatch('match:finished', { match: result.match }, { matchId: id });
+    this.webhookService.dispatch('standings:updated', {
+      standings: result.standings
+    }, { kategoriId: result.match.id_kategori });
+
+    // Knockout matches move teams into the next bracket round
+    if (result.bracket) {
+      emitToCategory(result.match.id_kategori, 'bracket:updated', {
+        bracket: result.bracket.brackets,
+        createdMatches: result.bracket.createdMatches
+      });
+    }
+
+    // Cards of this match may have banned players from upcoming fixtures
+    if (result.discipline.issued.length > 0) {
+      emitToCategory(result.match.id_kategori, 'suspensions:updated', {
+        issued: result.discipline.issued
+      });
+    }
+
     return this.sendSuccess(res, result, 'Match finished successfully');
   });
 
@@ -311,9 +621,87 @@ class MatchController extends BaseController {
     return this.sendSuccess(res, timeline);
   });
 
+  // POST /api/matches/draw/groups
+  drawGroups = this.asyncHandler(async (req, res) => {
+    const {
+      id_kategori,
+      pots,
+      jumlah_grup,
+      separate,
+      keep_apart,
+      seed,
+      jeda_ms = 1500,
+      dry_run = false
+    } = req.body;
+    const userId = this.getCurrentUser(req)?.id;
+
+    const draw = await this.groupDrawService.drawGroups(id_kategori, {
+      pots,
+      jumlah_grup,
+      separate,
+      keepApart: keep_apart,
+      seed,
+      dryRun: dry_run
+    }, userId);
+
+    if (dry_run) {
+      return this.sendSuccess(res, draw, 'Group draw preview generated');
+    }
+
+    this.logAction('DRAW_GROUPS', userId, {
+      kategori: id_kategori,
+      groups: jumlah_grup,
+      seed: draw.seed
+    });
+
+    // Reveal the stored draw one ball at a time on the category room
+    this.streamDraw(id_kategori, draw, jeda_ms).catch(error => {
+      this.logAction('DRAW_STREAM_FAILED', userId, { kategori: id_kategori, error: error.message });
+    });
+
+    // The groups themselves are only given away by the reveal, which ends
+    // with draw:completed on the category room
+    return this.sendSuccess(res, {
+      seed: draw.seed,
+      totalSteps: draw.steps.length,
+      reveal_ends_at: new Date(Date.now() + (draw.steps.length + 1) * jeda_ms).toISOString()
+    }, 'Group draw completed; the reveal is streamed to the category room', 202);
+  });
+
+  async streamDraw(kategoriId, draw, delayMs) {
+    const wait = () => new Promise(resolve => setTimeout(resolve, delayMs));
+
+    emitToCategory(kategoriId, 'draw:started', {
+      seed: draw.seed,
+      totalSteps: draw.steps.length
+    });
+
+    for (const step of draw.steps) {
+      await wait();
+      emitToCategory(kategoriId, 'draw:step', { step });
+    }
+
+    await wait();
+    emitToCategory(kategoriId, 'draw:completed', {
+      seed: draw.seed,
+      groups: draw.groups
+    });
+  }
+
   // POST /api/matches/generate/group
   generateGroupMatches = this.asyncHandler(async (req, res) => {
-    const { id_kategori, grup, match_day_start, jam_awal, jeda_menit } = req.body;
+    const {
+      id_kategori,
+      grup,
+      match_day_start,
+      jam_awal,
+      jam_akhir,
+      jeda_menit,
+      istirahat_menit,
+      maks_main_per_hari,
+      id_courts,
+      dry_run = false
+    } = req.body;
     const userId = this.getCurrentUser(req)?.id;
 
     const matches = await this.matchService.generateGroupMatches({
@@ -321,9 +709,18 @@ class MatchController extends BaseController {
       grup,
       match_day_start,
       jam_awal,
-      jeda_menit
+      jam_akhir,
+      jeda_menit,
+      istirahat_menit,
+      maks_main_per_hari,
+      id_courts,
+      dry_run
     }, userId);
 
+    if (dry_run) {
+      return this.sendSuccess(res, matches, 'Group schedule preview generated');
+    }
+
     this.logAction('GENERATE_GROUP_MATCHES', userId, { 
       kategori: id_kategori, 
       grup,
@@ -335,18 +732,50 @@ class MatchController extends BaseController {
 
   // POST /api/matches/generate/bracket
   generateBracketMatches = this.asyncHandler(async (req, res) => {
-    const { id_kategori, type } = req.body;
+    const {
+      id_kategori,
+      lolos_per_grup,
+      peringkat_terbaik,
+      jumlah_tim,
+      teams,
+      third_place,
+      match_day_start,
+      jam_awal,
+      jam_akhir,
+      jeda_menit,
+      id_courts
+    } = req.body;
     const userId = this.getCurrentUser(req)?.id;
 
-    const bracket = await this.matchService.generateBracketMatches(id_kategori, type, userId);
+    const bracket = await this.matchService.generateBracketMatches(id_kategori, {
+      lolos_per_grup,
+      peringkat_terbaik,
+      jumlah_tim,
+      teams,
+      third_place,
+      match_day_start,
+      jam_awal,
+      jam_akhir,
+      jeda_menit,
+      id_courts
+    }, userId);
 
     this.logAction('GENERATE_BRACKET', userId, { 
       kategori: id_kategori, 
-      type 
+      size: bracket.size
     });
 
     return this.sendCreated(res, bracket, 'Bracket matches generated successfully');
   });
+
+  // GET /api/matches/bracket/:kategoriId
+  getBracket = this.asyncHandler(async (req, res) => {
+    const { kategoriId } = req.params;
+
+    const bracket = await this.bracketService.getBracket(kategoriId);
+
+    return this.sendSuccess(res, bracket);
+  });
 }
 
 export default MatchController;
\ No newline at end of file
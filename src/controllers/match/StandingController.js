@@ -0,0 +1,161 @@
+// src/controllers/match/StandingController.js
+import BaseController from '../base/baseController';
+import StandingService from '../../services/match/StandingService';
+import WebhookService from '../../services/notification/WebhookService';
+import { emitToCategory } from '../../socket';
+import { body, param, query } from 'express-validator';
+
+class StandingController extends BaseController {
+  constructor() {
+    super();
+    this.standingService = new StandingService();
+    this.webhookService = new WebhookService();
+  }
+
+  // Validation schemas
+  static get validationSchemas() {
+    return {
+      updateTiebreakers: [
+        body('tiebreakers').isArray().withMessage('Tiebreakers must be an array'),
+        body('tiebreakers.*').isIn(StandingService.TIEBREAKERS).withMessage('Invalid tiebreaker')
+      ],
+
+      setDrawingLots: [
+        body('teams').isArray({ min: 2 }).withMessage('Teams must be an array of at least two team IDs'),
+        body('teams.*').isInt().withMessage('Team ID must be an integer')
+      ],
+
+      getPlacedTeams: [
+        param('posisi').isInt({ min: 1 }).withMessage('Position must be a positive integer'),
+        query('lolos').optional().isInt({ min: 0 }).withMessage('Qualifier count must be a non-negative integer')
+      ],
+
+      getStandingsAsOf: [
+        param('matchday').isInt({ min: 1 }).withMessage('Matchday must be a positive integer')
+      ],
+
+      rebuildStandings: [
+        body('dry_run').optional().isBoolean().withMessage('dry_run must be a boolean')
+      ]
+    };
+  }
+
+  // GET /api/standings/:kategoriId
+  getStandings = this.asyncHandler(async (req, res) => {
+    const { kategoriId } = req.params;
+    const { grup } = req.query;
+
+    const standings = await this.standingService.getStandings(kategoriId, grup);
+
+    return this.sendSuccess(res, standings);
+  });
+
+  // GET /api/standings/:kategoriId/history
+  getPositionHistory = this.asyncHandler(async (req, res) => {
+    const { kategoriId } = req.params;
+    const { grup } = req.query;
+
+    const history = await this.standingService.getPositionHistory(kategoriId, grup);
+
+    return this.sendSuccess(res, history);
+  });
+
+  // GET /api/standings/:kategoriId/matchday/:matchday
+  getStandingsAsOf = this.asyncHandler(async (req, res) => {
+    const { kategoriId, matchday } = req.params;
+    const { grup } = req.query;
+
+    const snapshot = await this.standingService.getStandingsAsOf(kategoriId, matchday, grup);
+
+    if (!snapshot) {
+      return this.sendNotFound(res, 'No standings recorded up to this matchday');
+    }
+
+    return this.sendSuccess(res, snapshot);
+  });
+
+  // GET /api/standings/:kategoriId/placed/:posisi?lolos=
+  getPlacedTeams = this.asyncHandler(async (req, res) => {
+    const { kategoriId, posisi } = req.params;
+    const { lolos } = req.query;
+
+    const table = await this.standingService.getPlacedTeamsTable(kategoriId, posisi, {
+      qualify: lolos != null ? Number(lolos) : null
+    });
+
+    return this.sendSuccess(res, table);
+  });
+
+  // PUT /api/standings/:kategoriId/tiebreakers
+  updateTiebreakers = this.asyncHandler(async (req, res) => {
+    const { kategoriId } = req.params;
+    const { tiebreakers } = req.body;
+    const userId = this.getCurrentUser(req)?.id;
+
+    const updated = await this.standingService.updateTiebreakers(kategoriId, tiebreakers, userId);
+
+    if (!updated) {
+      return this.sendNotFound(res, 'Category not found');
+    }
+
+    this.logAction('UPDATE_TIEBREAKERS', userId, { kategori: kategoriId, tiebreakers });
+
+    const standings = await this.standingService.getStandings(kategoriId);
+
+    // The new chain may reorder tied teams
+    emitToCategory(kategoriId, 'standings:updated', { standings });
+    this.webhookService.dispatch('standings:updated', { standings }, { kategoriId });
+
+    return this.sendSuccess(res, { tiebreakers: updated, standings }, 'Tiebreakers updated successfully');
+  });
+
+  // PUT /api/standings/:kategoriId/lots
+  setDrawingLots = this.asyncHandler(async (req, res) => {
+    const { kategoriId } = req.params;
+    const { teams } = req.body;
+    const userId = this.getCurrentUser(req)?.id;
+
+    await this.standingService.setDrawingLots(kategoriId, teams, userId);
+
+    this.logAction('SET_DRAWING_LOTS', userId, { kategori: kategoriId, teams });
+
+    const standings = await this.standingService.getStandings(kategoriId);
+
+    emitToCategory(kategoriId, 'standings:updated', { standings });
+    this.webhookService.dispatch('standings:updated', { standings }, { kategoriId });
+
+    return this.sendSuccess(res, standings, 'Drawing lots recorded successfully');
+  });
+
+  // POST /api/standings/:kategoriId/rebuild
+  rebuildStandings = this.asyncHandler(async (req, res) => {
+    const { kategoriId } = req.params;
+    const { dry_run = false } = req.body;
+    const userId = this.getCurrentUser(req)?.id;
+
+    // Called directly rather than through the job, so a missing category or
+    // bad data surfaces as its own error instead of a generic failure
+    const result = await this.standingService.rebuildCategory(kategoriId, { dryRun: dry_run, userId });
+
+    if (result.changed && !dry_run) {
+      const standings = await this.standingService.getStandings(kategoriId);
+
+      emitToCategory(kategoriId, 'standings:updated', { standings });
+      this.webhookService.dispatch('standings:updated', { standings }, { kategoriId });
+    }
+
+    this.logAction('REBUILD_STANDINGS', userId, {
+      kategori: kategoriId,
+      dryRun: dry_run,
+      changed: result.changed
+    });
+
+    return this.sendSuccess(
+      res,
+      result,
+      dry_run ? 'Standings rebuild preview generated' : 'Standings rebuilt successfully'
+    );
+  });
+}
+
+export default StandingController;
@@ -0,0 +1,55 @@
+// src/controllers/public/CalendarController.js
+import BaseController from '../base/baseController';
+import MatchService from '../../services/match/MatchService';
+import { generateCalendar } from '../../utils/generators/icsGenerator';
+
+class CalendarController extends BaseController {
+  constructor() {
+    super();
+    this.matchService = new MatchService();
+  }
+
+  sendCalendar(res, filename, matches, options) {
+    res.setHeader('Content-Type', 'text/calendar; charset=utf-8');
+    res.setHeader('Content-Disposition', `inline; filename="${filename}"`);
+    return res.send(generateCalendar(matches, options));
+  }
+
+  // GET /api/public/calendar/teams/:teamId.ics
+  getTeamCalendar = this.asyncHandler(async (req, res) => {
+    const teamId = Number(req.params.teamId);
+    const { kategori } = req.query;
+
+    const matches = await this.matchService.getMatchesByTeam(teamId, kategori);
+    const sample = matches[0];
+    const name = sample
+      ? (sample.team_1 === teamId ? sample.team1_name : sample.team2_name)
+      : 'Team schedule';
+
+    return this.sendCalendar(res, `team-${teamId}.ics`, matches, { name, teamId });
+  });
+
+  // GET /api/public/calendar/categories/:kategoriId.ics
+  getCategoryCalendar = this.asyncHandler(async (req, res) => {
+    const { kategoriId } = req.params;
+
+    const matches = await this.matchService.getMatchesByCategory(kategoriId);
+    const name = matches[0]
+      ? `${matches[0].nama_event} - ${matches[0].nama_kategori}`
+      : 'Category schedule';
+
+    return this.sendCalendar(res, `category-${kategoriId}.ics`, matches, { name });
+  });
+
+  // GET /api/public/calendar/events/:eventId.ics
+  getEventCalendar = this.asyncHandler(async (req, res) => {
+    const { eventId } = req.params;
+
+    const matches = await this.matchService.getMatchesByEvent(eventId);
+    const name = matches[0] ? matches[0].nama_event : 'Event schedule';
+
+    return this.sendCalendar(res, `event-${eventId}.ics`, matches, { name });
+  });
+}
+
+export default CalendarController;
@@ -0,0 +1,48 @@
+// src/controllers/public/PlayerViewController.js
+import BaseController from '../base/baseController';
+import LeaderboardService from '../../services/team/LeaderboardService';
+import { param, query } from 'express-validator';
+
+class PlayerViewController extends BaseController {
+  constructor() {
+    super();
+    this.leaderboardService = new LeaderboardService();
+  }
+
+  // Validation schemas
+  static get validationSchemas() {
+    return {
+      getLeaderboard: [
+        param('type').isIn(LeaderboardService.TYPES).withMessage('Invalid leaderboard type'),
+        query('kategori').optional().isInt().withMessage('Category ID must be an integer'),
+        query('event').optional().isInt().withMessage('Event ID must be an integer'),
+        query('kategori').custom((value, { req }) => Boolean(value) !== Boolean(req.query.event))
+          .withMessage('Specify either a category or an event')
+      ]
+    };
+  }
+
+  // GET /api/public/players/leaderboards/:type
+  getLeaderboard = this.asyncHandler(async (req, res) => {
+    const { type } = req.params;
+    const { kategori, event } = req.query;
+    const { page, limit, offset } = this.getPaginationParams(req);
+
+    const result = await this.leaderboardService.getLeaderboard(
+      type,
+      kategori ? { kategori } : { event },
+      { limit, offset }
+    );
+
+    return this.sendSuccess(res, {
+      leaderboard: result.data,
+      pagination: {
+        page,
+        limit,
+        total: result.total
+      }
+    });
+  });
+}
+
+export default PlayerViewController;
@@ -0,0 +1,70 @@
+// src/controllers/team/PlayerController.js
+import path from 'path';
+import BaseController from '../base/baseController';
+import RosterImportService from '../../services/team/RosterImportService';
+import { body } from 'express-validator';
+
+class PlayerController extends BaseController {
+  constructor() {
+    super();
+    this.rosterImportService = new RosterImportService();
+  }
+
+  // Validation schemas
+  static get validationSchemas() {
+    return {
+      importRoster: [
+        body('id_kategori').isInt().withMessage('Category ID must be an integer'),
+        body('id_team').optional().isInt().withMessage('Team ID must be an integer'),
+        body('dry_run').optional().isBoolean().withMessage('dry_run must be a boolean')
+      ]
+    };
+  }
+
+  // POST /api/players/import
+  importRoster = this.asyncHandler(async (req, res) => {
+    const { id_kategori, id_team } = req.body;
+    const dryRun = req.body.dry_run !== 'false' && req.body.dry_run !== false;
+    const user = this.getCurrentUser(req);
+
+    if (!req.file) {
+      return this.sendBadRequest(res, 'A CSV or XLSX file is required');
+    }
+
+    // Team accounts may only import their own roster
+    if (user?.role === 'team' && (!id_team || Number(user.id) !== Number(id_team))) {
+      return this.sendForbidden(res, 'You can only import the roster of your own team');
+    }
+
+    const report = await this.rosterImportService.importRoster({
+      kategoriId: id_kategori,
+      teamId: id_team || null,
+      buffer: req.file.buffer,
+      format: path.extname(req.file.originalname).toLowerCase() === '.xlsx' ? 'xlsx' : 'csv',
+      dryRun,
+      canRegister: ['admin', 'event_organizer'].includes(user?.role)
+    }, user?.id);
+
+    if (!report) {
+      return this.sendNotFound(res, 'Category not found');
+    }
+
+    if (!dryRun && !report.valid) {
+      return this.sendBadRequest(res, 'Roster has invalid rows; nothing was imported', report.errors);
+    }
+
+    if (!dryRun) {
+      this.logAction('IMPORT_ROSTER', user?.id, {
+        kategoriId: id_kategori,
+        teamId: id_team,
+        ...report.summary
+      });
+
+      return this.sendCreated(res, report, 'Roster imported successfully');
+    }
+
+    return this.sendSuccess(res, report, report.valid ? 'Roster is valid' : 'Roster has invalid rows');
+  });
+}
+
+export default PlayerController;
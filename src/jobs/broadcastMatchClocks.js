@@ -0,0 +1,24 @@
+// src/jobs/broadcastMatchClocks.js
+const MatchClockService = require('../services/match/MatchClockService');
+const socketService = require('../socket');
+
+const clockService = new MatchClockService();
+
+// Push the server-side clock of every match in progress to its room. The
+// state lives in match_clock, so ticks pick up again after a restart; the
+// rows are cached between ticks rather than read every second.
+const broadcastMatchClocks = async () => {
+  if (!socketService.io) {
+    return [];
+  }
+
+  const clocks = await clockService.getLiveClocks({ cached: true });
+
+  clocks.forEach(clock => {
+    socketService.emitToMatch(clock.id_match, 'match:clock', { clock });
+  });
+
+  return clocks;
+};
+
+module.exports = broadcastMatchClocks;
@@ -0,0 +1,60 @@
+// src/jobs/index.js
+const logger = require('../utils/logger');
+const redis = require('../config/redis');
+const updateStandings = require('./updateStandings');
+const broadcastMatchClocks = require('./broadcastMatchClocks');
+const retryWebhookDeliveries = require('./retryWebhookDeliveries');
+
+const jobs = [
+  {
+    name: 'updateStandings',
+    run: () => updateStandings(),
+    intervalMs: parseInt(process.env.STANDINGS_JOB_INTERVAL_MS) || 60 * 60 * 1000
+  },
+  {
+    name: 'broadcastMatchClocks',
+    run: () => broadcastMatchClocks(),
+    intervalMs: parseInt(process.env.MATCH_CLOCK_TICK_MS) || 1000
+  },
+  {
+    name: 'retryWebhookDeliveries',
+    run: () => retryWebhookDeliveries(),
+    intervalMs: parseInt(process.env.WEBHOOK_RETRY_INTERVAL_MS) || 30 * 1000
+  }
+];
+
+const timers = [];
+
+const startJobs = () => {
+  jobs.forEach(job => {
+    let running = false;
+
+    const timer = setInterval(async () => {
+      // Skip this tick if the previous run has not finished yet
+      if (running) return;
+      running = true;
+
+      try {
+        // With several instances sharing Redis only one runs each tick, so
+        // clock broadcasts and rebuilds are not repeated per instance
+        if (!(await redis.tryLock(`job:${job.name}`, job.intervalMs))) return;
+
+        await job.run();
+      } catch (error) {
+        logger.error(`Job ${job.name} failed:`, error);
+      } finally {
+        running = false;
+      }
+    }, job.intervalMs);
+
+    timers.push(timer);
+    logger.info(`⏱️  Job ${job.name} scheduled every ${job.intervalMs / 1000}s`);
+  });
+};
+
+const stopJobs = () => {
+  timers.forEach(timer => clearInterval(timer));
+  timers.length = 0;
+};
+
+module.exports = { startJobs, stopJobs };
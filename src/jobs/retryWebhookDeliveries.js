@@ -0,0 +1,11 @@
+// src/jobs/retryWebhookDeliveries.js
+const WebhookService = require('../services/notification/WebhookService');
+
+const webhookService = new WebhookService();
+
+// Re-send webhook deliveries whose backoff has elapsed
+const retryWebhookDeliveries = async () => {
+  return await webhookService.retryDueDeliveries();
+};
+
+module.exports = retryWebhookDeliveries;
@@ -0,0 +1,51 @@
+// src/jobs/updateStandings.js
+const database = require('../config/database');
+const logger = require('../utils/logger');
+const StandingService = require('../services/match/StandingService');
+const WebhookService = require('../services/notification/WebhookService');
+const socketService = require('../socket');
+
+const standingService = new StandingService();
+const webhookService = new WebhookService();
+
+// Rebuild match scores, klasemen and player goal/card totals from match
+// events. Runs for one category or for every category with finished
+// matches; rebuilding is idempotent, so running it repeatedly only writes
+// rows that drifted.
+const updateStandings = async ({ kategoriId = null, dryRun = false } = {}) => {
+  const categories = kategoriId
+    ? [{ id_kategori: kategoriId }]
+    : await database.query(`SELECT DISTINCT id_kategori FROM matches WHERE status = 'selesai'`);
+
+  const results = [];
+
+  for (const { id_kategori } of categories) {
+    try {
+      const result = await standingService.rebuildCategory(id_kategori, { dryRun });
+      results.push(result);
+
+      if (result.changed && !dryRun) {
+        logger.warn('Standings drift corrected', {
+          kategori: id_kategori,
+          matches: result.matches.length,
+          standings: result.standings.length,
+          players: result.players.length
+        });
+
+        const standings = await standingService.getStandings(id_kategori);
+
+        if (socketService.io) {
+          socketService.emitToCategory(id_kategori, 'standings:updated', { standings });
+        }
+
+        webhookService.dispatch('standings:updated', { standings }, { kategoriId: id_kategori });
+      }
+    } catch (error) {
+      logger.error('Failed to rebuild standings for category:', { kategori: id_kategori, error: error.message });
+    }
+  }
+
+  return results;
+};
+
+module.exports = updateStandings;
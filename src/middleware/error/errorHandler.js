@@ -53,6 +53,11 @@ const errorHandler = (err, req, res, next) => {
     message = 'Token expired';
   }
 
+  // Rejected uploads (file too large, unexpected field)
+  if (err.name === 'MulterError') {
+    statusCode = 400;
+  }
+
   // Database errors
   if (err.code === 'ER_DUP_ENTRY') {
     statusCode = 409;
@@ -0,0 +1,31 @@
+const { ApiResponse } = require('../../utils/helpers/responseHelper');
+const rateLimitStore = require('../../utils/helpers/rateLimitStore');
+const logger = require('../../utils/logger');
+
+const WINDOW_MS = parseInt(process.env.RATE_LIMIT_WINDOW_MS) || 15 * 60 * 1000;
+const MAX_REQUESTS = parseInt(process.env.RATE_LIMIT_MAX) || 1000;
+
+// Per-IP request limit. Counters are shared through Redis when it is
+// configured, so the limit holds across every instance.
+const rateLimiter = async (req, res, next) => {
+  try {
+    const { count, resetAt } = await rateLimitStore.hit(`http:${req.ip}`, WINDOW_MS);
+    const resetSeconds = Math.ceil((resetAt - Date.now()) / 1000);
+
+    res.setHeader('RateLimit-Limit', MAX_REQUESTS);
+    res.setHeader('RateLimit-Remaining', Math.max(MAX_REQUESTS - count, 0));
+    res.setHeader('RateLimit-Reset', resetSeconds);
+
+    if (count > MAX_REQUESTS) {
+      res.setHeader('Retry-After', resetSeconds);
+      return ApiResponse.error(res, 'Too many requests, please try again later', 429);
+    }
+  } catch (error) {
+    // An unreachable store must not take the API down with it
+    logger.error('Rate limiter store error:', { error: error.message });
+  }
+
+  next();
+};
+
+module.exports = rateLimiter;
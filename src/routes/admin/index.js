@@ -0,0 +1,9 @@
+// src/routes/admin/index.js
+import { Router } from 'express';
+import webhookRoutes from './webhooks';
+
+const router = Router();
+
+router.use('/webhooks', webhookRoutes);
+
+export default router;
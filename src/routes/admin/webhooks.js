@@ -0,0 +1,18 @@
+// src/routes/admin/webhooks.js
+import { Router } from 'express';
+import WebhookController from '../../controllers/admin/WebhookController';
+import authMiddleware from '../../middleware/auth/verifyToken';
+
+const router = Router();
+const controller = new WebhookController();
+const schemas = WebhookController.validationSchemas;
+
+router.get('/', authMiddleware.adminOrEO, schemas.getWebhooks, controller.handleValidationErrors, controller.getWebhooks);
+router.post('/', authMiddleware.adminOrEO, schemas.createWebhook, controller.handleValidationErrors, controller.createWebhook);
+router.post('/deliveries/:deliveryId/replay', authMiddleware.adminOrEO, schemas.replayDelivery, controller.handleValidationErrors, controller.replayDelivery);
+router.put('/:id', authMiddleware.adminOrEO, schemas.updateWebhook, controller.handleValidationErrors, controller.updateWebhook);
+router.delete('/:id', authMiddleware.adminOrEO, schemas.webhookId, controller.handleValidationErrors, controller.deleteWebhook);
+router.post('/:id/rotate-secret', authMiddleware.adminOrEO, schemas.webhookId, controller.handleValidationErrors, controller.rotateSecret);
+router.get('/:id/deliveries', authMiddleware.adminOrEO, schemas.getDeliveries, controller.handleValidationErrors, controller.getDeliveries);
+
+export default router;
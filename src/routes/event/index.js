@@ -0,0 +1,9 @@
+// src/routes/event/index.js
+import { Router } from 'express';
+import venueRoutes from './venues';
+
+const router = Router();
+
+router.use('/', venueRoutes);
+
+export default router;
@@ -0,0 +1,16 @@
+// src/routes/event/venues.js
+import { Router } from 'express';
+import VenueController from '../../controllers/event/VenueController';
+import authMiddleware from '../../middleware/auth/verifyToken';
+
+const router = Router();
+const controller = new VenueController();
+const schemas = VenueController.validationSchemas;
+
+router.get('/events/:eventId/venues', controller.getVenues);
+
+router.post('/events/:eventId/venues', authMiddleware.adminOrEO, schemas.createVenue, controller.handleValidationErrors, controller.createVenue);
+router.post('/venues/:id/courts', authMiddleware.adminOrEO, schemas.createCourt, controller.handleValidationErrors, controller.createCourt);
+router.put('/courts/:id', authMiddleware.adminOrEO, schemas.updateCourt, controller.handleValidationErrors, controller.updateCourt);
+
+export default router;
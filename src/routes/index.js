@@ -0,0 +1,17 @@
+// src/routes/index.js
+import { Router } from 'express';
+import matchRoutes from './match';
+import eventRoutes from './event';
+import teamRoutes from './team';
+import publicRoutes from './public';
+import adminRoutes from './admin';
+
+const router = Router();
+
+router.use('/', matchRoutes);
+router.use('/', eventRoutes);
+router.use('/', teamRoutes);
+router.use('/public', publicRoutes);
+router.use('/admin', adminRoutes);
+
+export default router;
@@ -0,0 +1,18 @@
+// src/routes/match/discipline.js
+import { Router } from 'express';
+import DisciplineController from '../../controllers/match/DisciplineController';
+import authMiddleware from '../../middleware/auth/verifyToken';
+
+const router = Router();
+const controller = new DisciplineController();
+const schemas = DisciplineController.validationSchemas;
+
+router.get('/teams/:teamId/suspended', authMiddleware.required, schemas.getSuspendedPlayers, controller.handleValidationErrors, controller.getSuspendedPlayers);
+router.put('/suspensions/:id/extend', authMiddleware.adminOrEO, schemas.extendSuspension, controller.handleValidationErrors, controller.extendSuspension);
+
+router.get('/:kategoriId/rules', controller.getRules);
+router.put('/:kategoriId/rules', authMiddleware.adminOrEO, schemas.updateRules, controller.handleValidationErrors, controller.updateRules);
+router.get('/:kategoriId/suspensions', controller.getSuspensions);
+router.post('/:kategoriId/suspensions', authMiddleware.adminOrEO, schemas.createSuspension, controller.handleValidationErrors, controller.createSuspension);
+
+export default router;
@@ -0,0 +1,12 @@
+// src/routes/match/exports.js
+import { Router } from 'express';
+import ExportController from '../../controllers/match/ExportController';
+import authMiddleware from '../../middleware/auth/verifyToken';
+
+const router = Router();
+const controller = new ExportController();
+const schemas = ExportController.validationSchemas;
+
+router.get('/:dataset', authMiddleware.adminOrEO, schemas.exportData, controller.handleValidationErrors, controller.exportData);
+
+export default router;
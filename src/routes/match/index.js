@@ -0,0 +1,17 @@
+// src/routes/match/index.js
+import { Router } from 'express';
+import matchRoutes from './matches';
+import standingRoutes from './standings';
+import disciplineRoutes from './discipline';
+import lineupRoutes from './lineup';
+import exportRoutes from './exports';
+
+const router = Router();
+
+router.use('/matches', matchRoutes);
+router.use('/standings', standingRoutes);
+router.use('/discipline', disciplineRoutes);
+router.use('/lineups', lineupRoutes);
+router.use('/exports', exportRoutes);
+
+export default router;
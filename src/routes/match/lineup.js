@@ -0,0 +1,14 @@
+// src/routes/match/lineup.js
+import { Router } from 'express';
+import LineupController from '../../controllers/match/LineupController';
+import authMiddleware from '../../middleware/auth/verifyToken';
+
+const router = Router();
+const controller = new LineupController();
+const schemas = LineupController.validationSchemas;
+
+router.get('/:matchId', controller.getLineup);
+
+router.put('/:matchId', authMiddleware.hasRole(['team', 'admin', 'event_organizer']), schemas.submitLineup, controller.handleValidationErrors, controller.submitLineup);
+
+export default router;
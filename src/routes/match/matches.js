@@ -0,0 +1,45 @@
+// src/routes/match/matches.js
+import { Router } from 'express';
+import MatchController from '../../controllers/match/MatchController';
+import authMiddleware from '../../middleware/auth/verifyToken';
+
+const router = Router();
+const controller = new MatchController();
+const schemas = MatchController.validationSchemas;
+
+// Public
+router.get('/', controller.getMatches);
+router.get('/live', controller.getLiveMatches);
+router.get('/bracket/:kategoriId', controller.getBracket);
+router.get('/head-to-head', schemas.getHeadToHead, controller.handleValidationErrors, controller.getHeadToHead);
+router.get('/:id', controller.getMatchById);
+router.get('/:id/detail', controller.getMatchDetail);
+router.get('/:id/timeline', controller.getMatchTimeline);
+router.get('/:id/clock', controller.getClock);
+router.get('/:id/report.pdf', authMiddleware.adminOrEO, controller.getMatchReport);
+
+// Event organizer / admin
+router.post('/', authMiddleware.adminOrEO, schemas.createMatch, controller.handleValidationErrors, controller.createMatch);
+router.put('/:id', authMiddleware.adminOrEO, controller.updateMatch);
+router.delete('/:id', authMiddleware.adminOrEO, controller.deleteMatch);
+
+router.post('/draw/groups', authMiddleware.adminOrEO, schemas.drawGroups, controller.handleValidationErrors, controller.drawGroups);
+router.post('/generate/group', authMiddleware.adminOrEO, controller.generateGroupMatches);
+router.post('/generate/bracket', authMiddleware.adminOrEO, schemas.generateBracket, controller.handleValidationErrors, controller.generateBracketMatches);
+
+// Live scoring
+router.post('/:id/events', authMiddleware.adminOrEO, schemas.matchEvent, controller.handleValidationErrors, controller.addMatchEvent);
+router.put('/:id/events/:eventId', authMiddleware.adminOrEO, schemas.correctMatchEvent, controller.handleValidationErrors, controller.updateMatchEvent);
+router.delete('/:id/events/:eventId', authMiddleware.adminOrEO, schemas.correctMatchEvent, controller.handleValidationErrors, controller.deleteMatchEvent);
+router.put('/:id/score', authMiddleware.adminOrEO, controller.updateScore);
+
+router.post('/:id/start', authMiddleware.adminOrEO, schemas.startMatch, controller.handleValidationErrors, controller.startMatch);
+router.post('/:id/pause', authMiddleware.adminOrEO, controller.pauseMatch);
+router.post('/:id/resume', authMiddleware.adminOrEO, controller.resumeMatch);
+router.post('/:id/end-half', authMiddleware.adminOrEO, controller.endHalf);
+router.post('/:id/stoppage', authMiddleware.adminOrEO, schemas.setStoppageTime, controller.handleValidationErrors, controller.setStoppageTime);
+router.post('/:id/penalties', authMiddleware.adminOrEO, schemas.penaltyKick, controller.handleValidationErrors, controller.recordPenaltyKick);
+router.delete('/:id/penalties/last', authMiddleware.adminOrEO, controller.undoPenaltyKick);
+router.post('/:id/finish', authMiddleware.adminOrEO, controller.finishMatch);
+
+export default router;
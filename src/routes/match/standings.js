@@ -0,0 +1,19 @@
+// src/routes/match/standings.js
+import { Router } from 'express';
+import StandingController from '../../controllers/match/StandingController';
+import authMiddleware from '../../middleware/auth/verifyToken';
+
+const router = Router();
+const controller = new StandingController();
+const schemas = StandingController.validationSchemas;
+
+router.get('/:kategoriId', controller.getStandings);
+router.get('/:kategoriId/history', controller.getPositionHistory);
+router.get('/:kategoriId/matchday/:matchday', schemas.getStandingsAsOf, controller.handleValidationErrors, controller.getStandingsAsOf);
+router.get('/:kategoriId/placed/:posisi', schemas.getPlacedTeams, controller.handleValidationErrors, controller.getPlacedTeams);
+
+router.put('/:kategoriId/tiebreakers', authMiddleware.adminOrEO, schemas.updateTiebreakers, controller.handleValidationErrors, controller.updateTiebreakers);
+router.put('/:kategoriId/lots', authMiddleware.adminOrEO, schemas.setDrawingLots, controller.handleValidationErrors, controller.setDrawingLots);
+router.post('/:kategoriId/rebuild', authMiddleware.adminOrEO, schemas.rebuildStandings, controller.handleValidationErrors, controller.rebuildStandings);
+
+export default router;
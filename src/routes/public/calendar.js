@@ -0,0 +1,12 @@
+// src/routes/public/calendar.js
+import { Router } from 'express';
+import CalendarController from '../../controllers/public/CalendarController';
+
+const router = Router();
+const controller = new CalendarController();
+
+router.get('/teams/:teamId.ics', controller.getTeamCalendar);
+router.get('/categories/:kategoriId.ics', controller.getCategoryCalendar);
+router.get('/events/:eventId.ics', controller.getEventCalendar);
+
+export default router;
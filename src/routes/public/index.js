@@ -0,0 +1,11 @@
+// src/routes/public/index.js
+import { Router } from 'express';
+import playerRoutes from './players';
+import calendarRoutes from './calendar';
+
+const router = Router();
+
+router.use('/players', playerRoutes);
+router.use('/calendar', calendarRoutes);
+
+export default router;
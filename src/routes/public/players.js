@@ -0,0 +1,11 @@
+// src/routes/public/players.js
+import { Router } from 'express';
+import PlayerViewController from '../../controllers/public/PlayerViewController';
+
+const router = Router();
+const controller = new PlayerViewController();
+const schemas = PlayerViewController.validationSchemas;
+
+router.get('/leaderboards/:type', schemas.getLeaderboard, controller.handleValidationErrors, controller.getLeaderboard);
+
+export default router;
@@ -0,0 +1,9 @@
+// src/routes/team/index.js
+import { Router } from 'express';
+import playerRoutes from './players';
+
+const router = Router();
+
+router.use('/players', playerRoutes);
+
+export default router;
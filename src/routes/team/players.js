@@ -0,0 +1,13 @@
+// src/routes/team/players.js
+import { Router } from 'express';
+import PlayerController from '../../controllers/team/PlayerController';
+import authMiddleware from '../../middleware/auth/verifyToken';
+import { spreadsheetUpload } from '../../config/multer';
+
+const router = Router();
+const controller = new PlayerController();
+const schemas = PlayerController.validationSchemas;
+
+router.post('/import', authMiddleware.hasRole(['team', 'admin', 'event_organizer']), spreadsheetUpload.single('file'), schemas.importRoster, controller.handleValidationErrors, controller.importRoster);
+
+export default router;
@@ -0,0 +1,137 @@
+// src/services/event/VenueService.js
+const database = require('../../config/database');
+const { AppError } = require('../../middleware/error/errorHandler');
+const logger = require('../../utils/logger');
+
+class VenueService {
+  async getVenuesByEvent(eventId) {
+    try {
+      const venues = await database.query(
+        'SELECT * FROM venues WHERE id_event = ? ORDER BY nama_venue',
+        [eventId]
+      );
+
+      const courts = await database.query(
+        `SELECT c.*
+         FROM venue_courts c
+         JOIN venues v ON c.id_venue = v.id
+         WHERE v.id_event = ?
+         ORDER BY c.id_venue, c.nama_court`,
+        [eventId]
+      );
+
+      return venues.map(venue => ({
+        ...venue,
+        courts: courts.filter(court => court.id_venue === venue.id)
+      }));
+    } catch (error) {
+      logger.error('Error fetching venues:', error);
+      throw new AppError('Failed to fetch venues', 500);
+    }
+  }
+
+  async createVenue(eventId, venueData, userId) {
+    try {
+      const [event] = await database.query('SELECT id FROM events WHERE id = ?', [eventId]);
+      if (!event) {
+        throw new AppError('Event not found', 404);
+      }
+
+      const insertQuery = `
+        INSERT INTO venues (id_event, nama_venue, alamat, created_by)
+        VALUES (?, ?, ?, ?)
+      `;
+
+      const result = await database.query(insertQuery, [
+        eventId,
+        venueData.nama_venue,
+        venueData.alamat || null,
+        userId
+      ]);
+
+      logger.info('Venue created', { venueId: result.insertId, eventId, userId });
+
+      const [venue] = await database.query('SELECT * FROM venues WHERE id = ?', [result.insertId]);
+      return venue;
+    } catch (error) {
+      logger.error('Error creating venue:', error);
+      throw error;
+    }
+  }
+
+  async createCourt(venueId, courtData, userId) {
+    try {
+      const [venue] = await database.query('SELECT id FROM venues WHERE id = ?', [venueId]);
+      if (!venue) {
+        throw new AppError('Venue not found', 404);
+      }
+
+      const result = await database.query(
+        'INSERT INTO venue_courts (id_venue, nama_court, is_active) VALUES (?, ?, 1)',
+        [venueId, courtData.nama_court]
+      );
+
+      logger.info('Court created', { courtId: result.insertId, venueId, userId });
+
+      const [court] = await database.query('SELECT * FROM venue_courts WHERE id = ?', [result.insertId]);
+      return court;
+    } catch (error) {
+      logger.error('Error creating court:', error);
+      throw error;
+    }
+  }
+
+  async updateCourt(courtId, courtData, userId) {
+    try {
+      const allowedFields = ['nama_court', 'is_active'];
+      const updateFields = [];
+      const updateValues = [];
+
+      Object.keys(courtData).forEach(key => {
+        if (allowedFields.includes(key)) {
+          updateFields.push(`${key} = ?`);
+          updateValues.push(courtData[key]);
+        }
+      });
+
+      if (updateFields.length === 0) {
+        throw new AppError('No valid fields to update', 400);
+      }
+
+      updateValues.push(courtId);
+
+      const result = await database.query(
+        `UPDATE venue_courts SET ${updateFields.join(', ')} WHERE id = ?`,
+        updateValues
+      );
+
+      if (result.affectedRows === 0) {
+        return null;
+      }
+
+      logger.info('Court updated', { courtId, userId, changes: Object.keys(courtData) });
+
+      const [court] = await database.query('SELECT * FROM venue_courts WHERE id = ?', [courtId]);
+      return court;
+    } catch (error) {
+      logger.error('Error updating court:', error);
+      throw error;
+    }
+  }
+
+  // Active courts of the event a category belongs to
+  async getCourtsByCategory(connection, kategoriId) {
+    const query = `
+      SELECT c.id, c.nama_court, v.nama_venue
+      FROM venue_courts c
+      JOIN venues v ON c.id_venue = v.id
+      JOIN event_categories ec ON ec.id_event = v.id_event
+      WHERE ec.id = ? AND c.is_active = 1
+      ORDER BY v.id, c.id
+    `;
+
+    return await connection.query(query, [kategoriId]);
+  }
+}
+
+module.exports = VenueService;
@@ -0,0 +1,391 @@
+// src/services/match/BracketService.js
+const database = require('../../config/database');
+const { AppError } = require('../../middleware/error/errorHandler');
+const logger = require('../../utils/logger');
+const { formatScore } = require('../../utils/formatters/matchFormatter');
+
+// Knockout rounds from the earliest possible round down to the final
+const ROUNDS = [
+  { size: 32, round: 'babak_32', prefix: 'R32_' },
+  { size: 16, round: 'babak_16', prefix: 'R16_' },
+  { size: 8, round: 'perempat_final', prefix: 'QF' },
+  { size: 4, round: 'semifinal', prefix: 'SF' },
+  { size: 2, round: 'final', prefix: 'F' }
+];
+
+const THIRD_PLACE = { round: 'juara_3', kode: 'J3' };
+
+const MAX_BRACKET_SIZE = ROUNDS[0].size;
+
+// Standard seed order of bracket positions, e.g. 8 -> [1, 8, 4, 5, 2, 7, 3, 6]
+const getSeedOrder = (size) => {
+  let order = [1];
+  while (order.length < size) {
+    const total = order.length * 2 + 1;
+    order = order.flatMap(seed => [seed, total - seed]);
+  }
+  return order;
+};
+
+// Round in which two bracket positions would meet (1 = first round)
+const getMeetingRound = (positionA, positionB) => (positionA ^ positionB).toString(2).length;
+
+// How late a team at this position would meet a team from its own group
+const getGroupSeparation = (slots, position, grup) => {
+  let separation = Infinity;
+
+  if (!grup) {
+    return separation;
+  }
+
+  slots.forEach((team, other) => {
+    if (team && team.grup === grup) {
+      separation = Math.min(separation, getMeetingRound(position, other));
+    }
+  });
+
+  return separation;
+};
+
+// Place seeded qualifiers into bracket positions. Qualifiers are ordered by
+// tier (group position) and rank; each tier takes the positions of its seed
+// numbers, and within a tier a team picks the position that keeps it away
+// from its own group for longest. Missing seeds become byes.
+const placeQualifiers = (qualifiers, size) => {
+  const seedOrder = getSeedOrder(size);
+  const slots = new Array(size).fill(null);
+  const tiers = [];
+
+  qualifiers.forEach(team => {
+    const last = tiers[tiers.length - 1];
+    if (last && last[0].tier === team.tier) {
+      last.push(team);
+    } else {
+      tiers.push([team]);
+    }
+  });
+
+  let nextSeed = 1;
+
+  for (const tier of tiers) {
+    const free = tier.map((_, i) => seedOrder.indexOf(nextSeed + i));
+    nextSeed += tier.length;
+
+    for (const team of tier) {
+      let bestPosition = free[0];
+      let bestSeparation = -1;
+
+      for (const position of free) {
+        const separation = getGroupSeparation(slots, position, team.grup);
+        if (separation > bestSeparation) {
+          bestPosition = position;
+          bestSeparation = separation;
+        }
+      }
+
+      slots[bestPosition] = team;
+      free.splice(free.indexOf(bestPosition), 1);
+    }
+  }
+
+  return slots;
+};
+
+// Where the winner and loser of a bracket match move to
+const getAdvancementTargets = (kode) => {
+  const parsed = /^(R32_|R16_|QF|SF|F)(\d+)$/.exec(kode);
+  if (!parsed) {
+    return {};
+  }
+
+  const roundIndex = ROUNDS.findIndex(r => r.prefix === parsed[1]);
+  const nextRound = ROUNDS[roundIndex + 1];
+  if (!nextRound) {
+    return {};
+  }
+
+  const index = Number(parsed[2]);
+  const slot = index % 2 === 1 ? 'team_1' : 'team_2';
+  const targets = {
+    winner: { kode: `${nextRound.prefix}${Math.ceil(index / 2)}`, slot }
+  };
+
+  if (ROUNDS[roundIndex].prefix === 'SF') {
+    targets.loser = { kode: THIRD_PLACE.kode, slot, optional: true };
+  }
+
+  return targets;
+};
+
+class BracketService {
+  async getBracket(kategoriId) {
+    try {
+      const query = `
+        SELECT
+          b.*,
+          t1.nama_club AS team1_name,
+          t2.nama_club AS team2_name,
+          m.skor_1,
+          m.skor_2,
+          m.skor_penalti_1,
+          m.skor_penalti_2,
+          m.waktu,
+          m.status AS match_status
+        FROM brackets b
+        LEFT JOIN teams t1 ON b.team_1 = t1.id
+        LEFT JOIN teams t2 ON b.team_2 = t2.id
+        LEFT JOIN matches m ON b.match_id = m.id
+        WHERE b.id_kategori = ?
+        ORDER BY b.id ASC
+      `;
+
+      const brackets = await database.query(query, [kategoriId]);
+
+      return brackets.map(bracket => ({
+        ...bracket,
+        skor_tampil: formatScore(bracket)
+      }));
+    } catch (error) {
+      logger.error('Error fetching bracket:', error);
+      throw new AppError('Failed to fetch bracket', 500);
+    }
+  }
+
+  // Create every bracket round for the category, fill the first round from
+  // the seeded qualifiers and push teams with a bye straight through.
+  async generateBracket(connection, kategoriId, qualifiers, options, userId) {
+    try {
+      const { thirdPlace = true } = options;
+
+      let size = 2;
+      while (size < qualifiers.length) {
+        size *= 2;
+      }
+
+      if (size > MAX_BRACKET_SIZE) {
+        throw new AppError(`Bracket supports at most ${MAX_BRACKET_SIZE} teams`, 400);
+      }
+
+      const [existing] = await connection.query(
+        'SELECT id FROM brackets WHERE id_kategori = ? LIMIT 1',
+        [kategoriId]
+      );
+
+      if (existing) {
+        throw new AppError('Bracket already generated for this category', 400);
+      }
+
+      const rounds = ROUNDS.filter(r => r.size <= size);
+      const slots = placeQualifiers(qualifiers, size);
+
+      const bracketQuery = `
+        INSERT INTO brackets (
+          id_kategori, round, kode, status
+        ) VALUES (?, ?, ?, 'menunggu')
+      `;
+
+      for (const round of rounds) {
+        for (let i = 1; i <= round.size / 2; i++) {
+          await connection.query(bracketQuery, [kategoriId, round.round, `${round.prefix}${i}`]);
+        }
+      }
+
+      // With three qualifiers one semi-final is a bye, so only one
+      // semi-final loser would ever reach the third-place match
+      if (thirdPlace && qualifiers.length >= 4) {
+        await connection.query(bracketQuery, [kategoriId, THIRD_PLACE.round, THIRD_PLACE.kode]);
+      }
+
+      const firstRound = rounds[0];
+      const createdMatches = [];
+      const byes = [];
+
+      for (let i = 1; i <= size / 2; i++) {
+        const kode = `${firstRound.prefix}${i}`;
+        const team1 = slots[i * 2 - 2];
+        const team2 = slots[i * 2 - 1];
+
+        if (team1 && team2) {
+          await this.placeTeam(connection, kategoriId, { kode, slot: 'team_1' }, team1.id_team, userId);
+          const created = await this.placeTeam(
+            connection, kategoriId, { kode, slot: 'team_2' }, team2.id_team, userId
+          );
+          createdMatches.push(created);
+          continue;
+        }
+
+        const team = team1 || team2;
+        if (!team) continue;
+
+        await connection.query(
+          `UPDATE brackets SET team_1 = ?, status = 'bye' WHERE id_kategori = ? AND kode = ?`,
+          [team.id_team, kategoriId, kode]
+        );
+
+        byes.push({ kode, id_team: team.id_team });
+
+        const { winner } = getAdvancementTargets(kode);
+        const created = await this.placeTeam(connection, kategoriId, winner, team.id_team, userId);
+        if (created) {
+          createdMatches.push(created);
+        }
+      }
+
+      logger.info('Bracket generated', {
+        kategori: kategoriId,
+        size,
+        matchCount: createdMatches.length,
+        byeCount: byes.length,
+        userId
+      });
+
+      return {
+        size,
+        rounds: rounds.map(r => r.round),
+        matches: createdMatches,
+        byes
+      };
+    } catch (error) {
+      logger.error('Error generating bracket:', error);
+      throw error;
+    }
+  }
+
+  // A level score is decided by the penalty shootout, if there was one
+  getWinnerAndLoser(match) {
+    let first = match.skor_1;
+    let second = match.skor_2;
+
+    if (first === second && match.skor_penalti_1 != null && match.skor_penalti_2 != null) {
+      first = match.skor_penalti_1;
+      second = match.skor_penalti_2;
+    }
+
+    if (first === second) {
+      return null;
+    }
+
+    return first > second
+      ? { winner: match.team_1, loser: match.team_2 }
+      : { winner: match.team_2, loser: match.team_1 };
+  }
+
+  // Move the winner and loser of a finished bracket match into their next
+  // bracket slots. Returns null when the match is not part of a bracket.
+  async advanceFromMatch(connection, match, userId) {
+    try {
+      const [bracket] = await connection.query(
+        'SELECT * FROM brackets WHERE match_id = ?',
+        [match.id]
+      );
+
+      if (!bracket) {
+        return null;
+      }
+
+      const result = this.getWinnerAndLoser(match);
+      if (!result) {
+        throw new AppError('Bracket match cannot finish in a draw; record extra time or a penalty shootout', 400);
+      }
+
+      await connection.query(
+        `UPDATE brackets SET status = 'selesai' WHERE id = ?`,
+        [bracket.id]
+      );
+
+      const targets = getAdvancementTargets(bracket.kode);
+      const createdMatches = [];
+
+      for (const outcome of ['winner', 'loser']) {
+        const target = targets[outcome];
+        if (!target) continue;
+
+        const created = await this.placeTeam(
+          connection,
+          match.id_kategori,
+          target,
+          result[outcome],
+          userId
+        );
+
+        if (created) {
+          createdMatches.push(created);
+        }
+      }
+
+      logger.info('Bracket advanced', {
+        kategori: match.id_kategori,
+        kode: bracket.kode,
+        winner: result.winner,
+        createdMatches: createdMatches.map(m => m.kode),
+        userId
+      });
+
+      return {
+        kode: bracket.kode,
+        winner: result.winner,
+        loser: result.loser,
+        createdMatches
+      };
+    } catch (error) {
+      logger.error('Error advancing bracket:', error);
+      throw error;
+    }
+  }
+
+  // Put a team into a bracket slot and create the match once both slots are filled
+  async placeTeam(connection, kategoriId, target, teamId, userId) {
+    const [bracket] = await connection.query(
+      'SELECT * FROM brackets WHERE id_kategori = ? AND kode = ? FOR UPDATE',
+      [kategoriId, target.kode]
+    );
+
+    if (!bracket) {
+      if (target.optional) {
+        return null;
+      }
+      throw new AppError(`Bracket slot ${target.kode} not found`, 404);
+    }
+
+    if (bracket.match_id) {
+      throw new AppError(`Bracket match ${target.kode} has already been created`, 400);
+    }
+
+    bracket[target.slot] = teamId;
+
+    await connection.query(
+      `UPDATE brackets SET ${target.slot} = ? WHERE id = ?`,
+      [teamId, bracket.id]
+    );
+
+    if (!bracket.team_1 || !bracket.team_2) {
+      return null;
+    }
+
+    const matchQuery = `
+      INSERT INTO matches (
+        id_kategori, team_1, team_2, grup, status,
+        skor_1, skor_2, created_by
+      ) VALUES (?, ?, ?, ?, 'belum_main', 0, 0, ?)
+    `;
+
+    const [matchResult] = await connection.query(matchQuery, [
+      kategoriId, bracket.team_1, bracket.team_2, bracket.round, userId
+    ]);
+
+    await connection.query(
+      `UPDATE brackets SET match_id = ?, status = 'belum_main' WHERE id = ?`,
+      [matchResult.insertId, bracket.id]
+    );
+
+    return {
+      id: matchResult.insertId,
+      round: bracket.round,
+      kode: bracket.kode,
+      team_1: bracket.team_1,
+      team_2: bracket.team_2
+    };
+  }
+}
+
+module.exports = BracketService;
@@ -0,0 +1,389 @@
+// src/services/match/DisciplineService.js
+const database = require('../../config/database');
+const { AppError } = require('../../middleware/error/errorHandler');
+const logger = require('../../utils/logger');
+const { MATCH_EVENT_TYPES } = require('../../constants/events');
+
+// Used for any rule a category does not override
+const DEFAULT_DISCIPLINE_RULES = {
+  batas_kuning: 3,
+  larangan_akumulasi: 1,
+  larangan_kuning_kedua: 1,
+  larangan_merah: 1
+};
+
+// Suspension reason and rule per sending-off event
+const CARD_SUSPENSIONS = {
+  [MATCH_EVENT_TYPES.MERAH]: { alasan: 'merah', rule: 'larangan_merah' },
+  [MATCH_EVENT_TYPES.KUNING_KEDUA]: { alasan: 'kuning_kedua', rule: 'larangan_kuning_kedua' }
+};
+
+// Matches served so far, counted from the suspension_matches log
+const SERVED_COUNT = `(SELECT COUNT(*) FROM suspension_matches sm WHERE sm.id_suspension = s.id)`;
+
+class DisciplineService {
+  parseRules(category) {
+    if (!category || !category.aturan_disiplin) {
+      return { ...DEFAULT_DISCIPLINE_RULES };
+    }
+
+    const rules = typeof category.aturan_disiplin === 'string'
+      ? JSON.parse(category.aturan_disiplin)
+      : category.aturan_disiplin;
+
+    return { ...DEFAULT_DISCIPLINE_RULES, ...rules };
+  }
+
+  async getRules(kategoriId, connection = database) {
+    const [category] = await connection.query(
+      'SELECT id, aturan_disiplin FROM event_categories WHERE id = ?',
+      [kategoriId]
+    );
+
+    if (!category) {
+      return null;
+    }
+
+    return this.parseRules(category);
+  }
+
+  async updateRules(kategoriId, rules, userId) {
+    try {
+      const current = await this.getRules(kategoriId);
+      if (!current) {
+        return null;
+      }
+
+      const updated = { ...current };
+      Object.keys(DEFAULT_DISCIPLINE_RULES).forEach(key => {
+        if (rules[key] !== undefined) {
+          updated[key] = rules[key];
+        }
+      });
+
+      await database.query(
+        'UPDATE event_categories SET aturan_disiplin = ? WHERE id = ?',
+        [JSON.stringify(updated), kategoriId]
+      );
+
+      logger.info('Discipline rules updated', { kategori: kategoriId, rules: updated, userId });
+
+      return updated;
+    } catch (error) {
+      logger.error('Error updating discipline rules:', error);
+      throw error;
+    }
+  }
+
+  async getSuspensions(kategoriId, { teamId = null, activeOnly = false } = {}, connection = database) {
+    try {
+      let query = `
+        SELECT
+          s.*,
+          ${SERVED_COUNT} AS laga_dijalani,
+          pe.id_pemain,
+          pe.id_team,
+          p.nama_pemain,
+          pe.no_punggung,
+          t.nama_club
+        FROM suspensions s
+        JOIN pemain_event pe ON s.id_pemain_event = pe.id
+        JOIN pemain p ON pe.id_pemain = p.id
+        JOIN teams t ON pe.id_team = t.id
+        WHERE s.id_kategori = ?
+      `;
+
+      const params = [kategoriId];
+
+      if (teamId) {
+        query += ' AND pe.id_team = ?';
+        params.push(teamId);
+      }
+
+      if (activeOnly) {
+        query += ` AND s.jumlah_laga > ${SERVED_COUNT}`;
+      }
+
+      query += ' ORDER BY s.created_at DESC';
+
+      const suspensions = await connection.query(query, params);
+
+      return suspensions.map(suspension => ({
+        ...suspension,
+        sisa_laga: Math.max(suspension.jumlah_laga - suspension.laga_dijalani, 0)
+      }));
+    } catch (error) {
+      logger.error('Error fetching suspensions:', error);
+      throw new AppError('Failed to fetch suspensions', 500);
+    }
+  }
+
+  // A team's players who are banned for its next fixture in the category
+  async getSuspendedPlayers(teamId, kategoriId) {
+    try {
+      const [nextMatch] = await database.query(
+        `SELECT id, team_1, team_2, waktu, grup
+         FROM matches
+         WHERE id_kategori = ?
+         AND (team_1 = ? OR team_2 = ?)
+         AND status = 'belum_main'
+         ORDER BY waktu ASC
+         LIMIT 1`,
+        [kategoriId, teamId, teamId]
+      );
+
+      const players = await this.getSuspensions(kategoriId, { teamId, activeOnly: true });
+
+      return {
+        next_match: nextMatch || null,
+        players
+      };
+    } catch (error) {
+      logger.error('Error fetching suspended players:', error);
+      throw new AppError('Failed to fetch suspended players', 500);
+    }
+  }
+
+  async getActiveSuspension(connection, playerId, teamId, kategoriId) {
+    const [suspension] = await connection.query(
+      `SELECT s.id, s.alasan, s.jumlah_laga, ${SERVED_COUNT} AS laga_dijalani
+       FROM suspensions s
+       JOIN pemain_event pe ON s.id_pemain_event = pe.id
+       WHERE pe.id_pemain = ?
+       AND pe.id_team = ?
+       AND s.id_kategori = ?
+       AND s.jumlah_laga > ${SERVED_COUNT}
+       LIMIT 1`,
+      [playerId, teamId, kategoriId]
+    );
+
+    return suspension || null;
+  }
+
+  async assertNotSuspended(connection, playerId, teamId, kategoriId) {
+    const suspension = await this.getActiveSuspension(connection, playerId, teamId, kategoriId);
+
+    if (suspension) {
+      throw new AppError(
+        `Player is suspended (${suspension.jumlah_laga - suspension.laga_dijalani} match(es) remaining)`,
+        400
+      );
+    }
+  }
+
+  // Manual ban issued by the EO
+  async createSuspension(kategoriId, data, userId) {
+    try {
+      const [player] = await database.query(
+        'SELECT id FROM pemain_event WHERE id = ? AND id_kategori = ?',
+        [data.id_pemain_event, kategoriId]
+      );
+
+      if (!player) {
+        throw new AppError('Player not found in this category', 404);
+      }
+
+      const result = await database.query(
+        `INSERT INTO suspensions (
+          id_pemain_event, id_kategori, alasan, jumlah_laga, catatan, created_by
+        ) VALUES (?, ?, 'manual', ?, ?, ?)`,
+        [data.id_pemain_event, kategoriId, data.jumlah_laga, data.catatan || null, userId]
+      );
+
+      logger.info('Suspension created', { suspensionId: result.insertId, kategori: kategoriId, userId });
+
+      return await this.getSuspensionById(result.insertId);
+    } catch (error) {
+      logger.error('Error creating suspension:', error);
+      throw error;
+    }
+  }
+
+  async getSuspensionById(id, connection = database) {
+    const [suspension] = await connection.query(
+      `SELECT s.*, ${SERVED_COUNT} AS laga_dijalani
+       FROM suspensions s
+       WHERE s.id = ?`,
+      [id]
+    );
+
+    return suspension || null;
+  }
+
+  // Add matches to an existing ban
+  async extendSuspension(id, tambahan, catatan, userId) {
+    try {
+      const suspension = await this.getSuspensionById(id);
+      if (!suspension) {
+        return null;
+      }
+
+      await database.query(
+        `UPDATE suspensions
+         SET jumlah_laga = jumlah_laga + ?, catatan = COALESCE(?, catatan),
+             updated_at = NOW(), updated_by = ?
+         WHERE id = ?`,
+        [tambahan, catatan || null, userId, id]
+      );
+
+      logger.info('Suspension extended', { suspensionId: id, tambahan, userId });
+
+      return await this.getSuspensionById(id);
+    } catch (error) {
+      logger.error('Error extending suspension:', error);
+      throw error;
+    }
+  }
+
+  // Run when a match finishes: bans that were active count this match as
+  // served, then the cards of this match issue new ones.
+  async applyMatchDiscipline(connection, match) {
+    try {
+      const served = await this.serveSuspensions(connection, match);
+      const issued = await this.issueSuspensions(connection, match);
+
+      return { served, issued };
+    } catch (error) {
+      logger.error('Error applying match discipline:', error);
+      throw error;
+    }
+  }
+
+  async serveSuspensions(connection, match) {
+    const active = await connection.query(
+      `SELECT s.id
+       FROM suspensions s
+       JOIN pemain_event pe ON s.id_pemain_event = pe.id
+       WHERE s.id_kategori = ?
+       AND pe.id_team IN (?, ?)
+       AND (s.id_match_sumber IS NULL OR s.id_match_sumber != ?)
+       AND s.jumlah_laga > ${SERVED_COUNT}`,
+      [match.id_kategori, match.team_1, match.team_2, match.id]
+    );
+
+    for (const suspension of active) {
+      await connection.query(
+        'INSERT IGNORE INTO suspension_matches (id_suspension, id_match) VALUES (?, ?)',
+        [suspension.id, match.id]
+      );
+    }
+
+    return active.map(suspension => suspension.id);
+  }
+
+  // Idempotent: re-running after an event correction adds missing bans and
+  // drops unserved ones whose card was voided.
+  async issueSuspensions(connection, match) {
+    const rules = await this.getRules(match.id_kategori, connection);
+    const issued = [];
+
+    // Bans for sending-offs in this match; drop unserved ones whose card
+    // was voided or corrected into something that is not a dismissal
+    await connection.query(
+      `DELETE s FROM suspensions s
+       LEFT JOIN match_events me ON s.id_match_event = me.id
+       WHERE s.id_match_sumber = ?
+       AND s.alasan IN ('merah', 'kuning_kedua')
+       AND (me.id IS NULL OR me.jenis NOT IN (${Object.keys(CARD_SUSPENSIONS).map(() => '?').join(', ')}))
+       AND NOT EXISTS (SELECT 1 FROM suspension_matches sm WHERE sm.id_suspension = s.id)`,
+      [match.id, ...Object.keys(CARD_SUSPENSIONS)]
+    );
+
+    const sendingOffs = await connection.query(
+      `SELECT me.id, me.jenis, pe.id AS id_pemain_event
+       FROM match_events me
+       JOIN pemain_event pe ON pe.id_pemain = me.id_pemain
+         AND pe.id_team = me.id_team
+         AND pe.id_kategori = me.id_kategori
+       LEFT JOIN suspensions s ON s.id_match_event = me.id
+       WHERE me.id_match = ?
+       AND me.jenis IN (${Object.keys(CARD_SUSPENSIONS).map(() => '?').join(', ')})
+       AND s.id IS NULL`,
+      [match.id, ...Object.keys(CARD_SUSPENSIONS)]
+    );
+
+    for (const event of sendingOffs) {
+      const { alasan, rule } = CARD_SUSPENSIONS[event.jenis];
+      if (!rules[rule]) continue;
+
+      const [result] = await connection.query(
+        `INSERT INTO suspensions (
+          id_pemain_event, id_kategori, id_match_sumber, id_match_event, alasan, jumlah_laga
+        ) VALUES (?, ?, ?, ?, ?, ?)`,
+        [event.id_pemain_event, match.id_kategori, match.id, event.id, alasan, rules[rule]]
+      );
+
+      issued.push({ id: result.insertId, id_pemain_event: event.id_pemain_event, alasan });
+    }
+
+    // Accumulated yellows; the first yellow of a second-yellow dismissal
+    // is covered by that ban and does not count
+    if (rules.batas_kuning > 0 && rules.larangan_akumulasi > 0) {
+      const yellows = await connection.query(
+        `SELECT pe.id AS id_pemain_event, COUNT(me.id) AS kuning,
+           (SELECT COUNT(*) FROM suspensions s
+            WHERE s.id_pemain_event = pe.id AND s.alasan = 'akumulasi_kuning') AS larangan
+         FROM pemain_event pe
+         LEFT JOIN match_events me ON me.id_pemain = pe.id_pemain
+           AND me.id_team = pe.id_team
+           AND me.id_kategori = pe.id_kategori
+           AND me.jenis = ?
+           AND NOT EXISTS (
+             SELECT 1 FROM match_events kedua
+             WHERE kedua.id_event_terkait = me.id AND kedua.jenis = ?
+           )
+           AND EXISTS (
+             SELECT 1 FROM matches m
+             WHERE m.id = me.id_match AND m.status = 'selesai'
+           )
+         WHERE pe.id_kategori = ?
+         AND pe.id_team IN (?, ?)
+         GROUP BY pe.id`,
+        [
+          MATCH_EVENT_TYPES.KUNING,
+          MATCH_EVENT_TYPES.KUNING_KEDUA,
+          match.id_kategori,
+          match.team_1,
+          match.team_2
+        ]
+      );
+
+      for (const player of yellows) {
+        const expected = Math.floor(player.kuning / rules.batas_kuning);
+
+        for (let i = player.larangan; i < expected; i++) {
+          const [result] = await connection.query(
+            `INSERT INTO suspensions (
+              id_pemain_event, id_kategori, id_match_sumber, alasan, jumlah_laga
+            ) VALUES (?, ?, ?, 'akumulasi_kuning', ?)`,
+            [player.id_pemain_event, match.id_kategori, match.id, rules.larangan_akumulasi]
+          );
+
+          issued.push({ id: result.insertId, id_pemain_event: player.id_pemain_event, alasan: 'akumulasi_kuning' });
+        }
+
+        if (player.larangan > expected) {
+          await connection.query(
+            `DELETE FROM suspensions
+             WHERE id_pemain_event = ?
+             AND alasan = 'akumulasi_kuning'
+             AND NOT EXISTS (SELECT 1 FROM suspension_matches sm WHERE sm.id_suspension = suspensions.id)
+             ORDER BY created_at DESC
+             LIMIT ?`,
+            [player.id_pemain_event, player.larangan - expected]
+          );
+        }
+      }
+    }
+
+    if (issued.length > 0) {
+      logger.info('Suspensions issued', { matchId: match.id, count: issued.length });
+    }
+
+    return issued;
+  }
+}
+
+DisciplineService.DEFAULT_RULES = DEFAULT_DISCIPLINE_RULES;
+
+module.exports = DisciplineService;
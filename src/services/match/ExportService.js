@@ -0,0 +1,200 @@
+// src/services/match/ExportService.js
+const database = require('../../config/database');
+const { AppError } = require('../../middleware/error/errorHandler');
+const MatchService = require('./MatchService');
+const StandingService = require('./StandingService');
+const LeaderboardService = require('../team/LeaderboardService');
+const { formatScore } = require('../../utils/formatters/matchFormatter');
+
+const EXPORT_FORMATS = ['csv', 'xlsx'];
+
+const MATCH_COLUMNS = [
+  { key: 'id', header: 'ID' },
+  { key: 'waktu', header: 'Kickoff' },
+  { key: 'nama_event', header: 'Event' },
+  { key: 'nama_kategori', header: 'Category' },
+  { key: 'grup', header: 'Group' },
+  { key: 'matchday', header: 'Matchday' },
+  { key: 'team1_name', header: 'Team 1' },
+  { key: 'team2_name', header: 'Team 2' },
+  { key: 'skor_1', header: 'Score 1' },
+  { key: 'skor_2', header: 'Score 2' },
+  { key: 'skor_penalti_1', header: 'Penalties 1' },
+  { key: 'skor_penalti_2', header: 'Penalties 2' },
+  { key: 'skor_tampil', header: 'Result' },
+  { key: 'status', header: 'Status' },
+  { key: 'nama_venue', header: 'Venue' },
+  { key: 'nama_court', header: 'Court' }
+];
+
+// Columns, accepted filters and row source of every dataset. Sources
+// return an array or an object-mode stream of rows.
+const DATASETS = {
+  fixtures: {
+    title: 'Fixtures',
+    filters: ['kategori', 'status', 'grup', 'event'],
+    columns: MATCH_COLUMNS
+  },
+  results: {
+    title: 'Results',
+    filters: ['kategori', 'grup', 'event'],
+    columns: MATCH_COLUMNS
+  },
+  standings: {
+    title: 'Standings',
+    filters: ['kategori', 'grup'],
+    required: ['kategori'],
+    columns: [
+      { key: 'grup', header: 'Group' },
+      { key: 'posisi', header: 'Position' },
+      { key: 'nama_club', header: 'Team' },
+      { key: 'main', header: 'Played' },
+      { key: 'menang', header: 'Won' },
+      { key: 'seri', header: 'Drawn' },
+      { key: 'kalah', header: 'Lost' },
+      { key: 'goal_masuk', header: 'Goals for' },
+      { key: 'goal_kemasukan', header: 'Goals against' },
+      { key: 'selisih', header: 'Goal difference' },
+      { key: 'point', header: 'Points' },
+      { key: 'fair_play', header: 'Fair play' }
+    ]
+  },
+  scorers: {
+    title: 'Top scorers',
+    filters: ['kategori', 'event'],
+    requiredOneOf: ['kategori', 'event'],
+    columns: [
+      { key: 'peringkat', header: 'Rank' },
+      { key: 'nama_pemain', header: 'Player' },
+      { key: 'no_punggung', header: 'Shirt' },
+      { key: 'nama_club', header: 'Team' },
+      { key: 'gol', header: 'Goals' },
+      { key: 'gol_penalti', header: 'Penalty goals' },
+      { key: 'gol_bunuh_diri', header: 'Own goals' },
+      { key: 'main', header: 'Matches' },
+      { key: 'menit_bermain', header: 'Minutes' },
+      { key: 'gol_per_main', header: 'Goals per match' }
+    ]
+  },
+  rosters: {
+    title: 'Rosters',
+    filters: ['kategori', 'team', 'event'],
+    requiredOneOf: ['kategori', 'team', 'event'],
+    columns: [
+      { key: 'nama_event', header: 'Event' },
+      { key: 'nama_kategori', header: 'Category' },
+      { key: 'nama_club', header: 'Team' },
+      { key: 'no_punggung', header: 'Shirt' },
+      { key: 'nama_pemain', header: 'Player' },
+      { key: 'jumlah_gol', header: 'Goals' },
+      { key: 'jumlah_assist', header: 'Assists' },
+      { key: 'jumlah_kuning', header: 'Yellow cards' },
+      { key: 'jumlah_merah', header: 'Red cards' }
+    ]
+  }
+};
+
+class ExportService {
+  constructor() {
+    this.matchService = new MatchService();
+    this.standingService = new StandingService();
+    this.leaderboardService = new LeaderboardService();
+  }
+
+  // Dataset definition with its row source, after checking the filters
+  async getExport(dataset, filters = {}) {
+    const definition = DATASETS[dataset];
+    if (!definition) {
+      throw new AppError(`Unknown export: ${dataset}`, 400);
+    }
+
+    const missing = (definition.required || []).filter(key => !filters[key]);
+    if (missing.length > 0) {
+      throw new AppError(`The ${dataset} export requires: ${missing.join(', ')}`, 400);
+    }
+
+    if (definition.requiredOneOf && !definition.requiredOneOf.some(key => filters[key])) {
+      throw new AppError(`The ${dataset} export requires one of: ${definition.requiredOneOf.join(', ')}`, 400);
+    }
+
+    const scoped = Object.fromEntries(
+      definition.filters.filter(key => filters[key] !== undefined).map(key => [key, filters[key]])
+    );
+
+    return {
+      title: definition.title,
+      columns: definition.columns,
+      rows: await this.getRows(dataset, scoped)
+    };
+  }
+
+  async getRows(dataset, filters) {
+    switch (dataset) {
+      case 'fixtures':
+        return this.withScore(this.matchService.streamMatches(filters));
+      case 'results':
+        return this.withScore(this.matchService.streamMatches({ ...filters, status: 'selesai' }));
+      case 'standings':
+        return await this.standingService.getStandings(filters.kategori, filters.grup);
+      case 'scorers': {
+        const scope = filters.kategori ? { kategori: filters.kategori } : { event: filters.event };
+        const result = await this.leaderboardService.getLeaderboard('scorers', scope, {
+          limit: Number.MAX_SAFE_INTEGER
+        });
+        return result.data;
+      }
+      case 'rosters':
+        return this.streamRosters(filters);
+      default:
+        return [];
+    }
+  }
+
+  async *withScore(rows) {
+    for await (const match of rows) {
+      yield { ...match, skor_tampil: formatScore(match) };
+    }
+  }
+
+  streamRosters(filters) {
+    const whereConditions = [];
+    const params = [];
+
+    if (filters.kategori) {
+      whereConditions.push('pe.id_kategori = ?');
+      params.push(filters.kategori);
+    }
+
+    if (filters.team) {
+      whereConditions.push('pe.id_team = ?');
+      params.push(filters.team);
+    }
+
+    if (filters.event) {
+      whereConditions.push('ec.id_event = ?');
+      params.push(filters.event);
+    }
+
+    return database.stream(
+      `SELECT
+        pe.*,
+        p.nama_pemain,
+        t.nama_club,
+        ec.nama_kategori,
+        e.nama_event
+      FROM pemain_event pe
+      JOIN pemain p ON pe.id_pemain = p.id
+      JOIN teams t ON pe.id_team = t.id
+      JOIN event_categories ec ON pe.id_kategori = ec.id
+      LEFT JOIN events e ON ec.id_event = e.id
+      WHERE ${whereConditions.join(' AND ')}
+      ORDER BY ec.id, t.nama_club, pe.no_punggung`,
+      params
+    );
+  }
+}
+
+ExportService.FORMATS = EXPORT_FORMATS;
+ExportService.DATASETS = Object.keys(DATASETS);
+
+module.exports = ExportService;
@@ -0,0 +1,236 @@
+// src/services/match/GroupDrawService.js
+const crypto = require('crypto');
+const database = require('../../config/database');
+const { AppError } = require('../../middleware/error/errorHandler');
+const logger = require('../../utils/logger');
+
+const MAX_GROUPS = 26;
+
+// Give up on a draw whose constraints cannot be checked in reasonable time
+const MAX_SEARCH_STEPS = 200000;
+
+// Team attributes that can be kept apart, mapped to their teams column
+const SEPARATION_FIELDS = {
+  club: 'nama_club',
+  region: 'wilayah'
+};
+
+const groupLabel = (index) => String.fromCharCode(65 + index);
+
+// Deterministic PRNG (mulberry32) seeded from a string, so the same seed
+// and pots always reproduce the same draw
+const createRandom = (seed) => {
+  let state = crypto.createHash('sha256').update(String(seed)).digest().readUInt32LE(0);
+
+  return () => {
+    state = (state + 0x6D2B79F5) | 0;
+    let t = Math.imul(state ^ (state >>> 15), 1 | state);
+    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+};
+
+const shuffle = (items, random) => {
+  const result = [...items];
+  for (let i = result.length - 1; i > 0; i--) {
+    const j = Math.floor(random() * (i + 1));
+    [result[i], result[j]] = [result[j], result[i]];
+  }
+  return result;
+};
+
+// Group sizes as even as possible, earlier groups taking the remainder
+const getGroupSizes = (teamCount, groupCount) =>
+  Array.from({ length: groupCount }, (_, index) =>
+    Math.floor(teamCount / groupCount) + (index < teamCount % groupCount ? 1 : 0)
+  );
+
+// A team may join a group that has room, holds no team from the same pot
+// and shares no separated attribute with the teams already in it
+const canJoin = (group, team, size) =>
+  group.teams.length < size
+  && !group.teams.some(other => other.pot === team.pot)
+  && !group.teams.some(other => team.keys.some(key => other.keys.includes(key)));
+
+// Check whether the remaining teams can still be placed. Groups are tried in
+// order, so the first feasible group is the one the draw will use.
+const canComplete = (groups, sizes, remaining, budget) => {
+  if (remaining.length === 0) return true;
+  if (--budget.steps < 0) {
+    throw new AppError('Draw constraints are too complex to resolve', 400);
+  }
+
+  const [team, ...rest] = remaining;
+
+  return groups.some((group, index) => {
+    if (!canJoin(group, team, sizes[index])) return false;
+
+    group.teams.push(team);
+    const possible = canComplete(groups, sizes, rest, budget);
+    group.teams.pop();
+
+    return possible;
+  });
+};
+
+// Draw pot by pot in a seeded random order. Each drawn team goes to the
+// first group (alphabetically) that keeps the rest of the draw possible.
+const runDraw = (teams, groupCount, seed) => {
+  const random = createRandom(seed);
+  const sizes = getGroupSizes(teams.length, groupCount);
+  const groups = sizes.map((_, index) => ({ grup: groupLabel(index), teams: [] }));
+
+  const potCount = Math.max(...teams.map(team => team.pot)) + 1;
+  const order = [];
+  for (let pot = 0; pot < potCount; pot++) {
+    order.push(...shuffle(teams.filter(team => team.pot === pot), random));
+  }
+
+  const budget = { steps: MAX_SEARCH_STEPS };
+
+  if (!canComplete(groups, sizes, order, budget)) {
+    throw new AppError('No draw satisfies the pots and separation constraints', 400);
+  }
+
+  return order.map((team, index) => {
+    const rest = order.slice(index + 1);
+    const groupIndex = groups.findIndex((group, i) => {
+      if (!canJoin(group, team, sizes[i])) return false;
+
+      group.teams.push(team);
+      const possible = canComplete(groups, sizes, rest, budget);
+      group.teams.pop();
+
+      return possible;
+    });
+
+    groups[groupIndex].teams.push(team);
+
+    return {
+      urutan: index + 1,
+      pot: team.pot + 1,
+      id_team: team.id_team,
+      nama_club: team.nama_club,
+      grup: groups[groupIndex].grup
+    };
+  });
+};
+
+class GroupDrawService {
+  // pots is a list of team ID lists, best seeds first. separate lists the
+  // attributes (club, region) that teams in one group must not share;
+  // keepApart lists extra sets of team IDs that must be split up.
+  async drawGroups(kategoriId, options, userId) {
+    return await database.transaction(async (connection) => {
+      try {
+        const {
+          pots,
+          jumlah_grup,
+          separate = [],
+          keepApart = [],
+          dryRun = false
+        } = options;
+
+        const seed = options.seed || crypto.randomBytes(8).toString('hex');
+
+        if (jumlah_grup < 1 || jumlah_grup > MAX_GROUPS) {
+          throw new AppError(`Number of groups must be between 1 and ${MAX_GROUPS}`, 400);
+        }
+
+        const unknownFields = separate.filter(field => !SEPARATION_FIELDS[field]);
+        if (unknownFields.length > 0) {
+          throw new AppError(`Unknown separation constraint: ${unknownFields.join(', ')}`, 400);
+        }
+
+        const teamIds = pots.flat().map(Number);
+        if (new Set(teamIds).size !== teamIds.length) {
+          throw new AppError('A team appears in more than one pot', 400);
+        }
+
+        if (pots.some(pot => pot.length > jumlah_grup)) {
+          throw new AppError('A pot cannot hold more teams than there are groups', 400);
+        }
+
+        const [scheduled] = await connection.query(
+          `SELECT COUNT(*) AS count
+           FROM matches m
+           WHERE m.id_kategori = ?
+           AND m.grup IS NOT NULL
+           AND NOT EXISTS (SELECT 1 FROM brackets b WHERE b.match_id = m.id)`,
+          [kategoriId]
+        );
+
+        if (scheduled.count > 0) {
+          throw new AppError('Group matches have already been generated for this category', 400);
+        }
+
+        const registered = await connection.query(
+          `SELECT et.id_team, t.nama_club, ${Object.values(SEPARATION_FIELDS).map(f => `t.${f}`).join(', ')}
+           FROM event_teams et
+           JOIN teams t ON et.id_team = t.id
+           WHERE et.id_kategori = ?
+           AND et.id_team IN (${teamIds.map(() => '?').join(', ')})`,
+          [kategoriId, ...teamIds]
+        );
+
+        if (registered.length !== teamIds.length) {
+          throw new AppError('All drawn teams must be registered in this category', 400);
+        }
+
+        const teams = pots.flatMap((pot, potIndex) => pot.map(id => {
+          const team = registered.find(row => row.id_team === Number(id));
+
+          // Separation keys: shared attribute values and keep-apart sets
+          const keys = [
+            ...separate
+              .filter(field => team[SEPARATION_FIELDS[field]])
+              .map(field => `${field}:${String(team[SEPARATION_FIELDS[field]]).trim().toLowerCase()}`),
+            ...keepApart
+              .map((set, setIndex) => (set.map(Number).includes(team.id_team) ? `set:${setIndex}` : null))
+              .filter(Boolean)
+          ];
+
+          return { id_team: team.id_team, nama_club: team.nama_club, pot: potIndex, keys };
+        }));
+
+        const steps = runDraw(teams, jumlah_grup, seed);
+
+        if (!dryRun) {
+          // Teams left out of the pots are no longer in any group
+          await connection.query('UPDATE event_teams SET grup = NULL WHERE id_kategori = ?', [kategoriId]);
+
+          for (const step of steps) {
+            await connection.query(
+              'UPDATE event_teams SET grup = ? WHERE id_kategori = ? AND id_team = ?',
+              [step.grup, kategoriId, step.id_team]
+            );
+          }
+
+          logger.info('Group draw completed', {
+            kategori: kategoriId,
+            groups: jumlah_grup,
+            teams: steps.length,
+            seed,
+            userId
+          });
+        }
+
+        const groups = {};
+        steps.forEach(step => {
+          groups[step.grup] = groups[step.grup] || [];
+          groups[step.grup].push({ id_team: step.id_team, nama_club: step.nama_club, pot: step.pot });
+        });
+
+        return { seed, dryRun, steps, groups };
+      } catch (error) {
+        logger.error('Error drawing groups:', error);
+        throw error;
+      }
+    });
+  }
+}
+
+GroupDrawService.SEPARATION_FIELDS = Object.keys(SEPARATION_FIELDS);
+GroupDrawService.runDraw = runDraw;
+
+module.exports = GroupDrawService;
@@ -0,0 +1,264 @@
+// src/services/match/LineupService.js
+const database = require('../../config/database');
+const { AppError } = require('../../middleware/error/errorHandler');
+const logger = require('../../utils/logger');
+const MatchService = require('./MatchService');
+const DisciplineService = require('./DisciplineService');
+
+const MINUTE_MS = 60 * 1000;
+
+// Used when a category does not set its own lock time
+const DEFAULT_LOCK_MINUTES = 60;
+
+class LineupService {
+  constructor() {
+    this.matchService = new MatchService();
+    this.disciplineService = new DisciplineService();
+  }
+
+  async getCategoryRules(connection, kategoriId) {
+    const [rules] = await connection.query(
+      `SELECT min_pemain_inti, maks_pemain_inti, min_cadangan, maks_cadangan,
+              maks_staff_lineup, kunci_lineup_menit
+       FROM event_categories
+       WHERE id = ?`,
+      [kategoriId]
+    );
+
+    return rules || {};
+  }
+
+  // Lineups close kunci_lineup_menit before kickoff, or once the match has
+  // started. Without a kickoff time there is no lock time yet.
+  getLockInfo(match, rules) {
+    if (!match.waktu) {
+      return { locks_at: null, locked: match.status !== 'belum_main' };
+    }
+
+    const lockMinutes = rules.kunci_lineup_menit ?? DEFAULT_LOCK_MINUTES;
+    const locksAt = new Date(new Date(match.waktu).getTime() - lockMinutes * MINUTE_MS);
+
+    return {
+      locks_at: locksAt,
+      locked: match.status !== 'belum_main' || Date.now() >= locksAt.getTime()
+    };
+  }
+
+  async getLineup(matchId) {
+    try {
+      const detail = await this.matchService.getMatchDetailWithLineup(matchId);
+      if (!detail) {
+        return null;
+      }
+
+      const rules = await this.getCategoryRules(database, detail.id_kategori);
+
+      const submissions = await database.query(
+        'SELECT id_team, submitted_by, submitted_at FROM match_lineup_submissions WHERE id_match = ?',
+        [matchId]
+      );
+
+      const submissionOf = (teamId) => submissions.find(s => s.id_team === teamId) || null;
+
+      return {
+        id_match: detail.id,
+        ...this.getLockInfo(detail, rules),
+        team_1: {
+          id_team: detail.team_1,
+          submission: submissionOf(detail.team_1),
+          players: detail.lineup.team_1,
+          staff: detail.staff.team_1
+        },
+        team_2: {
+          id_team: detail.team_2,
+          submission: submissionOf(detail.team_2),
+          players: detail.lineup.team_2,
+          staff: detail.staff.team_2
+        }
+      };
+    } catch (error) {
+      logger.error('Error fetching lineup:', error);
+      throw new AppError('Failed to fetch lineup', 500);
+    }
+  }
+
+  // Replace a team's lineup for a match. players is a list of
+  // { id_pemain_event, is_starting, is_kiper }, staff a list of staff_event IDs.
+  async submitLineup(matchId, teamId, { players, staff = [] }, userId) {
+    const match = await this.matchService.getMatchById(matchId);
+    if (!match) {
+      return null;
+    }
+
+    teamId = Number(teamId);
+
+    if (![match.team_1, match.team_2].includes(teamId)) {
+      throw new AppError('Team is not playing in this match', 400);
+    }
+
+    await database.transaction(async (connection) => {
+      try {
+        const rules = await this.getCategoryRules(connection, match.id_kategori);
+
+        // The lock is counted back from kickoff, so the match must be scheduled first
+        if (!match.waktu) {
+          throw new AppError('Lineups open once the match has a kickoff time', 400);
+        }
+
+        if (this.getLockInfo(match, rules).locked) {
+          throw new AppError('Lineup is locked for this match', 400);
+        }
+
+        await this.validatePlayers(connection, match, teamId, players, rules);
+        await this.validateStaff(connection, match, teamId, staff, rules);
+
+        await connection.query(
+          `DELETE ml FROM match_lineup ml
+           JOIN pemain_event pe ON ml.id_pemain_event = pe.id
+           WHERE ml.id_match = ? AND pe.id_team = ?`,
+          [matchId, teamId]
+        );
+
+        await connection.query(
+          `DELETE msl FROM match_staff_lineup msl
+           JOIN staff_event se ON msl.id_staff_event = se.id
+           WHERE msl.id_match = ? AND se.id_team = ?`,
+          [matchId, teamId]
+        );
+
+        for (const player of players) {
+          await connection.query(
+            'INSERT INTO match_lineup (id_match, id_pemain_event, is_starting, is_kiper) VALUES (?, ?, ?, ?)',
+            [matchId, player.id_pemain_event, player.is_starting ? 1 : 0, player.is_kiper ? 1 : 0]
+          );
+        }
+
+        for (const staffId of staff) {
+          await connection.query(
+            'INSERT INTO match_staff_lineup (id_match, id_staff_event) VALUES (?, ?)',
+            [matchId, staffId]
+          );
+        }
+
+        await connection.query(
+          `INSERT INTO match_lineup_submissions (id_match, id_team, submitted_by, submitted_at)
+           VALUES (?, ?, ?, NOW())
+           ON DUPLICATE KEY UPDATE submitted_by = VALUES(submitted_by), submitted_at = NOW()`,
+          [matchId, teamId, userId]
+        );
+
+        logger.info('Lineup submitted', {
+          matchId,
+          teamId,
+          players: players.length,
+          staff: staff.length,
+          userId
+        });
+      } catch (error) {
+        logger.error('Error submitting lineup:', error);
+        throw error;
+      }
+    });
+
+    const lineup = await this.getLineup(matchId);
+
+    return {
+      match,
+      lineup: lineup.team_1.id_team === teamId ? lineup.team_1 : lineup.team_2
+    };
+  }
+
+  async validatePlayers(connection, match, teamId, players, rules) {
+    const ids = players.map(player => Number(player.id_pemain_event));
+
+    if (new Set(ids).size !== ids.length) {
+      throw new AppError('A player is listed more than once', 400);
+    }
+
+    const registered = ids.length > 0
+      ? await connection.query(
+        `SELECT pe.id, pe.no_punggung
+         FROM pemain_event pe
+         WHERE pe.id IN (${ids.map(() => '?').join(', ')})
+         AND pe.id_team = ?
+         AND pe.id_kategori = ?`,
+        [...ids, teamId, match.id_kategori]
+      )
+      : [];
+
+    if (registered.length !== ids.length) {
+      throw new AppError('All players must be registered for this team and category', 400);
+    }
+
+    const numbers = registered.map(player => player.no_punggung);
+    if (new Set(numbers).size !== numbers.length) {
+      throw new AppError('Shirt numbers in a lineup must be unique', 400);
+    }
+
+    const starters = players.filter(player => player.is_starting).length;
+    const substitutes = players.length - starters;
+
+    if (rules.min_pemain_inti != null && starters < rules.min_pemain_inti) {
+      throw new AppError(`At least ${rules.min_pemain_inti} starters are required`, 400);
+    }
+
+    if (rules.maks_pemain_inti != null && starters > rules.maks_pemain_inti) {
+      throw new AppError(`At most ${rules.maks_pemain_inti} starters are allowed`, 400);
+    }
+
+    if (rules.min_cadangan != null && substitutes < rules.min_cadangan) {
+      throw new AppError(`At least ${rules.min_cadangan} substitutes are required`, 400);
+    }
+
+    if (rules.maks_cadangan != null && substitutes > rules.maks_cadangan) {
+      throw new AppError(`At most ${rules.maks_cadangan} substitutes are allowed`, 400);
+    }
+
+    if (players.filter(player => player.is_starting && player.is_kiper).length > 1) {
+      throw new AppError('Only one starting goalkeeper is allowed', 400);
+    }
+
+    const suspended = await this.disciplineService.getSuspensions(
+      match.id_kategori,
+      { teamId, activeOnly: true },
+      connection
+    );
+
+    const blocked = suspended.filter(suspension => ids.includes(suspension.id_pemain_event));
+    if (blocked.length > 0) {
+      throw new AppError(
+        `Suspended players cannot be selected: ${blocked.map(s => s.nama_pemain).join(', ')}`,
+        400
+      );
+    }
+  }
+
+  async validateStaff(connection, match, teamId, staff, rules) {
+    const ids = staff.map(Number);
+
+    if (new Set(ids).size !== ids.length) {
+      throw new AppError('A staff member is listed more than once', 400);
+    }
+
+    if (rules.maks_staff_lineup != null && ids.length > rules.maks_staff_lineup) {
+      throw new AppError(`At most ${rules.maks_staff_lineup} staff members are allowed`, 400);
+    }
+
+    if (ids.length === 0) return;
+
+    const registered = await connection.query(
+      `SELECT se.id
+       FROM staff_event se
+       WHERE se.id IN (${ids.map(() => '?').join(', ')})
+       AND se.id_team = ?
+       AND se.id_kategori = ?`,
+      [...ids, teamId, match.id_kategori]
+    );
+
+    if (registered.length !== ids.length) {
+      throw new AppError('All staff must be registered for this team and category', 400);
+    }
+  }
+}
+
+module.exports = LineupService;
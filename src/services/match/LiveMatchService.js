@@ -0,0 +1,376 @@
+// src/services/match/LiveMatchService.js
+const database = require('../../config/database');
+const { AppError } = require('../../middleware/error/errorHandler');
+const logger = require('../../utils/logger');
+const { formatScore } = require('../../utils/formatters/matchFormatter');
+const MatchService = require('./MatchService');
+const StandingService = require('./StandingService');
+const BracketService = require('./BracketService');
+const DisciplineService = require('./DisciplineService');
+const MatchClockService = require('./MatchClockService');
+const ShootoutService = require('./ShootoutService');
+
+class LiveMatchService {
+  constructor() {
+    this.matchService = new MatchService();
+    this.standingService = new StandingService();
+    this.bracketService = new BracketService();
+    this.disciplineService = new DisciplineService();
+    this.clockService = new MatchClockService();
+    this.shootoutService = new ShootoutService();
+  }
+
+  // Start the first half of a scheduled match, or the next half after
+  // half-time. Without babak the next half in sequence is started.
+  async startMatch(id, babak, userId) {
+    const match = await this.matchService.getMatchById(id);
+    if (!match) {
+      return null;
+    }
+
+    if (!['belum_main', 'sedang_main'].includes(match.status)) {
+      throw new AppError('Match cannot be started', 400);
+    }
+
+    const started = await database.transaction(async (connection) => {
+      try {
+        const current = await this.clockService.getClock(id, connection);
+        const half = babak ? Number(babak) : (current ? current.babak + 1 : 1);
+
+        // Extra-time periods follow the regular halves only in a knockout
+        // match that is level after them; once started they are played out
+        if (half > match.jumlah_babak) {
+          const [bracket] = await connection.query('SELECT id FROM brackets WHERE match_id = ?', [id]);
+          const inExtraTime = current && current.babak > match.jumlah_babak;
+          const allowed = bracket
+            && half <= match.jumlah_babak + (match.babak_tambahan || 0)
+            && (inExtraTime || match.skor_1 === match.skor_2);
+
+          if (!allowed) {
+            throw new AppError(
+              `This category is played in ${match.jumlah_babak} halves; `
+              + `its ${match.babak_tambahan || 0} extra-time periods are only for knockout matches level after regular time`,
+              400
+            );
+          }
+        }
+
+        if (match.status === 'belum_main') {
+          await connection.query(
+            `UPDATE matches
+             SET status = 'sedang_main', revisi_jadwal = revisi_jadwal + 1, updated_at = NOW(), updated_by = ?
+             WHERE id = ?`,
+            [userId, id]
+          );
+        }
+
+        const clock = await this.clockService.startHalf(connection, match, half);
+
+        logger.info('Match half started', { matchId: id, babak: half, userId });
+
+        return { ...match, status: 'sedang_main', clock };
+      } catch (error) {
+        logger.error('Error starting match:', error);
+        throw error;
+      }
+    });
+
+    this.clockService.invalidateLiveClocks();
+    return started;
+  }
+
+  async pauseMatch(id, userId) {
+    return await this.updateClock(id, userId, 'paused', (connection) =>
+      this.clockService.pause(connection, id)
+    );
+  }
+
+  async resumeMatch(id, userId) {
+    return await this.updateClock(id, userId, 'resumed', (connection) =>
+      this.clockService.resume(connection, id)
+    );
+  }
+
+  async endHalf(id, userId) {
+    return await this.updateClock(id, userId, 'half ended', async (connection) => {
+      // A knockout match that is level after the regular halves goes to extra time
+      const [match] = await connection.query(
+        `SELECT m.skor_1, m.skor_2, b.id AS id_bracket
+         FROM matches m
+         LEFT JOIN brackets b ON b.match_id = m.id
+         WHERE m.id = ?`,
+        [id]
+      );
+
+      return await this.clockService.endHalf(connection, id, {
+        extraTime: Boolean(match.id_bracket) && match.skor_1 === match.skor_2
+      });
+    });
+  }
+
+  async setStoppageTime(id, menit, userId) {
+    return await this.updateClock(id, userId, 'stoppage time announced', (connection) =>
+      this.clockService.setStoppageTime(connection, id, menit)
+    );
+  }
+
+  // Apply a clock transition to a match in progress. Returns null when the
+  // match is missing; a match not in progress or a clock in the wrong phase
+  // is a conflict that names the current phase.
+  async updateClock(id, userId, action, transition) {
+    const match = await this.matchService.getMatchById(id);
+    if (!match) {
+      return null;
+    }
+
+    if (match.status !== 'sedang_main') {
+      throw new AppError(`Match is not in progress (status: ${match.status})`, 409);
+    }
+
+    const updated = await database.transaction(async (connection) => {
+      try {
+        const clock = await transition(connection);
+        if (!clock) {
+          const current = await this.clockService.getClockRow(connection, id);
+          throw new AppError(`Not possible while the match clock is ${current ? current.fase : 'not started'}`, 409);
+        }
+
+        logger.info(`Match clock ${action}`, { matchId: id, babak: clock.babak, detik: clock.detik, userId });
+
+        return { ...match, clock };
+      } catch (error) {
+        logger.error(`Error updating match clock (${action}):`, error);
+        throw error;
+      }
+    });
+
+    this.clockService.invalidateLiveClocks();
+    return updated;
+  }
+
+  // Record a shootout kick for a level knockout match whose playing time is over
+  async recordPenaltyKick(id, kickData, userId) {
+    const match = await this.matchService.getMatchById(id);
+    if (!match) {
+      return null;
+    }
+
+    if (match.status !== 'sedang_main') {
+      throw new AppError('Match is not in progress', 400);
+    }
+
+    if (![match.team_1, match.team_2].includes(Number(kickData.id_team))) {
+      throw new AppError('Team is not playing in this match', 400);
+    }
+
+    return await database.transaction(async (connection) => {
+      try {
+        await this.assertShootoutAllowed(connection, match);
+
+        const [player] = await connection.query(
+          'SELECT id, id_pemain FROM pemain_event WHERE id = ? AND id_team = ? AND id_kategori = ?',
+          [kickData.id_pemain_event, kickData.id_team, match.id_kategori]
+        );
+
+        if (!player) {
+          throw new AppError('Player not found in this match', 400);
+        }
+
+        if (await this.matchService.isSentOff(connection, id, player.id_pemain)) {
+          throw new AppError('Player has been sent off', 400);
+        }
+
+        const shootout = await this.shootoutService.recordKick(connection, match, kickData, userId);
+
+        logger.info('Penalty kick recorded', {
+          matchId: id,
+          teamId: kickData.id_team,
+          hasil: kickData.hasil,
+          userId
+        });
+
+        return { match: await this.getShootoutMatch(connection, id), shootout };
+      } catch (error) {
+        logger.error('Error recording penalty kick:', error);
+        throw error;
+      }
+    });
+  }
+
+  async undoPenaltyKick(id, userId) {
+    const match = await this.matchService.getMatchById(id);
+    if (!match || match.status !== 'sedang_main') {
+      return null;
+    }
+
+    return await database.transaction(async (connection) => {
+      try {
+        const removed = await this.shootoutService.undoLastKick(connection, match);
+        if (!removed) {
+          return null;
+        }
+
+        logger.info('Penalty kick removed', { matchId: id, userId });
+
+        return {
+          match: await this.getShootoutMatch(connection, id),
+          shootout: await this.shootoutService.getShootout(connection, match)
+        };
+      } catch (error) {
+        logger.error('Error removing penalty kick:', error);
+        throw error;
+      }
+    });
+  }
+
+  async assertShootoutAllowed(connection, match) {
+    const [bracket] = await connection.query('SELECT id FROM brackets WHERE match_id = ?', [match.id]);
+    if (!bracket) {
+      throw new AppError('Penalty shootouts are only held in knockout matches', 400);
+    }
+
+    if (match.skor_1 !== match.skor_2) {
+      throw new AppError('A penalty shootout is only held when the score is level', 400);
+    }
+
+    const clock = await this.clockService.getClock(match.id, connection);
+    if (clock && clock.fase !== MatchClockService.PHASES.FULL_TIME) {
+      throw new AppError('The shootout starts once playing time is over', 400);
+    }
+  }
+
+  async getShootoutMatch(connection, id) {
+    const [match] = await connection.query(
+      'SELECT id, id_kategori, team_1, team_2, skor_1, skor_2, skor_penalti_1, skor_penalti_2 FROM matches WHERE id = ?',
+      [id]
+    );
+
+    return { ...match, skor_tampil: formatScore(match) };
+  }
+
+  async getClock(id) {
+    try {
+      return await this.clockService.getClock(id);
+    } catch (error) {
+      logger.error('Error fetching match clock:', error);
+      throw new AppError('Failed to fetch match clock', 500);
+    }
+  }
+
+  async getLiveMatches(filters = {}) {
+    try {
+      let query = `
+        SELECT 
+          m.*,
+          t1.nama_club AS team1_name,
+          t1.logo_club AS team1_logo,
+          t2.nama_club AS team2_name,
+          t2.logo_club AS team2_logo,
+          ec.nama_kategori,
+          e.nama_event
+        FROM matches m
+        LEFT JOIN teams t1 ON m.team_1 = t1.id
+        LEFT JOIN teams t2 ON m.team_2 = t2.id
+        LEFT JOIN event_categories ec ON m.id_kategori = ec.id
+        LEFT JOIN events e ON ec.id_event = e.id
+        WHERE m.status = 'sedang_main'
+      `;
+
+      const params = [];
+
+      if (filters.kategori) {
+        query += ' AND m.id_kategori = ?';
+        params.push(filters.kategori);
+      }
+
+      if (filters.event) {
+        query += ' AND ec.id_event = ?';
+        params.push(filters.event);
+      }
+
+      query += ' ORDER BY m.waktu ASC';
+
+      const matches = await database.query(query, params);
+      const clocks = await this.clockService.getLiveClocks();
+
+      return matches.map(match => ({
+        ...match,
+        clock: clocks.find(clock => clock.id_match === match.id) || null
+      }));
+    } catch (error) {
+      logger.error('Error fetching live matches:', error);
+      throw new AppError('Failed to fetch live matches', 500);
+    }
+  }
+
+  async finishMatch(id, userId) {
+    const match = await this.matchService.getMatchById(id);
+    if (!match) {
+      return null;
+    }
+
+    if (match.status !== 'sedang_main') {
+      throw new AppError('Match is not in progress', 400);
+    }
+
+    const { advancement, discipline } = await database.transaction(async (connection) => {
+      try {
+        await connection.query(
+          `UPDATE matches
+           SET status = 'selesai', revisi_jadwal = revisi_jadwal + 1, updated_at = NOW(), updated_by = ?
+           WHERE id = ?`,
+          [userId, id]
+        );
+
+        if (match.skor_1 === match.skor_2 && match.skor_penalti_1 != null) {
+          const shootout = await this.shootoutService.getShootout(connection, match);
+          if (!shootout || !shootout.decided) {
+            throw new AppError('The penalty shootout has not been decided yet', 400);
+          }
+        }
+
+        // Knockout matches advance the bracket, group matches count towards klasemen
+        const advancement = await this.bracketService.advanceFromMatch(connection, match, userId);
+
+        if (!advancement) {
+          await this.standingService.applyMatchResult(connection, match);
+
+          if (match.matchday) {
+            await this.standingService.refreshSnapshots(connection, match.id_kategori, match.matchday, match.id);
+          }
+        }
+
+        const discipline = await this.disciplineService.applyMatchDiscipline(connection, match);
+
+        await this.clockService.finish(connection, id);
+
+        logger.info('Match finished', {
+          matchId: id,
+          score: `${match.skor_1}-${match.skor_2}`,
+          userId
+        });
+
+        return { advancement, discipline };
+      } catch (error) {
+        logger.error('Error finishing match:', error);
+        throw error;
+      }
+    });
+
+    this.clockService.invalidateLiveClocks();
+
+    const standings = await this.standingService.getStandings(match.id_kategori);
+
+    return {
+      match: { ...match, status: 'selesai' },
+      standings,
+      discipline,
+      bracket: advancement && {
+        ...advancement,
+        brackets: await this.bracketService.getBracket(match.id_kategori)
+      }
+    };
+  }
+}
+
+module.exports = LiveMatchService;
@@ -0,0 +1,242 @@
+// src/services/match/MatchClockService.js
+const database = require('../../config/database');
+const { AppError } = require('../../middleware/error/errorHandler');
+
+// match_clock.fase values
+const CLOCK_PHASES = {
+  RUNNING: 'berjalan',
+  PAUSED: 'jeda',
+  HALF_TIME: 'istirahat',
+  FULL_TIME: 'selesai'
+};
+
+// Live clock rows are kept between the once-a-second ticks; snapshots are
+// worked out from the rows, so the table is read again only when the rows
+// are this old or a clock changed on this instance
+const LIVE_CLOCKS_MAX_AGE_MS = parseInt(process.env.LIVE_CLOCKS_MAX_AGE_MS) || 5000;
+const liveClocks = { rows: null, loadedAt: 0 };
+
+const CLOCK_QUERY = `
+  SELECT
+    mc.*,
+    m.status,
+    m.id_kategori,
+    ec.durasi_babak,
+    ec.jumlah_babak,
+    ec.babak_tambahan,
+    ec.durasi_babak_tambahan
+  FROM match_clock mc
+  JOIN matches m ON mc.id_match = m.id
+  JOIN event_categories ec ON m.id_kategori = ec.id
+`;
+
+// Seconds played in the current half, counting the running segment
+const getElapsedSeconds = (clock, now = Date.now()) => {
+  const running = clock.fase === CLOCK_PHASES.RUNNING && clock.mulai_segmen
+    ? Math.floor((now - new Date(clock.mulai_segmen).getTime()) / 1000)
+    : 0;
+
+  return clock.detik_berjalan + Math.max(running, 0);
+};
+
+// Public view of a clock row. Minutes run on from earlier halves, and time
+// past the length of the half is shown as stoppage ("45+2'"). Halves after
+// jumlah_babak are extra-time periods of durasi_babak_tambahan minutes.
+const buildSnapshot = (clock, now = Date.now()) => {
+  const elapsed = getElapsedSeconds(clock, now);
+  const isExtraTime = clock.babak > clock.jumlah_babak;
+  const extraMinutes = clock.durasi_babak_tambahan || 0;
+  const halfMinutes = isExtraTime ? extraMinutes : clock.durasi_babak;
+  const baseMinute = isExtraTime
+    ? clock.jumlah_babak * clock.durasi_babak + (clock.babak - clock.jumlah_babak - 1) * extraMinutes
+    : (clock.babak - 1) * clock.durasi_babak;
+  const playedMinutes = Math.floor(elapsed / 60);
+
+  const menit = baseMinute + Math.min(playedMinutes + 1, halfMinutes);
+  const menitTambahan = Math.max(playedMinutes + 1 - halfMinutes, 0);
+
+  return {
+    id_match: clock.id_match,
+    babak: clock.babak,
+    jumlah_babak: clock.jumlah_babak,
+    babak_tambahan: clock.babak_tambahan || 0,
+    perpanjangan_waktu: isExtraTime,
+    fase: clock.fase,
+    detik: elapsed,
+    durasi_babak_detik: halfMinutes * 60,
+    menit,
+    menit_tambahan: menitTambahan,
+    label: menitTambahan > 0 ? `${menit}+${menitTambahan}'` : `${menit}'`,
+    tambahan_diumumkan: clock.tambahan_menit,
+    server_time: new Date(now).toISOString()
+  };
+};
+
+class MatchClockService {
+  async getClockRow(connection, matchId, { forUpdate = false } = {}) {
+    const [clock] = await connection.query(
+      `${CLOCK_QUERY} WHERE mc.id_match = ?${forUpdate ? ' FOR UPDATE' : ''}`,
+      [matchId]
+    );
+
+    return clock || null;
+  }
+
+  async getClock(matchId, connection = database) {
+    const clock = await this.getClockRow(connection, matchId);
+    return clock ? buildSnapshot(clock) : null;
+  }
+
+  // Clocks of every match in progress. The periodic tick passes cached to
+  // reuse recently read rows.
+  async getLiveClocks({ cached = false } = {}, connection = database) {
+    const now = Date.now();
+
+    if (!cached || !liveClocks.rows || now - liveClocks.loadedAt > LIVE_CLOCKS_MAX_AGE_MS) {
+      liveClocks.rows = await connection.query(`${CLOCK_QUERY} WHERE m.status = 'sedang_main'`);
+      liveClocks.loadedAt = now;
+    }
+
+    return liveClocks.rows.map(clock => ({ ...buildSnapshot(clock, now), id_kategori: clock.id_kategori }));
+  }
+
+  // Call once a clock change is committed, so the next tick reads it
+  invalidateLiveClocks() {
+    liveClocks.rows = null;
+  }
+
+  // Kick off the given half. The first half creates the clock; later halves
+  // may only start from half-time.
+  async startHalf(connection, match, babak) {
+    const clock = await this.getClockRow(connection, match.id, { forUpdate: true });
+
+    if (!clock) {
+      if (babak !== 1) {
+        throw new AppError('A match must start from the first half', 400);
+      }
+
+      await connection.query(
+        `INSERT INTO match_clock (id_match, babak, fase, detik_berjalan, mulai_segmen, tambahan_menit)
+         VALUES (?, 1, ?, 0, ?, 0)`,
+        [match.id, CLOCK_PHASES.RUNNING, new Date()]
+      );
+
+      return await this.getClock(match.id, connection);
+    }
+
+    if (clock.fase !== CLOCK_PHASES.HALF_TIME || babak !== clock.babak + 1) {
+      throw new AppError(`Half ${babak} cannot be started now`, 400);
+    }
+
+    await connection.query(
+      `UPDATE match_clock
+       SET babak = ?, fase = ?, detik_berjalan = 0, mulai_segmen = ?, tambahan_menit = 0, updated_at = NOW()
+       WHERE id_match = ?`,
+      [babak, CLOCK_PHASES.RUNNING, new Date(), match.id]
+    );
+
+    return await this.getClock(match.id, connection);
+  }
+
+  async pause(connection, matchId) {
+    const clock = await this.getClockRow(connection, matchId, { forUpdate: true });
+    if (!clock || clock.fase !== CLOCK_PHASES.RUNNING) {
+      return null;
+    }
+
+    await connection.query(
+      `UPDATE match_clock
+       SET fase = ?, detik_berjalan = ?, mulai_segmen = NULL, updated_at = NOW()
+       WHERE id_match = ?`,
+      [CLOCK_PHASES.PAUSED, getElapsedSeconds(clock), matchId]
+    );
+
+    return await this.getClock(matchId, connection);
+  }
+
+  async resume(connection, matchId) {
+    const clock = await this.getClockRow(connection, matchId, { forUpdate: true });
+    if (!clock || clock.fase !== CLOCK_PHASES.PAUSED) {
+      return null;
+    }
+
+    await connection.query(
+      `UPDATE match_clock
+       SET fase = ?, mulai_segmen = ?, updated_at = NOW()
+       WHERE id_match = ?`,
+      [CLOCK_PHASES.RUNNING, new Date(), matchId]
+    );
+
+    return await this.getClock(matchId, connection);
+  }
+
+  // Blow the whistle on the current half; after the last half the clock
+  // is at full time and no more events are accepted. Pass extraTime when a
+  // level knockout match goes on to the category's extra-time periods.
+  async endHalf(connection, matchId, { extraTime = false } = {}) {
+    const clock = await this.getClockRow(connection, matchId, { forUpdate: true });
+    if (!clock || ![CLOCK_PHASES.RUNNING, CLOCK_PHASES.PAUSED].includes(clock.fase)) {
+      return null;
+    }
+
+    const playsExtraTime = clock.babak > clock.jumlah_babak || extraTime;
+    const lastHalf = clock.jumlah_babak + (playsExtraTime ? clock.babak_tambahan || 0 : 0);
+    const fase = clock.babak >= lastHalf ? CLOCK_PHASES.FULL_TIME : CLOCK_PHASES.HALF_TIME;
+
+    await connection.query(
+      `UPDATE match_clock
+       SET fase = ?, detik_berjalan = ?, mulai_segmen = NULL, updated_at = NOW()
+       WHERE id_match = ?`,
+      [fase, getElapsedSeconds(clock), matchId]
+    );
+
+    return await this.getClock(matchId, connection);
+  }
+
+  // Stoppage time announced for the current half
+  async setStoppageTime(connection, matchId, menit) {
+    const clock = await this.getClockRow(connection, matchId, { forUpdate: true });
+    if (!clock || ![CLOCK_PHASES.RUNNING, CLOCK_PHASES.PAUSED].includes(clock.fase)) {
+      return null;
+    }
+
+    await connection.query(
+      'UPDATE match_clock SET tambahan_menit = ?, updated_at = NOW() WHERE id_match = ?',
+      [menit, matchId]
+    );
+
+    return await this.getClock(matchId, connection);
+  }
+
+  async finish(connection, matchId) {
+    const clock = await this.getClockRow(connection, matchId, { forUpdate: true });
+    if (!clock) return;
+
+    await connection.query(
+      `UPDATE match_clock
+       SET fase = ?, detik_berjalan = ?, mulai_segmen = NULL, updated_at = NOW()
+       WHERE id_match = ?`,
+      [CLOCK_PHASES.FULL_TIME, getElapsedSeconds(clock), matchId]
+    );
+  }
+
+  // Events are rejected once all halves have been played. Returns the
+  // current snapshot (or null for matches run without a clock).
+  async assertAcceptingEvents(connection, matchId) {
+    const clock = await this.getClockRow(connection, matchId);
+    if (!clock) {
+      return null;
+    }
+
+    if (clock.fase === CLOCK_PHASES.FULL_TIME) {
+      throw new AppError('All halves have been played; no more events can be recorded', 400);
+    }
+
+    return buildSnapshot(clock);
+  }
+}
+
+MatchClockService.PHASES = CLOCK_PHASES;
+MatchClockService.buildSnapshot = buildSnapshot;
+
+module.exports = MatchClockService;
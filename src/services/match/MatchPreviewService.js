@@ -0,0 +1,210 @@
+// src/services/match/MatchPreviewService.js
+const database = require('../../config/database');
+const { AppError } = require('../../middleware/error/errorHandler');
+const logger = require('../../utils/logger');
+const { formatScore } = require('../../utils/formatters/matchFormatter');
+const { MATCH_EVENT_TYPES } = require('../../constants/events');
+
+const FORM_LENGTH = 5;
+
+const CARD_EVENT_TYPES = [
+  MATCH_EVENT_TYPES.KUNING,
+  MATCH_EVENT_TYPES.KUNING_KEDUA,
+  MATCH_EVENT_TYPES.MERAH
+];
+
+const FINISHED_MATCH_QUERY = `
+  SELECT
+    m.id, m.id_kategori, m.team_1, m.team_2, m.skor_1, m.skor_2,
+    m.skor_penalti_1, m.skor_penalti_2, m.waktu,
+    t1.nama_club AS team1_name,
+    t2.nama_club AS team2_name,
+    ec.nama_kategori,
+    e.nama_event
+  FROM matches m
+  LEFT JOIN teams t1 ON m.team_1 = t1.id
+  LEFT JOIN teams t2 ON m.team_2 = t2.id
+  LEFT JOIN event_categories ec ON m.id_kategori = ec.id
+  LEFT JOIN events e ON ec.id_event = e.id
+  WHERE m.status = 'selesai'
+`;
+
+// A match from one team's point of view. A shootout decides the result,
+// as it does for bracket progression.
+const fromPerspective = (match, teamId) => {
+  const isHome = match.team_1 === teamId;
+  const scored = isHome ? match.skor_1 : match.skor_2;
+  const conceded = isHome ? match.skor_2 : match.skor_1;
+
+  let own = scored;
+  let other = conceded;
+  if (scored === conceded && match.skor_penalti_1 != null && match.skor_penalti_2 != null) {
+    own = isHome ? match.skor_penalti_1 : match.skor_penalti_2;
+    other = isHome ? match.skor_penalti_2 : match.skor_penalti_1;
+  }
+
+  return {
+    id_match: match.id,
+    waktu: match.waktu,
+    nama_event: match.nama_event,
+    nama_kategori: match.nama_kategori,
+    kandang: isHome,
+    id_lawan: isHome ? match.team_2 : match.team_1,
+    nama_lawan: isHome ? match.team2_name : match.team1_name,
+    gol: scored,
+    kebobolan: conceded,
+    skor_tampil: formatScore(match),
+    hasil: own > other ? 'W' : own < other ? 'L' : 'D'
+  };
+};
+
+class MatchPreviewService {
+  // Every finished meeting of two teams across all events, most recent
+  // first, with the record from the first team's point of view
+  async getHeadToHead(teamId1, teamId2, { before = null } = {}, connection = database) {
+    try {
+      teamId1 = Number(teamId1);
+      teamId2 = Number(teamId2);
+
+      const params = [teamId1, teamId2, teamId2, teamId1];
+      let query = `${FINISHED_MATCH_QUERY}
+        AND ((m.team_1 = ? AND m.team_2 = ?) OR (m.team_1 = ? AND m.team_2 = ?))`;
+
+      if (before) {
+        query += ' AND m.waktu < ?';
+        params.push(before);
+      }
+
+      query += ' ORDER BY m.waktu DESC';
+
+      const matches = await connection.query(query, params);
+      const results = matches.map(match => fromPerspective(match, teamId1));
+
+      const count = (hasil) => results.filter(result => result.hasil === hasil).length;
+
+      return {
+        team_1: teamId1,
+        team_2: teamId2,
+        main: results.length,
+        menang_1: count('W'),
+        seri: count('D'),
+        menang_2: count('L'),
+        gol_1: results.reduce((sum, result) => sum + result.gol, 0),
+        gol_2: results.reduce((sum, result) => sum + result.kebobolan, 0),
+        matches: results.map(result => ({
+          id_match: result.id_match,
+          waktu: result.waktu,
+          nama_event: result.nama_event,
+          nama_kategori: result.nama_kategori,
+          skor_tampil: result.skor_tampil,
+          pemenang: result.hasil === 'W' ? teamId1 : result.hasil === 'L' ? teamId2 : null
+        }))
+      };
+    } catch (error) {
+      logger.error('Error fetching head-to-head:', error);
+      throw new AppError('Failed to fetch head-to-head', 500);
+    }
+  }
+
+  // A team's last finished matches across all events, most recent first
+  async getForm(teamId, { before = null, limit = FORM_LENGTH } = {}, connection = database) {
+    try {
+      teamId = Number(teamId);
+
+      const params = [teamId, teamId];
+      let query = `${FINISHED_MATCH_QUERY} AND (m.team_1 = ? OR m.team_2 = ?)`;
+
+      if (before) {
+        query += ' AND m.waktu < ?';
+        params.push(before);
+      }
+
+      query += ' ORDER BY m.waktu DESC LIMIT ?';
+      params.push(limit);
+
+      const matches = await connection.query(query, params);
+      const results = matches.map(match => fromPerspective(match, teamId));
+
+      return {
+        id_team: teamId,
+        form: results.map(result => result.hasil).join(''),
+        matches: results
+      };
+    } catch (error) {
+      logger.error('Error fetching team form:', error);
+      throw new AppError('Failed to fetch team form', 500);
+    }
+  }
+
+  // Totals of a team's finished matches in a category
+  async getTeamCategoryStats(teamId, kategoriId, connection = database) {
+    try {
+      teamId = Number(teamId);
+
+      const matches = await connection.query(
+        `${FINISHED_MATCH_QUERY} AND m.id_kategori = ? AND (m.team_1 = ? OR m.team_2 = ?)`,
+        [kategoriId, teamId, teamId]
+      );
+
+      const cards = await connection.query(
+        `SELECT me.jenis, COUNT(*) AS count
+         FROM match_events me
+         JOIN matches m ON me.id_match = m.id
+         WHERE me.id_kategori = ?
+         AND me.id_team = ?
+         AND m.status = 'selesai'
+         AND me.jenis IN (${CARD_EVENT_TYPES.map(() => '?').join(', ')})
+         GROUP BY me.jenis`,
+        [kategoriId, teamId, ...CARD_EVENT_TYPES]
+      );
+
+      const cardCount = (jenis) => cards.find(card => card.jenis === jenis)?.count || 0;
+      const results = matches.map(match => fromPerspective(match, teamId));
+
+      return {
+        id_team: teamId,
+        id_kategori: Number(kategoriId),
+        main: results.length,
+        menang: results.filter(result => result.hasil === 'W').length,
+        seri: results.filter(result => result.hasil === 'D').length,
+        kalah: results.filter(result => result.hasil === 'L').length,
+        gol: results.reduce((sum, result) => sum + result.gol, 0),
+        kebobolan: results.reduce((sum, result) => sum + result.kebobolan, 0),
+        clean_sheet: results.filter(result => result.kebobolan === 0).length,
+        kuning: cardCount(MATCH_EVENT_TYPES.KUNING),
+        kuning_kedua: cardCount(MATCH_EVENT_TYPES.KUNING_KEDUA),
+        merah: cardCount(MATCH_EVENT_TYPES.MERAH)
+      };
+    } catch (error) {
+      logger.error('Error fetching team category stats:', error);
+      throw new AppError('Failed to fetch team category stats', 500);
+    }
+  }
+
+  // Head-to-head, form and category totals of two teams. Pass before to
+  // only count matches played before a fixture's kickoff.
+  async getPreview(teamId1, teamId2, kategoriId = null, { before = null } = {}) {
+    const [headToHead, form1, form2] = await Promise.all([
+      this.getHeadToHead(teamId1, teamId2, { before }),
+      this.getForm(teamId1, { before }),
+      this.getForm(teamId2, { before })
+    ]);
+
+    const stats = kategoriId
+      ? await Promise.all([
+        this.getTeamCategoryStats(teamId1, kategoriId),
+        this.getTeamCategoryStats(teamId2, kategoriId)
+      ])
+      : [null, null];
+
+    return {
+      head_to_head: headToHead,
+      team_1: { ...form1, stats: stats[0] },
+      team_2: { ...form2, stats: stats[1] }
+    };
+  }
+}
+
+MatchPreviewService.FORM_LENGTH = FORM_LENGTH;
+
+module.exports = MatchPreviewService;
@@ -0,0 +1,137 @@
+// src/services/match/MatchReportService.js
+const database = require('../../config/database');
+const { AppError } = require('../../middleware/error/errorHandler');
+const logger = require('../../utils/logger');
+const MatchService = require('./MatchService');
+const { MATCH_EVENT_TYPES, GOAL_EVENT_TYPES, OWN_GOAL_EVENT_TYPES } = require('../../constants/events');
+
+// Events listed on the match sheet timeline
+const SHEET_EVENT_TYPES = [
+  ...GOAL_EVENT_TYPES,
+  ...OWN_GOAL_EVENT_TYPES,
+  MATCH_EVENT_TYPES.KUNING,
+  MATCH_EVENT_TYPES.KUNING_KEDUA,
+  MATCH_EVENT_TYPES.MERAH
+];
+
+// Goals per half for each team; own goals count for the opponent
+const getScoreByHalf = (match, events) => {
+  const halves = Math.max(match.jumlah_babak || 0, ...events.map(event => event.babak || 0));
+
+  return Array.from({ length: halves }, (_, index) => {
+    const babak = index + 1;
+    const goalsFor = (teamId) => events.filter(event =>
+      event.babak === babak && (
+        (GOAL_EVENT_TYPES.includes(event.jenis) && event.id_team === teamId)
+        || (OWN_GOAL_EVENT_TYPES.includes(event.jenis) && event.id_team !== teamId)
+      )
+    ).length;
+
+    return {
+      babak,
+      perpanjangan_waktu: babak > match.jumlah_babak,
+      skor_1: goalsFor(match.team_1),
+      skor_2: goalsFor(match.team_2)
+    };
+  });
+};
+
+class MatchReportService {
+  constructor() {
+    this.matchService = new MatchService();
+  }
+
+  // Players and staff registered for the category, for the blank sheet
+  async getRegisteredSquads(match) {
+    const players = await database.query(
+      `SELECT pe.id AS id_pemain_event, pe.id_pemain, pe.id_team, pe.no_punggung, p.nama_pemain
+       FROM pemain_event pe
+       JOIN pemain p ON pe.id_pemain = p.id
+       WHERE pe.id_kategori = ?
+       AND pe.id_team IN (?, ?)
+       ORDER BY pe.id_team, pe.no_punggung`,
+      [match.id_kategori, match.team_1, match.team_2]
+    );
+
+    const staff = await database.query(
+      `SELECT se.id AS id_staff_event, se.id_team, s.nama_staff
+       FROM staff_event se
+       JOIN staff s ON se.id_staff = s.id
+       WHERE se.id_kategori = ?
+       AND se.id_team IN (?, ?)
+       ORDER BY se.id_team, s.nama_staff`,
+      [match.id_kategori, match.team_1, match.team_2]
+    );
+
+    const byTeam = (rows) => ({
+      team_1: rows.filter(row => row.id_team === match.team_1),
+      team_2: rows.filter(row => row.id_team === match.team_2)
+    });
+
+    return { players: byTeam(players), staff: byTeam(staff) };
+  }
+
+  // Content of the official match sheet. The blank version lists the
+  // registered squads and leaves the score and timeline empty for the
+  // referee to fill in by hand.
+  async getMatchSheet(matchId, { blank = false } = {}) {
+    const detail = await this.matchService.getMatchDetailWithLineup(matchId);
+    if (!detail) {
+      return null;
+    }
+
+    try {
+      const match = {
+        id: detail.id,
+        nama_event: detail.nama_event,
+        nama_kategori: detail.nama_kategori,
+        waktu: detail.waktu,
+        nama_venue: detail.nama_venue,
+        nama_court: detail.nama_court,
+        grup: detail.grup,
+        status: detail.status,
+        jumlah_babak: detail.jumlah_babak,
+        team_1: { id: detail.team_1, nama: detail.team1_name },
+        team_2: { id: detail.team_2, nama: detail.team2_name }
+      };
+
+      if (blank) {
+        const squads = await this.getRegisteredSquads(detail);
+
+        return {
+          blank: true,
+          match,
+          players: squads.players,
+          staff: squads.staff,
+          score: null,
+          timeline: [],
+          shootout: null
+        };
+      }
+
+      const timeline = detail.events.filter(event => SHEET_EVENT_TYPES.includes(event.jenis));
+
+      return {
+        blank: false,
+        match,
+        players: detail.lineup,
+        staff: detail.staff,
+        score: {
+          skor_1: detail.skor_1,
+          skor_2: detail.skor_2,
+          skor_tampil: detail.skor_tampil,
+          babak: getScoreByHalf(detail, timeline)
+        },
+        timeline,
+        shootout: detail.shootout
+      };
+    } catch (error) {
+      logger.error('Error building match sheet:', error);
+      throw new AppError('Failed to build match sheet', 500);
+    }
+  }
+}
+
+MatchReportService.getScoreByHalf = getScoreByHalf;
+
+module.exports = MatchReportService;
@@ -3,10 +3,117 @@ const database = require('../../config/database');
 const { AppError } = require('../../middleware/error/errorHandler');
 const logger = require('../../utils/logger');
 const StandingService = require('./StandingService');
+const BracketService = require('./BracketService');
+const ScheduleService = require('./ScheduleService');
+const VenueService = require('../event/VenueService');
+const PlayerService = require('../team/PlayerService');
+const DisciplineService = require('./DisciplineService');
+const MatchClockService = require('./MatchClockService');
+const ShootoutService = require('./ShootoutService');
+const MatchPreviewService = require('./MatchPreviewService');
+const { formatScore } = require('../../utils/formatters/matchFormatter');
+const {
+  MATCH_EVENT_TYPES,
+  GOAL_EVENT_TYPES,
+  OWN_GOAL_EVENT_TYPES,
+  SENDING_OFF_EVENT_TYPES,
+  TEAM_EVENT_TYPES,
+  SUBMITTABLE_EVENT_TYPES
+} = require('../../constants/events');
+
+// Replay substitutions and sendings-off over the starting lineup. Returns the
+// players currently on the pitch per team and a snapshot after every event.
+const trackOnPitch = (match, lineup, events) => {
+  const current = {
+    [match.team_1]: new Set(),
+    [match.team_2]: new Set()
+  };
+
+  lineup
+    .filter(player => player.is_starting)
+    .forEach(player => current[player.id_team]?.add(player.id_pemain));
+
+  const snapshots = new Map();
+
+  events.forEach(event => {
+    const onPitch = current[event.id_team];
+    if (!onPitch) return;
+
+    if (event.jenis === MATCH_EVENT_TYPES.SUBSTITUSI) {
+      onPitch.delete(event.id_pemain_keluar);
+      onPitch.add(event.id_pemain);
+    } else if (SENDING_OFF_EVENT_TYPES.includes(event.jenis)) {
+      onPitch.delete(event.id_pemain);
+    }
+
+    snapshots.set(event.id, [...onPitch]);
+  });
+
+  return { current, snapshots };
+};
+
+const MATCH_LIST_QUERY = `
+  SELECT 
+    m.*,
+    t1.nama_club AS team1_name,
+    t1.logo_club AS team1_logo,
+    t2.nama_club AS team2_name, 
+    t2.logo_club AS team2_logo,
+    ec.nama_kategori,
+    e.nama_event,
+    vc.nama_court,
+    v.nama_venue
+  FROM matches m
+  LEFT JOIN teams t1 ON m.team_1 = t1.id
+  LEFT JOIN teams t2 ON m.team_2 = t2.id
+  LEFT JOIN event_categories ec ON m.id_kategori = ec.id
+  LEFT JOIN events e ON ec.id_event = e.id
+  LEFT JOIN venue_courts vc ON m.id_court = vc.id
+  LEFT JOIN venues v ON vc.id_venue = v.id
+`;
+
+// WHERE clause for the match list filters (kategori, status, grup, event)
+const buildMatchFilters = (filters = {}) => {
+  const whereConditions = [];
+  const params = [];
+
+  if (filters.kategori) {
+    whereConditions.push('m.id_kategori = ?');
+    params.push(filters.kategori);
+  }
+
+  if (filters.status) {
+    whereConditions.push('m.status = ?');
+    params.push(filters.status);
+  }
+
+  if (filters.grup) {
+    whereConditions.push('m.grup = ?');
+    params.push(filters.grup);
+  }
+
+  if (filters.event) {
+    whereConditions.push('ec.id_event = ?');
+    params.push(filters.event);
+  }
+
+  return {
+    whereClause: whereConditions.length > 0 ? `WHERE ${whereConditions.join(' AND ')}` : '',
+    params
+  };
+};
 
 class MatchService {
   constructor() {
     this.standingService = new StandingService();
+    this.bracketService = new BracketService();
+    this.scheduleService = new ScheduleService();
+    this.venueService = new VenueService();
+    this.playerService = new PlayerService();
+    this.disciplineService = new DisciplineService();
+    this.clockService = new MatchClockService();
+    this.shootoutService = new ShootoutService();
+    this.previewService = new MatchPreviewService();
   }
 
   async getMatches(options = {}) {
@@ -15,33 +122,7 @@ class MatchService {
     const { sortBy = 'waktu', sortOrder = 'ASC' } = sort;
 
     try {
-      // Build WHERE clause
-      const whereConditions = [];
-      const queryParams = [];
-
-      if (filters.kategori) {
-        whereConditions.push('m.id_kategori = ?');
-        queryParams.push(filters.kategori);
-      }
-
-      if (filters.status) {
-        whereConditions.push('m.status = ?');
-        queryParams.push(filters.status);
-      }
-
-      if (filters.grup) {
-        whereConditions.push('m.grup = ?');
-        queryParams.push(filters.grup);
-      }
-
-      if (filters.event) {
-        whereConditions.push('ec.id_event = ?');
-        queryParams.push(filters.event);
-      }
-
-      const whereClause = whereConditions.length > 0 
-        ? `WHERE ${whereConditions.join(' AND ')}` 
-        : '';
+      const { whereClause, params: queryParams } = buildMatchFilters(filters);
 
       // Count total records
       const countQuery = `
@@ -56,19 +137,7 @@ class MatchService {
 
       // Main query with pagination
       const query = `
-        SELECT 
-          m.*,
-          t1.nama_club AS team1_name,
-          t1.logo_club AS team1_logo,
-          t2.nama_club AS team2_name, 
-          t2.logo_club AS team2_logo,
-          ec.nama_kategori,
-          e.nama_event
-        FROM matches m
-        LEFT JOIN teams t1 ON m.team_1 = t1.id
-        LEFT JOIN teams t2 ON m.team_2 = t2.id
-        LEFT JOIN event_categories ec ON m.id_kategori = ec.id
-        LEFT JOIN events e ON ec.id_event = e.id
+        ${MATCH_LIST_QUERY}
         ${whereClause}
         ORDER BY m.${sortBy} ${sortOrder}
         LIMIT ? OFFSET ?
@@ -78,7 +147,7 @@ class MatchService {
       const matches = await database.query(query, queryParams);
 
       return {
-        data: matches,
+        data: matches.map(match => ({ ...match, skor_tampil: formatScore(match) })),
         total,
         pagination: {
           limit,
@@ -93,6 +162,17 @@ class MatchService {
     }
   }
 
+  // Every match matching the list filters as a row stream, for exports
+  streamMatches(filters = {}, sort = {}) {
+    const { sortBy = 'waktu', sortOrder = 'ASC' } = sort;
+    const { whereClause, params } = buildMatchFilters(filters);
+
+    return database.stream(
+      `${MATCH_LIST_QUERY} ${whereClause} ORDER BY m.${sortBy} ${sortOrder}, m.id ASC`,
+      params
+    );
+  }
+
   async getMatchById(id) {
     try {
       const query = `
@@ -105,24 +185,36 @@ class MatchService {
           ec.nama_kategori,
           ec.durasi_babak,
           ec.jumlah_babak,
-          e.nama_event
+          ec.buffer_menit,
+          ec.maks_timeout_per_babak,
+          ec.batas_akumulasi_pelanggaran,
+          ec.babak_tambahan,
+          ec.durasi_babak_tambahan,
+          ec.jumlah_penendang_penalti,
+          e.nama_event,
+          vc.nama_court,
+          v.nama_venue
         FROM matches m
         LEFT JOIN teams t1 ON m.team_1 = t1.id
         LEFT JOIN teams t2 ON m.team_2 = t2.id
         LEFT JOIN event_categories ec ON m.id_kategori = ec.id
         LEFT JOIN events e ON ec.id_event = e.id
+        LEFT JOIN venue_courts vc ON m.id_court = vc.id
+        LEFT JOIN venues v ON vc.id_venue = v.id
         WHERE m.id = ?
       `;
 
       const [match] = await database.query(query, [id]);
-      return match || null;
+      return match ? { ...match, skor_tampil: formatScore(match) } : null;
     } catch (error) {
       logger.error('Error fetching match by ID:', error);
       throw new AppError('Failed to fetch match', 500);
     }
   }
 
-  async getMatchDetailWithLineup(id) {
+  // Pass includePreview to add head-to-head, form and category stats for
+  // matches that have not been played yet
+  async getMatchDetailWithLineup(id, { includePreview = false } = {}) {
     try {
       // Get basic match info
       const match = await this.getMatchById(id);
@@ -134,6 +226,7 @@ class MatchService {
           ml.*,
           p.nama_pemain,
           p.foto_pemain,
+          pe.id_pemain,
           pe.no_punggung,
           pe.id_team
         FROM match_lineup ml
@@ -145,24 +238,20 @@ class MatchService {
 
       const lineup = await database.query(lineupQuery, [id]);
 
-      // Group lineup by team
-      const lineupByTeam = {
-        team_1: lineup.filter(player => player.id_team === match.team_1),
-        team_2: lineup.filter(player => player.id_team === match.team_2)
-      };
-
       // Get match events
       const eventsQuery = `
         SELECT 
           me.*,
           p.nama_pemain,
           pe.no_punggung,
+          po.nama_pemain AS nama_pemain_keluar,
           t.nama_club AS team_name
         FROM match_events me
-        JOIN pemain p ON me.id_pemain = p.id
+        LEFT JOIN pemain p ON me.id_pemain = p.id
         LEFT JOIN pemain_event pe ON pe.id_pemain = p.id 
           AND pe.id_team = me.id_team 
           AND pe.id_kategori = me.id_kategori
+        LEFT JOIN pemain po ON me.id_pemain_keluar = po.id
         JOIN teams t ON me.id_team = t.id
         WHERE me.id_match = ?
         ORDER BY me.menit ASC, me.created_at ASC
@@ -170,6 +259,19 @@ class MatchService {
 
       const events = await database.query(eventsQuery, [id]);
 
+      // Mark who is on the pitch after substitutions and sendings-off
+      const { current, snapshots } = trackOnPitch(match, lineup, events);
+      const lineupWithStatus = lineup.map(player => ({
+        ...player,
+        on_pitch: Boolean(current[player.id_team]?.has(player.id_pemain))
+      }));
+
+      // Group lineup by team
+      const lineupByTeam = {
+        team_1: lineupWithStatus.filter(player => player.id_team === match.team_1),
+        team_2: lineupWithStatus.filter(player => player.id_team === match.team_2)
+      };
+
       // Get staff lineup
       const staffQuery = `
         SELECT 
@@ -192,16 +294,31 @@ class MatchService {
         team_2: staff.filter(s => s.id_team === match.team_2)
       };
 
+      const shootout = await this.shootoutService.getShootout(database, match);
+
+      const preview = includePreview && match.status === 'belum_main' && match.team_1 && match.team_2
+        ? await this.previewService.getPreview(match.team_1, match.team_2, match.id_kategori, { before: match.waktu })
+        : undefined;
+
       return {
         ...match,
         lineup: lineupByTeam,
         staff: staffByTeam,
+        shootout,
+        preview,
         events: events.map(event => ({
           id: event.id,
           jenis: event.jenis,
           menit: event.menit,
+          babak: event.babak,
+          id_team: event.id_team,
+          id_pemain: event.id_pemain,
           nama_pemain: event.nama_pemain,
           no_punggung: event.no_punggung,
+          id_pemain_keluar: event.id_pemain_keluar,
+          nama_pemain_keluar: event.nama_pemain_keluar,
+          id_event_terkait: event.id_event_terkait,
+          on_pitch: event.jenis === MATCH_EVENT_TYPES.SUBSTITUSI ? snapshots.get(event.id) : undefined,
           team_name: event.team_name,
           created_at: event.created_at
         }))
@@ -233,30 +350,31 @@ class MatchService {
           throw new AppError('One or both teams are not registered for this category', 400);
         }
 
-        // Check for scheduling conflicts
-        const conflictQuery = `
-          SELECT id FROM matches 
-          WHERE waktu = ? 
-          AND (team_1 IN (?, ?) OR team_2 IN (?, ?))
-          AND status != 'cancelled'
-        `;
-        
-        const conflicts = await connection.query(conflictQuery, [
-          matchData.waktu,
-          matchData.team_1, matchData.team_2,
-          matchData.team_1, matchData.team_2
-        ]);
+        const [category] = await connection.query(
+          'SELECT * FROM event_categories WHERE id = ?',
+          [matchData.id_kategori]
+        );
+
+        // Every match needs a court once the event has courts configured
+        await this.validateCourt(connection, matchData.id_kategori, matchData.id_court);
+
+        // Check for overlapping matches of either team or on the same court
+        const conflicts = await this.findScheduleConflicts(connection, {
+          waktu: matchData.waktu,
+          durasiMenit: this.scheduleService.getMatchDurationMinutes(category),
+          team_1: matchData.team_1,
+          team_2: matchData.team_2,
+          id_court: matchData.id_court || null
+        });
 
-        if (conflicts.length > 0) {
-          throw new AppError('Teams have scheduling conflict at this time', 400);
-        }
+        this.assertNoConflicts(conflicts, matchData);
 
         // Insert match
         const insertQuery = `
           INSERT INTO matches (
-            id_kategori, team_1, team_2, waktu, grup, 
+            id_kategori, team_1, team_2, waktu, grup, id_court,
             status, skor_1, skor_2, created_by
-          ) VALUES (?, ?, ?, ?, ?, 'belum_main', 0, 0, ?)
+          ) VALUES (?, ?, ?, ?, ?, ?, 'belum_main', 0, 0, ?)
         `;
 
         const [result] = await connection.query(insertQuery, [
@@ -265,6 +383,7 @@ class MatchService {
           matchData.team_2,
           matchData.waktu,
           matchData.grup || null,
+          matchData.id_court || null,
           userId
         ]);
 
@@ -298,8 +417,33 @@ class MatchService {
           throw new AppError('Cannot modify finished match', 400);
         }
 
+        // Re-check overlaps when the match is moved in time or to another court
+        if ((updateData.waktu !== undefined || updateData.id_court !== undefined)
+          && (updateData.status || currentMatch.status) !== 'cancelled') {
+          const rescheduled = {
+            waktu: updateData.waktu ?? currentMatch.waktu,
+            id_court: updateData.id_court ?? currentMatch.id_court,
+            team_1: currentMatch.team_1,
+            team_2: currentMatch.team_2
+          };
+
+          if (updateData.id_court !== undefined) {
+            await this.validateCourt(connection, currentMatch.id_kategori, rescheduled.id_court);
+          }
+
+          if (rescheduled.waktu) {
+            const conflicts = await this.findScheduleConflicts(connection, {
+              ...rescheduled,
+              durasiMenit: this.scheduleService.getMatchDurationMinutes(currentMatch),
+              excludeId: id
+            });
+
+            this.assertNoConflicts(conflicts, rescheduled);
+          }
+        }
+
         // Build update query dynamically
-        const allowedFields = ['waktu', 'status', 'grup', 'skor_1', 'skor_2'];
+        const allowedFields = ['waktu', 'status', 'grup', 'skor_1', 'skor_2', 'id_court', 'id_operator'];
         const updateFields = [];
         const updateValues = [];
 
@@ -314,6 +458,11 @@ class MatchService {
           throw new AppError('No valid fields to update', 400);
         }
 
+        // Calendar feeds pick up new times, courts and statuses by revision
+        if (['waktu', 'status', 'id_court'].some(key => updateData[key] !== undefined)) {
+          updateFields.push('revisi_jadwal = revisi_jadwal + 1');
+        }
+
         updateFields.push('updated_at = NOW()');
         updateFields.push('updated_by = ?');
         updateValues.push(userId, id);
@@ -343,6 +492,114 @@ class MatchService {
     });
   }
 
+  async validateCourt(connection, id_kategori, id_court) {
+    const courts = await this.venueService.getCourtsByCategory(connection, id_kategori);
+
+    if (courts.length > 0 && !id_court) {
+      throw new AppError('A court must be assigned to this match', 400);
+    }
+
+    if (id_court && !courts.some(court => court.id === Number(id_court))) {
+      throw new AppError('Court is not available for this event', 400);
+    }
+  }
+
+  // Matches that overlap the given slot and share a team or the court. Each
+  // match blocks its full length (all halves plus the break buffer).
+  async findScheduleConflicts(connection, { waktu, durasiMenit, team_1, team_2, id_court = null, excludeId = null }) {
+    const candidatesQuery = `
+      SELECT 
+        m.id, m.waktu, m.team_1, m.team_2, m.id_court,
+        ec.durasi_babak, ec.jumlah_babak, ec.buffer_menit
+      FROM matches m
+      JOIN event_categories ec ON m.id_kategori = ec.id
+      WHERE m.status != 'cancelled'
+      AND m.waktu BETWEEN DATE_SUB(?, INTERVAL 1 DAY) AND DATE_ADD(?, INTERVAL 1 DAY)
+      AND m.id != ?
+      AND (m.team_1 IN (?, ?) OR m.team_2 IN (?, ?) OR m.id_court = ?)
+    `;
+
+    const candidates = await connection.query(candidatesQuery, [
+      waktu, waktu,
+      excludeId || 0,
+      team_1, team_2,
+      team_1, team_2,
+      id_court
+    ]);
+
+    const start = new Date(waktu).getTime();
+    const end = start + durasiMenit * 60 * 1000;
+
+    return candidates.filter(match => {
+      const matchStart = new Date(match.waktu).getTime();
+      const matchEnd = matchStart + this.scheduleService.getMatchDurationMinutes(match) * 60 * 1000;
+      return this.scheduleService.overlaps(start, end, matchStart, matchEnd);
+    });
+  }
+
+  assertNoConflicts(conflicts, matchData) {
+    if (conflicts.length === 0) {
+      return;
+    }
+
+    const teamIds = [Number(matchData.team_1), Number(matchData.team_2)];
+    const teamConflict = conflicts.some(match =>
+      teamIds.includes(match.team_1) || teamIds.includes(match.team_2)
+    );
+
+    throw new AppError(
+      teamConflict
+        ? 'Teams have scheduling conflict at this time'
+        : 'Court is already booked at this time',
+      400
+    );
+  }
+
+  // Courts available to a category along with the slots already booked on them
+  async getCourtAvailability(connection, id_kategori, courtIds = null) {
+    let courts = await this.venueService.getCourtsByCategory(connection, id_kategori);
+
+    if (courtIds && courtIds.length > 0) {
+      const requested = [...new Set(courtIds.map(Number))];
+      const unknown = requested.filter(id => !courts.some(court => court.id === id));
+
+      if (unknown.length > 0) {
+        throw new AppError(`Courts not available for this category: ${unknown.join(', ')}`, 400);
+      }
+
+      courts = courts.filter(court => requested.includes(court.id));
+    }
+
+    // A category without venue courts is scheduled on a single unnamed pitch
+    if (courts.length === 0) {
+      return undefined;
+    }
+
+    const bookedQuery = `
+      SELECT m.id_court, m.waktu, ec.durasi_babak, ec.jumlah_babak, ec.buffer_menit
+      FROM matches m
+      JOIN event_categories ec ON m.id_kategori = ec.id
+      WHERE m.status != 'cancelled'
+      AND m.waktu IS NOT NULL
+      AND m.id_court IN (${courts.map(() => '?').join(', ')})
+    `;
+
+    const booked = await connection.query(bookedQuery, courts.map(court => court.id));
+
+    return courts.map(court => ({
+      id: court.id,
+      busy: booked
+        .filter(match => match.id_court === court.id)
+        .map(match => {
+          const start = new Date(match.waktu).getTime();
+          return {
+            start,
+            end: start + this.scheduleService.getMatchDurationMinutes(match) * 60 * 1000
+          };
+        })
+    }));
+  }
+
   async deleteMatch(id, userId) {
     return await database.transaction(async (connection) => {
       try {
@@ -390,83 +647,98 @@ class MatchService {
           throw new AppError('Match is not in progress', 400);
         }
 
-        // Validate player belongs to one of the teams
-        const playerQuery = `
-          SELECT pe.id_team 
-          FROM pemain_event pe
-          WHERE pe.id_pemain = ? 
-          AND pe.id_kategori = ?
-          AND pe.id_team IN (?, ?)
-        `;
+        // The live clock supplies the half when the operator does not
+        const clock = await this.clockService.assertAcceptingEvents(connection, matchId);
+        if (clock && !eventData.babak) {
+          eventData = { ...eventData, babak: clock.babak };
+        }
 
-        const [player] = await connection.query(playerQuery, [
-          eventData.id_pemain,
-          match.id_kategori,
-          match.team_1,
-          match.team_2
-        ]);
+        const isTeamEvent = TEAM_EVENT_TYPES.includes(eventData.jenis);
+
+        if (![match.team_1, match.team_2].includes(Number(eventData.id_team))) {
+          throw new AppError('Team is not playing in this match', 400);
+        }
+
+        if (eventData.id_pemain || !isTeamEvent) {
+          // Validate player belongs to one of the teams
+          const playerQuery = `
+            SELECT pe.id_team 
+            FROM pemain_event pe
+            WHERE pe.id_pemain = ? 
+            AND pe.id_kategori = ?
+            AND pe.id_team IN (?, ?)
+          `;
+
+          const [player] = await connection.query(playerQuery, [
+            eventData.id_pemain,
+            match.id_kategori,
+            match.team_1,
+            match.team_2
+          ]);
 
-        if (!player) {
-          throw new AppError('Player not found in this match', 400);
+          if (!player) {
+            throw new AppError('Player not found in this match', 400);
+          }
+
+          if (await this.isSentOff(connection, matchId, eventData.id_pemain)) {
+            throw new AppError('Player has been sent off', 400);
+          }
+
+          await this.disciplineService.assertNotSuspended(
+            connection,
+            eventData.id_pemain,
+            eventData.id_team,
+            match.id_kategori
+          );
         }
 
+        // Apply the rules of the specific event type
+        const record = await this.prepareEventRecord(connection, match, eventData);
+
         // Insert match event
         const eventQuery = `
           INSERT INTO match_events (
-            id_match, id_kategori, id_team, id_pemain, 
-            jenis, menit, created_by
-          ) VALUES (?, ?, ?, ?, ?, ?, ?)
+            id_match, id_kategori, id_team, id_pemain, id_pemain_keluar,
+            id_event_terkait, jenis, menit, babak, created_by
+          ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
         `;
 
         const [result] = await connection.query(eventQuery, [
           matchId,
           match.id_kategori,
           eventData.id_team,
-          eventData.id_pemain,
-          eventData.jenis,
+          eventData.id_pemain || null,
+          record.id_pemain_keluar,
+          record.id_event_terkait,
+          record.jenis,
           eventData.menit,
+          eventData.babak || null,
           userId
         ]);
 
         // Update match score if it's a goal
-        if (eventData.jenis === 'GOL') {
-          await this.updateScoreFromEvent(connection, matchId, eventData.id_team, match);
-        } else if (eventData.jenis === 'BUNUH_DIRI') {
+        if (GOAL_EVENT_TYPES.includes(record.jenis)) {
+          await this.updateScoreFromEvent(connection, matchId, Number(eventData.id_team), match);
+        } else if (OWN_GOAL_EVENT_TYPES.includes(record.jenis)) {
           // Own goal - add score to opponent
-          const opponentTeam = eventData.id_team === match.team_1 ? match.team_2 : match.team_1;
+          const opponentTeam = Number(eventData.id_team) === match.team_1 ? match.team_2 : match.team_1;
           await this.updateScoreFromEvent(connection, matchId, opponentTeam, match);
         }
 
-        // Update player statistics if it's a goal
-        if (['GOL', 'BUNUH_DIRI'].includes(eventData.jenis)) {
-          await this.updatePlayerStats(connection, eventData.id_pemain, match.id_kategori, eventData.jenis);
+        // Update player goal, assist and card totals
+        if (eventData.id_pemain) {
+          await this.updatePlayerStats(connection, eventData.id_pemain, match.id_kategori, record.jenis);
         }
 
         logger.info('Match event added', { 
           matchId, 
-          eventType: eventData.jenis,
+          eventType: record.jenis,
           playerId: eventData.id_pemain,
           userId 
         });
 
         // Return the created event with player details
-        const eventDetailQuery = `
-          SELECT 
-            me.*,
-            p.nama_pemain,
-            pe.no_punggung,
-            t.nama_club AS team_name
-          FROM match_events me
-          JOIN pemain p ON me.id_pemain = p.id
-          LEFT JOIN pemain_event pe ON pe.id_pemain = p.id 
-            AND pe.id_team = me.id_team 
-            AND pe.id_kategori = me.id_kategori
-          JOIN teams t ON me.id_team = t.id
-          WHERE me.id = ?
-        `;
-
-        const [eventDetail] = await connection.query(eventDetailQuery, [result.insertId]);
-        return eventDetail;
+        return await this.getEventDetail(connection, result.insertId);
       } catch (error) {
         logger.error('Error adding match event:', error);
         throw error;
@@ -474,6 +746,155 @@ class MatchService {
     });
   }
 
+  // Whether the player has been sent off in the match. For a corrected
+  // event, asOf limits this to sending-offs before its half and minute.
+  async isSentOff(connection, matchId, playerId, { excludeEventId = null, asOf = null } = {}) {
+    const params = [matchId, playerId, ...SENDING_OFF_EVENT_TYPES, excludeEventId || 0];
+    let timing = '';
+
+    if (asOf) {
+      timing = 'AND (COALESCE(babak, 1) < ? OR (COALESCE(babak, 1) = ? AND menit < ?))';
+      params.push(asOf.babak || 1, asOf.babak || 1, asOf.menit);
+    }
+
+    const [sentOff] = await connection.query(
+      `SELECT id FROM match_events
+       WHERE id_match = ? AND id_pemain = ? AND jenis IN (${SENDING_OFF_EVENT_TYPES.map(() => '?').join(', ')})
+       AND id <> ? ${timing}
+       LIMIT 1`,
+      params
+    );
+
+    return Boolean(sentOff);
+  }
+
+  // Validate type-specific rules and derive the stored event fields
+  async prepareEventRecord(connection, match, eventData, { excludeEventId = null } = {}) {
+    const record = {
+      jenis: eventData.jenis,
+      id_pemain_keluar: null,
+      id_event_terkait: null
+    };
+
+    switch (eventData.jenis) {
+      case MATCH_EVENT_TYPES.KUNING: {
+        // A second yellow in the same match is a sending-off
+        const [previous] = await connection.query(
+          'SELECT id FROM match_events WHERE id_match = ? AND id_pemain = ? AND jenis = ? AND id <> ? LIMIT 1',
+          [match.id, eventData.id_pemain, MATCH_EVENT_TYPES.KUNING, excludeEventId || 0]
+        );
+
+        if (previous) {
+          record.jenis = MATCH_EVENT_TYPES.KUNING_KEDUA;
+          record.id_event_terkait = previous.id;
+        }
+        break;
+      }
+
+      case MATCH_EVENT_TYPES.ASSIST: {
+        if (!eventData.id_event_terkait) {
+          throw new AppError('An assist must reference the goal it belongs to', 400);
+        }
+
+        const [goal] = await connection.query(
+          `SELECT id, id_team, id_pemain FROM match_events
+           WHERE id = ? AND id_match = ? AND jenis IN (${GOAL_EVENT_TYPES.map(() => '?').join(', ')})`,
+          [eventData.id_event_terkait, match.id, ...GOAL_EVENT_TYPES]
+        );
+
+        if (!goal || goal.id_team !== Number(eventData.id_team)) {
+          throw new AppError('Goal not found for this team in this match', 400);
+        }
+
+        if (goal.id_pemain === Number(eventData.id_pemain)) {
+          throw new AppError('A player cannot assist their own goal', 400);
+        }
+
+        const [existing] = await connection.query(
+          'SELECT id FROM match_events WHERE id_event_terkait = ? AND jenis = ? AND id <> ?',
+          [goal.id, MATCH_EVENT_TYPES.ASSIST, excludeEventId || 0]
+        );
+
+        if (existing) {
+          throw new AppError('This goal already has an assist', 400);
+        }
+
+        record.id_event_terkait = goal.id;
+        break;
+      }
+
+      case MATCH_EVENT_TYPES.SUBSTITUSI: {
+        if (!eventData.id_pemain_keluar) {
+          throw new AppError('A substitution needs the player going off', 400);
+        }
+
+        const { lineup, current } = await this.getOnPitch(connection, match);
+        const teamId = Number(eventData.id_team);
+        const onPitch = current[teamId];
+        const playerIn = Number(eventData.id_pemain);
+
+        if (!onPitch.has(Number(eventData.id_pemain_keluar))) {
+          throw new AppError('Player going off is not on the pitch', 400);
+        }
+
+        if (!lineup.some(p => p.id_team === teamId && p.id_pemain === playerIn)) {
+          throw new AppError('Player coming on is not in the match lineup', 400);
+        }
+
+        if (onPitch.has(playerIn)) {
+          throw new AppError('Player coming on is already on the pitch', 400);
+        }
+
+        record.id_pemain_keluar = eventData.id_pemain_keluar;
+        break;
+      }
+
+      case MATCH_EVENT_TYPES.TIMEOUT: {
+        if (!match.maks_timeout_per_babak) break;
+
+        const [{ count }] = await connection.query(
+          'SELECT COUNT(*) AS count FROM match_events WHERE id_match = ? AND id_team = ? AND jenis = ? AND babak <=> ?',
+          [match.id, eventData.id_team, MATCH_EVENT_TYPES.TIMEOUT, eventData.babak || null]
+        );
+
+        if (count >= match.maks_timeout_per_babak) {
+          throw new AppError('Team has used all timeouts for this half', 400);
+        }
+        break;
+      }
+
+      default:
+        // KUNING_KEDUA is derived from a second KUNING, never submitted
+        if (!SUBMITTABLE_EVENT_TYPES.includes(eventData.jenis)) {
+          throw new AppError(`Invalid event type: ${eventData.jenis}`, 400);
+        }
+    }
+
+    return record;
+  }
+
+  // Players on the pitch for each team, from the starting lineup adjusted by
+  // substitutions and sendings-off in the order they happened
+  async getOnPitch(connection, match) {
+    const lineup = await connection.query(
+      `SELECT pe.id_pemain, pe.id_team, ml.is_starting
+       FROM match_lineup ml
+       JOIN pemain_event pe ON ml.id_pemain_event = pe.id
+       WHERE ml.id_match = ?`,
+      [match.id]
+    );
+
+    const events = await connection.query(
+      `SELECT id, id_team, id_pemain, id_pemain_keluar, jenis
+       FROM match_events
+       WHERE id_match = ? AND jenis IN (?, ${SENDING_OFF_EVENT_TYPES.map(() => '?').join(', ')})
+       ORDER BY menit ASC, created_at ASC`,
+      [match.id, MATCH_EVENT_TYPES.SUBSTITUSI, ...SENDING_OFF_EVENT_TYPES]
+    );
+
+    return { lineup, ...trackOnPitch(match, lineup, events) };
+  }
+
   async updateScoreFromEvent(connection, matchId, scoringTeam, match) {
     try {
       const scoreField = scoringTeam === match.team_1 ? 'skor_1' : 'skor_2';
@@ -493,10 +914,13 @@ class MatchService {
 
   async updatePlayerStats(connection, playerId, kategoriId, eventType) {
     try {
-      if (eventType === 'GOL') {
+      const field = Object.keys(PlayerService.PLAYER_STAT_FIELDS)
+        .find(f => PlayerService.PLAYER_STAT_FIELDS[f].includes(eventType));
+
+      if (field) {
         const updateQuery = `
           UPDATE pemain_event 
-          SET jumlah_gol = jumlah_gol + 1
+          SET ${field} = ${field} + 1
           WHERE id_pemain = ? AND id_kategori = ?
         `;
         await connection.query(updateQuery, [playerId, kategoriId]);
@@ -507,6 +931,353 @@ class MatchService {
     }
   }
 
+  async updateMatchEvent(matchId, eventId, eventData, alasan, userId) {
+    return await this.correctMatchEvent(matchId, eventId, 'update', eventData, alasan, userId);
+  }
+
+  async deleteMatchEvent(matchId, eventId, alasan, userId) {
+    return await this.correctMatchEvent(matchId, eventId, 'delete', null, alasan, userId);
+  }
+
+  // Edit or void a recorded event. The original entry is kept in
+  // match_event_audit, and the score, player totals and (for finished
+  // matches) klasemen are recalculated from the remaining events.
+  async correctMatchEvent(matchId, eventId, action, eventData, alasan, userId) {
+    const match = await this.getMatchById(matchId);
+    if (!match) {
+      return null;
+    }
+
+    if (!['sedang_main', 'selesai'].includes(match.status)) {
+      throw new AppError('Events can only be corrected for matches in progress or finished', 400);
+    }
+
+    const result = await database.transaction(async (connection) => {
+      try {
+        const [original] = await connection.query(
+          'SELECT * FROM match_events WHERE id = ? AND id_match = ? FOR UPDATE',
+          [eventId, matchId]
+        );
+
+        if (!original) {
+          return null;
+        }
+
+        let corrected = null;
+
+        if (action === 'update') {
+          corrected = { ...original };
+          ['id_team', 'id_pemain', 'jenis', 'menit', 'babak', 'id_pemain_keluar', 'id_event_terkait'].forEach(field => {
+            if (eventData[field] !== undefined) {
+              corrected[field] = eventData[field];
+            }
+          });
+
+          // The (possibly new) player must be registered for one of the teams
+          const playerQuery = `
+            SELECT pe.id
+            FROM pemain_event pe
+            WHERE pe.id_pemain = ?
+            AND pe.id_team = ?
+            AND pe.id_kategori = ?
+            AND pe.id_team IN (?, ?)
+          `;
+
+          if (corrected.id_pemain || !TEAM_EVENT_TYPES.includes(corrected.jenis)) {
+            const [player] = await connection.query(playerQuery, [
+              corrected.id_pemain,
+              corrected.id_team,
+              match.id_kategori,
+              match.team_1,
+              match.team_2
+            ]);
+
+            if (!player) {
+              throw new AppError('Player not found in this match', 400);
+            }
+
+            // The same rules as for a new event
+            if (await this.isSentOff(connection, matchId, corrected.id_pemain, {
+              excludeEventId: original.id,
+              asOf: corrected
+            })) {
+              throw new AppError('Player had already been sent off', 400);
+            }
+
+            if (Number(corrected.id_pemain) !== original.id_pemain) {
+              await this.disciplineService.assertNotSuspended(
+                connection,
+                corrected.id_pemain,
+                corrected.id_team,
+                match.id_kategori
+              );
+            }
+          }
+
+          // Changing the type, player, team or linked event goes through the
+          // same checks as a new event. A second yellow is checked as a
+          // yellow; the player's yellows are re-derived afterwards anyway.
+          const relinked = ['jenis', 'id_team', 'id_pemain', 'id_pemain_keluar', 'id_event_terkait'].some(field =>
+            eventData[field] !== undefined && String(eventData[field]) !== String(original[field])
+          );
+
+          if (relinked) {
+            Object.assign(corrected, await this.prepareEventRecord(connection, match, {
+              ...corrected,
+              jenis: corrected.jenis === MATCH_EVENT_TYPES.KUNING_KEDUA ? MATCH_EVENT_TYPES.KUNING : corrected.jenis
+            }, { excludeEventId: original.id }));
+          }
+
+          await connection.query(
+            `UPDATE match_events
+             SET id_team = ?, id_pemain = ?, jenis = ?, menit = ?, babak = ?, id_pemain_keluar = ?, id_event_terkait = ?,
+                 updated_at = NOW(), updated_by = ?
+             WHERE id = ?`,
+            [
+              corrected.id_team,
+              corrected.id_pemain,
+              corrected.jenis,
+              corrected.menit,
+              corrected.babak,
+              corrected.id_pemain_keluar,
+              corrected.id_event_terkait,
+              userId,
+              eventId
+            ]
+          );
+        } else {
+          await connection.query('DELETE FROM match_events WHERE id = ?', [eventId]);
+        }
+
+        const auditQuery = `
+          INSERT INTO match_event_audit (
+            id_match_event, id_match, aksi, data_lama, data_baru, alasan, created_by
+          ) VALUES (?, ?, ?, ?, ?, ?, ?)
+        `;
+
+        await connection.query(auditQuery, [
+          eventId,
+          matchId,
+          action,
+          JSON.stringify(original),
+          corrected ? JSON.stringify(corrected) : null,
+          alasan || null,
+          userId
+        ]);
+
+        const dependents = await this.correctDependentEvents(connection, match, original, corrected, userId);
+
+        const score = await this.recalculateScore(connection, match);
+
+        await this.playerService.recalculatePlayerStats(connection, match.id_kategori, {
+          playerIds: [...new Set([
+            original.id_pemain,
+            corrected?.id_pemain,
+            ...dependents.map(dependent => dependent.id_pemain)
+          ].filter(Boolean))]
+        });
+
+        const standingsChanged = match.status === 'selesai'
+          && await this.applyCorrectionToResult(connection, match, score, userId);
+
+        // Cards of a finished match have already issued bans
+        if (match.status === 'selesai') {
+          await this.disciplineService.issueSuspensions(connection, match);
+        }
+
+        logger.info('Match event corrected', {
+          matchId,
+          eventId,
+          action,
+          score: `${score.skor_1}-${score.skor_2}`,
+          userId
+        });
+
+        return {
+          action,
+          before: original,
+          after: corrected && await this.getEventDetail(connection, eventId),
+          dependents,
+          ...score,
+          standingsChanged
+        };
+      } catch (error) {
+        logger.error('Error correcting match event:', error);
+        throw error;
+      }
+    });
+
+    if (result) {
+      result.id_kategori = match.id_kategori;
+      result.standings = result.standingsChanged
+        ? await this.standingService.getStandings(match.id_kategori)
+        : null;
+    }
+
+    return result;
+  }
+
+  // Keep events linked to a corrected one consistent: an assist goes with
+  // its goal, and second yellows are re-derived from the player's remaining
+  // yellows. Every change is audited; returns the rows that changed.
+  async correctDependentEvents(connection, match, original, corrected, userId) {
+    const changed = [];
+
+    const audit = (action, before, after) => connection.query(
+      `INSERT INTO match_event_audit (
+        id_match_event, id_match, aksi, data_lama, data_baru, alasan, created_by
+      ) VALUES (?, ?, ?, ?, ?, ?, ?)`,
+      [
+        before.id,
+        match.id,
+        action,
+        JSON.stringify(before),
+        after ? JSON.stringify(after) : null,
+        `Follows correction of event ${original.id}`,
+        userId
+      ]
+    );
+
+    const assists = await connection.query(
+      'SELECT * FROM match_events WHERE id_event_terkait = ? AND jenis = ?',
+      [original.id, MATCH_EVENT_TYPES.ASSIST]
+    );
+
+    for (const assist of assists) {
+      const stillValid = corrected
+        && GOAL_EVENT_TYPES.includes(corrected.jenis)
+        && Number(corrected.id_team) === assist.id_team
+        && Number(corrected.id_pemain) !== assist.id_pemain;
+
+      if (!stillValid) {
+        await connection.query('DELETE FROM match_events WHERE id = ?', [assist.id]);
+        await audit('delete', assist, null);
+        changed.push(assist);
+      }
+    }
+
+    const cardTypes = [MATCH_EVENT_TYPES.KUNING, MATCH_EVENT_TYPES.KUNING_KEDUA];
+    const cardPlayers = [original, corrected]
+      .filter(event => event && event.id_pemain && cardTypes.includes(event.jenis))
+      .map(event => Number(event.id_pemain));
+
+    for (const playerId of new Set(cardPlayers)) {
+      const yellows = await connection.query(
+        `SELECT * FROM match_events
+         WHERE id_match = ? AND id_pemain = ? AND jenis IN (?, ?)
+         ORDER BY babak, menit, id`,
+        [match.id, playerId, ...cardTypes]
+      );
+
+      // A second yellow sends the player off, so there is never a third
+      if (yellows.length > 2) {
+        throw new AppError('Player would have more than two yellow cards in this match', 400);
+      }
+
+      // The first yellow stands alone; the second is linked to it
+      for (const [index, card] of yellows.entries()) {
+        const jenis = index === 0 ? MATCH_EVENT_TYPES.KUNING : MATCH_EVENT_TYPES.KUNING_KEDUA;
+        const idEventTerkait = index === 0 ? null : yellows[0].id;
+
+        if (card.jenis === jenis && card.id_event_terkait === idEventTerkait) continue;
+
+        await connection.query(
+          'UPDATE match_events SET jenis = ?, id_event_terkait = ?, updated_at = NOW(), updated_by = ? WHERE id = ?',
+          [jenis, idEventTerkait, userId, card.id]
+        );
+        await audit('update', card, { ...card, jenis, id_event_terkait: idEventTerkait });
+        changed.push({ ...card, jenis, id_event_terkait: idEventTerkait });
+      }
+    }
+
+    return changed;
+  }
+
+  // Derive the score from the goal events still on record
+  async recalculateScore(connection, match) {
+    const scoringTypes = [...GOAL_EVENT_TYPES, ...OWN_GOAL_EVENT_TYPES];
+    const goalsQuery = `
+      SELECT id_team, jenis, COUNT(*) AS count
+      FROM match_events
+      WHERE id_match = ? AND jenis IN (${scoringTypes.map(() => '?').join(', ')})
+      GROUP BY id_team, jenis
+    `;
+
+    const goals = await connection.query(goalsQuery, [match.id, ...scoringTypes]);
+
+    const score = { skor_1: 0, skor_2: 0 };
+    goals.forEach(goal => {
+      const ownTeamScores = GOAL_EVENT_TYPES.includes(goal.jenis);
+      const forTeam1 = (goal.id_team === match.team_1) === ownTeamScores;
+      score[forTeam1 ? 'skor_1' : 'skor_2'] += goal.count;
+    });
+
+    await connection.query(
+      'UPDATE matches SET skor_1 = ?, skor_2 = ?, updated_at = NOW() WHERE id = ?',
+      [score.skor_1, score.skor_2, match.id]
+    );
+
+    return score;
+  }
+
+  // Bring klasemen in line with a corrected score of a finished match.
+  // A decided bracket match may not change its winner after the fact.
+  async applyCorrectionToResult(connection, match, score, userId) {
+    const [bracket] = await connection.query(
+      'SELECT id FROM brackets WHERE match_id = ?',
+      [match.id]
+    );
+
+    if (bracket) {
+      const before = this.bracketService.getWinnerAndLoser(match);
+      const after = this.bracketService.getWinnerAndLoser({ ...match, ...score });
+
+      // Finished level (e.g. its status was set directly), so nobody has
+      // advanced yet: a correction that decides it moves the winner on now
+      if (!before) {
+        if (after) {
+          await this.bracketService.advanceFromMatch(connection, { ...match, ...score }, userId);
+        }
+
+        return false;
+      }
+
+      if (!after || before.winner !== after.winner) {
+        throw new AppError('Correction would change the winner of a decided bracket match', 400);
+      }
+
+      return false;
+    }
+
+    const changes = await this.standingService.rebuildStandings(connection, match.id_kategori);
+
+    if (changes.length > 0 && match.matchday) {
+      await this.standingService.refreshSnapshots(connection, match.id_kategori, match.matchday);
+    }
+
+    return changes.length > 0;
+  }
+
+  async getEventDetail(connection, eventId) {
+    const eventDetailQuery = `
+      SELECT 
+        me.*,
+        p.nama_pemain,
+        pe.no_punggung,
+        t.nama_club AS team_name
+      FROM match_events me
+      LEFT JOIN pemain p ON me.id_pemain = p.id
+      LEFT JOIN pemain_event pe ON pe.id_pemain = p.id 
+        AND pe.id_team = me.id_team 
+        AND pe.id_kategori = me.id_kategori
+      JOIN teams t ON me.id_team = t.id
+      WHERE me.id = ?
+    `;
+
+    const [eventDetail] = await connection.query(eventDetailQuery, [eventId]);
+    return eventDetail;
+  }
+
   async updateScore(id, skor1, skor2, userId) {
     return await database.transaction(async (connection) => {
       try {
@@ -539,36 +1310,98 @@ class MatchService {
 
   async getMatchTimeline(id) {
     try {
+      const match = await this.getMatchById(id);
+      if (!match) return null;
+
       const query = `
         SELECT 
+          me.id,
+          me.id_team,
+          me.id_pemain,
+          me.id_pemain_keluar,
+          me.id_event_terkait,
           me.menit,
+          me.babak,
           me.jenis,
           me.created_at,
           p.nama_pemain,
           pe.no_punggung,
+          po.nama_pemain AS nama_pemain_keluar,
+          peo.no_punggung AS no_punggung_keluar,
           t.nama_club AS team_name,
           t.logo_club AS team_logo
         FROM match_events me
-        JOIN pemain p ON me.id_pemain = p.id
+        LEFT JOIN pemain p ON me.id_pemain = p.id
         LEFT JOIN pemain_event pe ON pe.id_pemain = p.id 
           AND pe.id_team = me.id_team 
           AND pe.id_kategori = me.id_kategori
+        LEFT JOIN pemain po ON me.id_pemain_keluar = po.id
+        LEFT JOIN pemain_event peo ON peo.id_pemain = po.id
+          AND peo.id_team = me.id_team
+          AND peo.id_kategori = me.id_kategori
         JOIN teams t ON me.id_team = t.id
         WHERE me.id_match = ?
         ORDER BY me.menit ASC, me.created_at ASC
       `;
 
       const events = await database.query(query, [id]);
+
+      const lineupQuery = `
+        SELECT pe.id_pemain, pe.id_team, pe.no_punggung, ml.is_starting, p.nama_pemain
+        FROM match_lineup ml
+        JOIN pemain_event pe ON ml.id_pemain_event = pe.id
+        JOIN pemain p ON pe.id_pemain = p.id
+        WHERE ml.id_match = ?
+      `;
+
+      const lineup = await database.query(lineupQuery, [id]);
+      const { snapshots } = trackOnPitch(match, lineup, events);
+
+      const toPlayer = (playerId) => {
+        const player = lineup.find(p => p.id_pemain === playerId);
+        return player
+          ? { id: player.id_pemain, name: player.nama_pemain, number: player.no_punggung }
+          : { id: playerId };
+      };
+
+      // Assists are shown on the goal they belong to
+      const assists = new Map(events
+        .filter(event => event.jenis === MATCH_EVENT_TYPES.ASSIST)
+        .map(event => [event.id_event_terkait, { name: event.nama_pemain, number: event.no_punggung }]));
       
+      const shootout = await this.shootoutService.getShootout(database, match);
+
       return {
         matchId: id,
+        score: match.skor_tampil,
+        shootout: shootout && {
+          score: `${shootout.skor_penalti_1}-${shootout.skor_penalti_2}`,
+          suddenDeath: shootout.sudden_death,
+          winner: shootout.winner,
+          kicks: shootout.kicks.map(kick => ({
+            order: kick.urutan,
+            teamId: kick.id_team,
+            player: { name: kick.nama_pemain, number: kick.no_punggung },
+            scored: kick.hasil === 'gol'
+          }))
+        },
         events: events.map(event => ({
+          id: event.id,
           minute: event.menit,
+          half: event.babak,
           type: event.jenis,
           player: {
             name: event.nama_pemain,
             number: event.no_punggung
           },
+          playerOut: event.jenis === MATCH_EVENT_TYPES.SUBSTITUSI
+            ? { name: event.nama_pemain_keluar, number: event.no_punggung_keluar }
+            : undefined,
+          assist: GOAL_EVENT_TYPES.includes(event.jenis) ? assists.get(event.id) : undefined,
+          relatedEventId: event.id_event_terkait || undefined,
+          onPitch: event.jenis === MATCH_EVENT_TYPES.SUBSTITUSI
+            ? snapshots.get(event.id).map(toPlayer)
+            : undefined,
           team: {
             name: event.team_name,
             logo: event.team_logo
@@ -585,7 +1418,27 @@ class MatchService {
   async generateGroupMatches(options, userId) {
     return await database.transaction(async (connection) => {
       try {
-        const { id_kategori, grup, match_day_start, jam_awal = '13:00:00', jeda_menit = 90 } = options;
+        const {
+          id_kategori,
+          grup,
+          match_day_start,
+          jam_awal = '13:00:00',
+          jam_akhir = '22:00:00',
+          jeda_menit = null,
+          istirahat_menit = 0,
+          maks_main_per_hari = null,
+          id_courts = null,
+          dry_run = false
+        } = options;
+
+        const [category] = await connection.query(
+          'SELECT * FROM event_categories WHERE id = ?',
+          [id_kategori]
+        );
+
+        if (!category) {
+          throw new AppError('Category not found', 404);
+        }
 
         // Get teams in the group
         const teamsQuery = `
@@ -602,49 +1455,64 @@ class MatchService {
           throw new AppError('Not enough teams in group to generate matches', 400);
         }
 
-        // Generate round-robin matches
+        // Spread the round-robin over matchdays and fit it into the daily
+        // window, filling all available courts in parallel
+        const rounds = this.scheduleService.buildRoundRobin(teams);
+        const schedule = this.scheduleService.assignSlots(rounds, {
+          startDate: match_day_start,
+          jamAwal: jam_awal,
+          jamAkhir: jam_akhir,
+          jedaMenit: jeda_menit || this.scheduleService.getMatchDurationMinutes(category),
+          istirahatMenit: istirahat_menit,
+          maksMainPerHari: maks_main_per_hari,
+          courts: await this.getCourtAvailability(connection, id_kategori, id_courts)
+        });
+
         const matches = [];
-        const startDate = new Date(match_day_start);
-        let currentTime = new Date(`${match_day_start}T${jam_awal}`);
 
-        for (let i = 0; i < teams.length; i++) {
-          for (let j = i + 1; j < teams.length; j++) {
-            const matchDay = startDate.toISOString().split('T')[0];
-            const waktu = currentTime.toISOString().slice(0, 19).replace('T', ' ');
+        for (const fixture of schedule) {
+          const waktu = fixture.waktu.toISOString().slice(0, 19).replace('T', ' ');
+          let matchId = null;
 
+          // Dry run only previews the schedule
+          if (!dry_run) {
             const insertQuery = `
               INSERT INTO matches (
-                id_kategori, team_1, team_2, waktu, grup, 
+                id_kategori, team_1, team_2, waktu, grup, matchday, id_court,
                 status, skor_1, skor_2, created_by
-              ) VALUES (?, ?, ?, ?, ?, 'belum_main', 0, 0, ?)
+              ) VALUES (?, ?, ?, ?, ?, ?, ?, 'belum_main', 0, 0, ?)
             `;
 
             const [result] = await connection.query(insertQuery, [
               id_kategori,
-              teams[i].id_team,
-              teams[j].id_team,
+              fixture.team_1.id_team,
+              fixture.team_2.id_team,
               waktu,
               grup,
+              fixture.matchday,
+              fixture.id_court,
               userId
             ]);
 
-            matches.push({
-              id: result.insertId,
-              team_1: teams[i].nama_club,
-              team_2: teams[j].nama_club,
-              waktu: waktu,
-              grup: grup
-            });
-
-            // Add time interval for next match
-            currentTime.setMinutes(currentTime.getMinutes() + jeda_menit);
+            matchId = result.insertId;
           }
+
+          matches.push({
+            id: matchId,
+            matchday: fixture.matchday,
+            team_1: fixture.team_1.nama_club,
+            team_2: fixture.team_2.nama_club,
+            waktu: waktu,
+            grup: grup,
+            id_court: fixture.id_court
+          });
         }
 
         logger.info('Group matches generated', { 
           kategori: id_kategori, 
           grup, 
           matchCount: matches.length,
+          dryRun: dry_run,
           userId 
         });
 
@@ -656,9 +1524,17 @@ class MatchService {
     });
   }
 
-  async generateBracketMatches(id_kategori, type, userId) {
+  async generateBracketMatches(id_kategori, options = {}, userId) {
     return await database.transaction(async (connection) => {
       try {
+        // The bracket format comes from the category's tipe_final
+        const {
+          lolos_per_grup = 2,
+          peringkat_terbaik = null,
+          teams = null,
+          third_place = true
+        } = options;
+
         // Get category details
         const categoryQuery = `
           SELECT * FROM event_categories WHERE id = ?
@@ -669,118 +1545,73 @@ class MatchService {
           throw new AppError('Category not found', 404);
         }
 
-        if (category.tipe_final !== 'final_four') {
+        if (!['final_four', 'knockout'].includes(category.tipe_final)) {
           throw new AppError('Category does not support bracket generation', 400);
         }
 
-        // Get top teams from groups
-        const standingsQuery = `
-          SELECT k.*, t.nama_club, et.grup
-          FROM klasemen k
-          JOIN teams t ON k.id_team = t.id
-          JOIN event_teams et ON k.id_team = et.id_team AND et.id_kategori = k.id_kategori
-          WHERE k.id_kategori = ?
-          ORDER BY et.grup, k.point DESC, k.selisih DESC, k.goal_masuk DESC
-        `;
-
-        const standings = await connection.query(standingsQuery, [id_kategori]);
+        // Explicit seed list for straight knockout cups, group qualifiers otherwise
+        let qualifiers = teams && teams.length > 0
+          ? await this.getSeededTeams(connection, id_kategori, teams)
+          : await this.getGroupQualifiers(connection, id_kategori, lolos_per_grup, peringkat_terbaik);
 
-        // Group by grup and get top 2 from each
-        const groupStandings = {};
-        standings.forEach(team => {
-          if (!groupStandings[team.grup]) {
-            groupStandings[team.grup] = [];
-          }
-          if (groupStandings[team.grup].length < 2) {
-            groupStandings[team.grup].push(team);
-          }
-        });
+        const minTeams = category.tipe_final === 'final_four' ? 4 : 2;
+        const maxTeams = options.jumlah_tim || (category.tipe_final === 'final_four' ? 4 : qualifiers.length);
+        qualifiers = qualifiers.slice(0, maxTeams);
 
-        // Validate we have enough teams
-        const qualifiedTeams = Object.values(groupStandings).flat();
-        if (qualifiedTeams.length < 4) {
+        if (qualifiers.length < minTeams) {
           throw new AppError('Not enough teams qualified for bracket', 400);
         }
 
-        // Sort qualified teams and create bracket
-        const sortedTeams = qualifiedTeams
-          .sort((a, b) => {
-            if (b.point !== a.point) return b.point - a.point;
-            if (b.selisih !== a.selisih) return b.selisih - a.selisih;
-            return b.goal_masuk - a.goal_masuk;
-          })
-          .slice(0, 4);
-
-        // Create semifinal matches
-        const semifinals = [
-          { team_1: sortedTeams[0].id_team, team_2: sortedTeams[3].id_team, kode: 'SF1' },
-          { team_1: sortedTeams[1].id_team, team_2: sortedTeams[2].id_team, kode: 'SF2' }
-        ];
-
-        const createdMatches = [];
-
-        for (const match of semifinals) {
-          // Insert match
-          const matchQuery = `
-            INSERT INTO matches (
-              id_kategori, team_1, team_2, grup, status, 
-              skor_1, skor_2, created_by
-            ) VALUES (?, ?, ?, 'semifinal', 'belum_main', 0, 0, ?)
-          `;
-
-          const [matchResult] = await connection.query(matchQuery, [
-            id_kategori, match.team_1, match.team_2, userId
-          ]);
-
-          // Insert bracket entry
-          const bracketQuery = `
-            INSERT INTO brackets (
-              id_kategori, round, kode, team_1, team_2, 
-              match_id, status
-            ) VALUES (?, 'semifinal', ?, ?, ?, ?, 'belum_main')
-          `;
-
-          await connection.query(bracketQuery, [
-            id_kategori, match.kode, match.team_1, match.team_2, matchResult.insertId
-          ]);
-
-          createdMatches.push({
-            id: matchResult.insertId,
-            round: 'semifinal',
-            kode: match.kode,
-            team_1: match.team_1,
-            team_2: match.team_2
+        const bracket = await this.bracketService.generateBracket(
+          connection,
+          id_kategori,
+          qualifiers,
+          { thirdPlace: third_place },
+          userId
+        );
+
+        // Optionally kick off the first round straight away across all courts
+        if (options.match_day_start && bracket.matches.length > 0) {
+          const schedule = this.scheduleService.assignSlots([
+            bracket.matches.map(match => ({
+              id: match.id,
+              team_1: { id_team: match.team_1 },
+              team_2: { id_team: match.team_2 }
+            }))
+          ], {
+            startDate: options.match_day_start,
+            jamAwal: options.jam_awal || '13:00:00',
+            jamAkhir: options.jam_akhir || '22:00:00',
+            jedaMenit: options.jeda_menit || this.scheduleService.getMatchDurationMinutes(category),
+            courts: await this.getCourtAvailability(connection, id_kategori, options.id_courts)
           });
-        }
 
-        // Create placeholder brackets for final and 3rd place
-        const finalBrackets = [
-          { round: 'final', kode: 'F1' },
-          { round: 'juara_3', kode: 'J3' }
-        ];
+          for (const fixture of schedule) {
+            const waktu = fixture.waktu.toISOString().slice(0, 19).replace('T', ' ');
 
-        for (const bracket of finalBrackets) {
-          const bracketQuery = `
-            INSERT INTO brackets (
-              id_kategori, round, kode, status
-            ) VALUES (?, ?, ?, 'menunggu')
-          `;
+            await connection.query(
+              'UPDATE matches SET waktu = ?, id_court = ?, revisi_jadwal = revisi_jadwal + 1 WHERE id = ?',
+              [waktu, fixture.id_court, fixture.id]
+            );
 
-          await connection.query(bracketQuery, [
-            id_kategori, bracket.round, bracket.kode
-          ]);
+            Object.assign(bracket.matches.find(match => match.id === fixture.id), {
+              waktu,
+              id_court: fixture.id_court
+            });
+          }
         }
 
         logger.info('Bracket matches generated', { 
           kategori: id_kategori, 
-          type,
-          semifinalCount: createdMatches.length,
+          format: category.tipe_final,
+          size: bracket.size,
+          matchCount: bracket.matches.length,
           userId 
         });
 
         return {
-          semifinals: createdMatches,
-          message: 'Semifinal matches created, final matches will be generated after semifinals complete'
+          ...bracket,
+          message: 'First round matches created, later rounds will be generated as matches finish'
         };
       } catch (error) {
         logger.error('Error generating bracket matches:', error);
@@ -789,6 +1620,68 @@ class MatchService {
     });
   }
 
+  // Top teams of every group, ordered by group position first and then by
+  // standing so group winners take the top seeds. bestPlaced ({ posisi,
+  // jumlah }) adds the best teams of that group position across groups,
+  // e.g. the four best thirds.
+  async getGroupQualifiers(connection, id_kategori, perGroup, bestPlaced = null) {
+    const standings = await this.standingService.getStandings(id_kategori, null, connection);
+
+    const qualifiers = standings
+      .filter(team => team.posisi <= perGroup)
+      .map(team => ({ ...team, tier: team.posisi }))
+      .sort((a, b) => {
+        if (a.tier !== b.tier) return a.tier - b.tier;
+        if (b.point !== a.point) return b.point - a.point;
+        if (b.selisih !== a.selisih) return b.selisih - a.selisih;
+        if (b.goal_masuk !== a.goal_masuk) return b.goal_masuk - a.goal_masuk;
+        return a.fair_play - b.fair_play;
+      });
+
+    if (!bestPlaced) {
+      return qualifiers;
+    }
+
+    if (bestPlaced.posisi <= perGroup) {
+      throw new AppError('Best-placed qualifiers must come from below the direct qualifying places', 400);
+    }
+
+    const table = await this.standingService.getPlacedTeamsTable(
+      id_kategori,
+      bestPlaced.posisi,
+      { qualify: bestPlaced.jumlah },
+      connection
+    );
+
+    const best = table.filter(team => team.lolos);
+    if (best.length < bestPlaced.jumlah) {
+      throw new AppError(`Only ${best.length} teams are placed ${bestPlaced.posisi} across the groups`, 400);
+    }
+
+    return [...qualifiers, ...best.map(team => ({ ...team, tier: team.posisi }))];
+  }
+
+  // Registered teams in the given seed order
+  async getSeededTeams(connection, id_kategori, teamIds) {
+    const teamsQuery = `
+      SELECT et.id_team, et.grup, t.nama_club
+      FROM event_teams et
+      JOIN teams t ON et.id_team = t.id
+      WHERE et.id_kategori = ? AND et.id_team IN (${teamIds.map(() => '?').join(', ')})
+    `;
+
+    const teams = await connection.query(teamsQuery, [id_kategori, ...teamIds]);
+
+    if (teams.length !== new Set(teamIds).size) {
+      throw new AppError('One or more teams are not registered for this category', 400);
+    }
+
+    return teamIds.map((id, index) => ({
+      ...teams.find(team => team.id_team === Number(id)),
+      tier: index + 1
+    }));
+  }
+
   async getMatchesByCategory(kategoriId) {
     try {
       const query = `
@@ -797,10 +1690,22 @@ class MatchService {
           t1.nama_club AS team1_name,
           t1.logo_club AS team1_logo,
           t2.nama_club AS team2_name,
-          t2.logo_club AS team2_logo
+          t2.logo_club AS team2_logo,
+          ec.nama_kategori,
+          ec.durasi_babak,
+          ec.jumlah_babak,
+          ec.buffer_menit,
+          e.nama_event,
+          vc.nama_court,
+          v.nama_venue,
+          v.alamat AS alamat_venue
         FROM matches m
         LEFT JOIN teams t1 ON m.team_1 = t1.id
         LEFT JOIN teams t2 ON m.team_2 = t2.id
+        LEFT JOIN event_categories ec ON m.id_kategori = ec.id
+        LEFT JOIN events e ON ec.id_event = e.id
+        LEFT JOIN venue_courts vc ON m.id_court = vc.id
+        LEFT JOIN venues v ON vc.id_venue = v.id
         WHERE m.id_kategori = ?
         ORDER BY m.waktu ASC
       `;
@@ -823,12 +1728,20 @@ class MatchService {
           t2.nama_club AS team2_name,
           t2.logo_club AS team2_logo,
           ec.nama_kategori,
-          e.nama_event
+          ec.durasi_babak,
+          ec.jumlah_babak,
+          ec.buffer_menit,
+          e.nama_event,
+          vc.nama_court,
+          v.nama_venue,
+          v.alamat AS alamat_venue
         FROM matches m
         LEFT JOIN teams t1 ON m.team_1 = t1.id
         LEFT JOIN teams t2 ON m.team_2 = t2.id
         LEFT JOIN event_categories ec ON m.id_kategori = ec.id
         LEFT JOIN events e ON ec.id_event = e.id
+        LEFT JOIN venue_courts vc ON m.id_court = vc.id
+        LEFT JOIN venues v ON vc.id_venue = v.id
         WHERE (m.team_1 = ? OR m.team_2 = ?)
       `;
 
@@ -849,6 +1762,42 @@ class MatchService {
     }
   }
 
+  async getMatchesByEvent(eventId) {
+    try {
+      const query = `
+        SELECT 
+          m.*,
+          t1.nama_club AS team1_name,
+          t1.logo_club AS team1_logo,
+          t2.nama_club AS team2_name,
+          t2.logo_club AS team2_logo,
+          ec.nama_kategori,
+          ec.durasi_babak,
+          ec.jumlah_babak,
+          ec.buffer_menit,
+          e.nama_event,
+          vc.nama_court,
+          v.nama_venue,
+          v.alamat AS alamat_venue
+        FROM matches m
+        JOIN event_categories ec ON m.id_kategori = ec.id
+        LEFT JOIN teams t1 ON m.team_1 = t1.id
+        LEFT JOIN teams t2 ON m.team_2 = t2.id
+        LEFT JOIN events e ON ec.id_event = e.id
+        LEFT JOIN venue_courts vc ON m.id_court = vc.id
+        LEFT JOIN venues v ON vc.id_venue = v.id
+        WHERE ec.id_event = ?
+        ORDER BY m.waktu ASC
+      `;
+
+      const matches = await database.query(query, [eventId]);
+      return matches;
+    } catch (error) {
+      logger.error('Error fetching matches by event:', error);
+      throw new AppError('Failed to fetch matches by event', 500);
+    }
+  }
+
   async getUpcomingMatches(limit = 10) {
     try {
       const query = `
@@ -885,12 +1834,15 @@ class MatchService {
         SELECT 
           me.id_team,
           me.jenis,
+          me.babak,
           COUNT(*) as count,
-          t.nama_club AS team_name
+          t.nama_club AS team_name,
+          ec.batas_akumulasi_pelanggaran
         FROM match_events me
         JOIN teams t ON me.id_team = t.id
+        JOIN event_categories ec ON me.id_kategori = ec.id
         WHERE me.id_match = ?
-        GROUP BY me.id_team, me.jenis, t.nama_club
+        GROUP BY me.id_team, me.jenis, me.babak, t.nama_club, ec.batas_akumulasi_pelanggaran
         ORDER BY me.id_team, me.jenis
       `;
 
@@ -903,24 +1855,62 @@ class MatchService {
           teamStats[stat.id_team] = {
             team_name: stat.team_name,
             goals: 0,
+            penalty_goals: 0,
+            missed_penalties: 0,
+            own_goals: 0,
+            assists: 0,
             yellow_cards: 0,
+            second_yellows: 0,
             red_cards: 0,
-            own_goals: 0
+            substitutions: 0,
+            fouls: 0,
+            fouls_by_half: {},
+            foul_limit: stat.batas_akumulasi_pelanggaran,
+            timeouts: 0
           };
         }
 
+        const team = teamStats[stat.id_team];
+
         switch (stat.jenis) {
-          case 'GOL':
-            teamStats[stat.id_team].goals = stat.count;
+          case MATCH_EVENT_TYPES.GOL:
+            team.goals += stat.count;
+            break;
+          case MATCH_EVENT_TYPES.GOL_PENALTI:
+            team.goals += stat.count;
+            team.penalty_goals += stat.count;
+            break;
+          case MATCH_EVENT_TYPES.PENALTI_GAGAL:
+            team.missed_penalties += stat.count;
+            break;
+          case MATCH_EVENT_TYPES.ASSIST:
+            team.assists += stat.count;
+            break;
+          case MATCH_EVENT_TYPES.KUNING:
+            team.yellow_cards += stat.count;
+            break;
+          case MATCH_EVENT_TYPES.KUNING_KEDUA:
+            // A second yellow is both a booking and a sending-off
+            team.yellow_cards += stat.count;
+            team.second_yellows += stat.count;
+            team.red_cards += stat.count;
+            break;
+          case MATCH_EVENT_TYPES.MERAH:
+            team.red_cards += stat.count;
+            break;
+          case MATCH_EVENT_TYPES.BUNUH_DIRI:
+            team.own_goals += stat.count;
             break;
-          case 'KUNING':
-            teamStats[stat.id_team].yellow_cards = stat.count;
+          case MATCH_EVENT_TYPES.SUBSTITUSI:
+            team.substitutions += stat.count;
             break;
-          case 'MERAH':
-            teamStats[stat.id_team].red_cards = stat.count;
+          case MATCH_EVENT_TYPES.PELANGGARAN:
+            // Futsal accumulates team fouls per half
+            team.fouls += stat.count;
+            team.fouls_by_half[stat.babak || 0] = (team.fouls_by_half[stat.babak || 0] || 0) + stat.count;
             break;
-          case 'BUNUH_DIRI':
-            teamStats[stat.id_team].own_goals = stat.count;
+          case MATCH_EVENT_TYPES.TIMEOUT:
+            team.timeouts += stat.count;
             break;
         }
       });
@@ -0,0 +1,134 @@
+// src/services/match/ScheduleService.js
+const { AppError } = require('../../middleware/error/errorHandler');
+
+const MINUTE_MS = 60 * 1000;
+const DAY_MS = 24 * 60 * MINUTE_MS;
+const MAX_SCHEDULE_DAYS = 366;
+
+// Break between halves plus changeover before the next kickoff
+const DEFAULT_BUFFER_MENIT = 15;
+
+class ScheduleService {
+  // Real length of a match slot: all halves plus the break buffer
+  getMatchDurationMinutes(category) {
+    const buffer = category.buffer_menit ?? DEFAULT_BUFFER_MENIT;
+    return category.durasi_babak * category.jumlah_babak + buffer;
+  }
+
+  overlaps(startA, endA, startB, endB) {
+    return startA < endB && startB < endA;
+  }
+
+  // Circle method: the first team stays fixed while the others rotate, so
+  // every team plays exactly once per matchday. Odd fields get a bye slot.
+  buildRoundRobin(teams) {
+    const slots = teams.length % 2 === 0 ? [...teams] : [...teams, null];
+    const roundCount = slots.length - 1;
+    const half = slots.length / 2;
+    const rounds = [];
+
+    for (let round = 0; round < roundCount; round++) {
+      const fixtures = [];
+
+      for (let i = 0; i < half; i++) {
+        const home = slots[i];
+        const away = slots[slots.length - 1 - i];
+
+        if (!home || !away) continue;
+
+        // Alternate the fixed team's side so home/away stays balanced
+        fixtures.push(i === 0 && round % 2 === 1
+          ? { team_1: away, team_2: home }
+          : { team_1: home, team_2: away });
+      }
+
+      rounds.push(fixtures);
+      slots.splice(1, 0, slots.pop());
+    }
+
+    return rounds;
+  }
+
+  // Assign kickoff times and courts matchday by matchday. Every court gets a
+  // match per slot within the daily window, skipping courts that are already
+  // booked and teams that still need rest or have reached their daily limit.
+  // Courts are { id, busy: [{ start, end }] }; without courts a single
+  // unnamed pitch is assumed.
+  assignSlots(rounds, options) {
+    const {
+      startDate,
+      jamAwal,
+      jamAkhir,
+      jedaMenit,
+      istirahatMenit = 0,
+      maksMainPerHari = null,
+      courts = [{ id: null, busy: [] }]
+    } = options;
+
+    const slotMs = jedaMenit * MINUTE_MS;
+    const restMs = istirahatMenit * MINUTE_MS;
+    const firstDayStart = new Date(`${startDate}T${jamAwal}Z`).getTime();
+    const firstDayEnd = new Date(`${startDate}T${jamAkhir}Z`).getTime();
+
+    if (Number.isNaN(firstDayStart) || Number.isNaN(firstDayEnd)) {
+      throw new AppError('Invalid schedule start date or daily window', 400);
+    }
+
+    if (firstDayEnd - firstDayStart < slotMs) {
+      throw new AppError('Daily window is shorter than a single match slot', 400);
+    }
+
+    const pending = rounds.flatMap((fixtures, index) =>
+      fixtures.map(fixture => ({ ...fixture, matchday: index + 1 }))
+    );
+
+    const lastEnd = new Map();
+    const dailyCount = new Map();
+    const schedule = [];
+
+    const fits = (fixture, kickoff, day) => [fixture.team_1, fixture.team_2].every(team => {
+      const previousEnd = lastEnd.get(team.id_team);
+      if (previousEnd !== undefined && kickoff < previousEnd + restMs) {
+        return false;
+      }
+
+      return !maksMainPerHari || (dailyCount.get(`${team.id_team}:${day}`) || 0) < maksMainPerHari;
+    });
+
+    for (let day = 0; pending.length > 0; day++) {
+      if (day >= MAX_SCHEDULE_DAYS) {
+        throw new AppError('Matches do not fit into the schedule with the given constraints', 400);
+      }
+
+      const dayStart = firstDayStart + day * DAY_MS;
+      const dayEnd = firstDayEnd + day * DAY_MS;
+
+      for (let kickoff = dayStart; kickoff + slotMs <= dayEnd && pending.length > 0; kickoff += slotMs) {
+        for (const court of courts) {
+          const booked = court.busy.some(slot => this.overlaps(kickoff, kickoff + slotMs, slot.start, slot.end));
+          if (booked) continue;
+
+          // Matchdays are played in order: a later matchday's fixture never
+          // takes a slot while an earlier one is still unscheduled
+          const matchday = pending[0].matchday;
+          const index = pending.findIndex(fixture => fixture.matchday === matchday && fits(fixture, kickoff, day));
+          if (index === -1) break;
+
+          const [fixture] = pending.splice(index, 1);
+
+          [fixture.team_1, fixture.team_2].forEach(team => {
+            const key = `${team.id_team}:${day}`;
+            lastEnd.set(team.id_team, kickoff + slotMs);
+            dailyCount.set(key, (dailyCount.get(key) || 0) + 1);
+          });
+
+          schedule.push({ ...fixture, waktu: new Date(kickoff), id_court: court.id });
+        }
+      }
+    }
+
+    return schedule;
+  }
+}
+
+module.exports = ScheduleService;
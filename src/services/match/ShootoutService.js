@@ -0,0 +1,155 @@
+// src/services/match/ShootoutService.js
+const { AppError } = require('../../middleware/error/errorHandler');
+const logger = require('../../utils/logger');
+
+// Used when a category does not set its own number of kicks per team
+const DEFAULT_SHOOTOUT_ROUNDS = 5;
+
+// Replay the kicks in order. A shootout is decided as soon as one team can
+// no longer be caught within the regular rounds, or after any level pair of
+// sudden-death kicks that ends with one team ahead.
+const computeShootout = (kicks, match, rounds = DEFAULT_SHOOTOUT_ROUNDS) => {
+  const tally = {
+    [match.team_1]: { kicks: 0, goals: 0 },
+    [match.team_2]: { kicks: 0, goals: 0 }
+  };
+
+  let winner = null;
+
+  kicks.forEach(kick => {
+    if (winner) return;
+
+    tally[kick.id_team].kicks += 1;
+    if (kick.hasil === 'gol') {
+      tally[kick.id_team].goals += 1;
+    }
+
+    const a = tally[match.team_1];
+    const b = tally[match.team_2];
+
+    if (a.kicks <= rounds && b.kicks <= rounds) {
+      if (a.goals + (rounds - a.kicks) < b.goals) winner = match.team_2;
+      else if (b.goals + (rounds - b.kicks) < a.goals) winner = match.team_1;
+    }
+
+    if (!winner && a.kicks === b.kicks && a.kicks >= rounds && a.goals !== b.goals) {
+      winner = a.goals > b.goals ? match.team_1 : match.team_2;
+    }
+  });
+
+  // Teams alternate, starting with the team that took the first kick
+  const first = kicks.length > 0 ? kicks[0].id_team : null;
+  const second = first === match.team_1 ? match.team_2 : match.team_1;
+  const nextTeam = winner || !first
+    ? null
+    : (tally[first].kicks > tally[second].kicks ? second : first);
+
+  return {
+    kicks,
+    skor_penalti_1: tally[match.team_1].goals,
+    skor_penalti_2: tally[match.team_2].goals,
+    rounds,
+    sudden_death: Math.max(tally[match.team_1].kicks, tally[match.team_2].kicks) > rounds,
+    decided: Boolean(winner),
+    winner,
+    next_team: nextTeam
+  };
+};
+
+class ShootoutService {
+  async getKicks(connection, matchId, { forUpdate = false } = {}) {
+    return await connection.query(
+      `SELECT
+        mp.*,
+        pe.id_pemain,
+        pe.no_punggung,
+        p.nama_pemain
+      FROM match_penalties mp
+      JOIN pemain_event pe ON mp.id_pemain_event = pe.id
+      JOIN pemain p ON pe.id_pemain = p.id
+      WHERE mp.id_match = ?
+      ORDER BY mp.urutan ASC${forUpdate ? ' FOR UPDATE' : ''}`,
+      [matchId]
+    );
+  }
+
+  async getShootout(connection, match) {
+    const kicks = await this.getKicks(connection, match.id);
+    if (kicks.length === 0) {
+      return null;
+    }
+
+    return computeShootout(kicks, match, match.jumlah_penendang_penalti || DEFAULT_SHOOTOUT_ROUNDS);
+  }
+
+  // Record the next kick. Teams must alternate, nobody kicks twice within
+  // the regular rounds, and nothing is accepted once the shootout is decided.
+  async recordKick(connection, match, kickData, userId) {
+    const rounds = match.jumlah_penendang_penalti || DEFAULT_SHOOTOUT_ROUNDS;
+    const kicks = await this.getKicks(connection, match.id, { forUpdate: true });
+    const state = computeShootout(kicks, match, rounds);
+    const teamId = Number(kickData.id_team);
+
+    if (state.decided) {
+      throw new AppError('The penalty shootout has already been decided', 400);
+    }
+
+    if (state.next_team && state.next_team !== teamId) {
+      throw new AppError('It is the other team\'s turn to kick', 400);
+    }
+
+    const teamKicks = kicks.filter(kick => kick.id_team === teamId);
+    if (
+      teamKicks.length < rounds
+      && teamKicks.some(kick => kick.id_pemain_event === Number(kickData.id_pemain_event))
+    ) {
+      throw new AppError('A player cannot take a second kick within the regular rounds', 400);
+    }
+
+    await connection.query(
+      `INSERT INTO match_penalties (id_match, urutan, id_team, id_pemain_event, hasil, created_by)
+       VALUES (?, ?, ?, ?, ?, ?)`,
+      [match.id, kicks.length + 1, teamId, kickData.id_pemain_event, kickData.hasil, userId]
+    );
+
+    return await this.syncScore(connection, match);
+  }
+
+  // Remove the most recent kick, e.g. when it was entered by mistake.
+  // Returns false when there was nothing to remove.
+  async undoLastKick(connection, match) {
+    const [result] = await connection.query(
+      'DELETE FROM match_penalties WHERE id_match = ? ORDER BY urutan DESC LIMIT 1',
+      [match.id]
+    );
+
+    if (result.affectedRows === 0) {
+      return false;
+    }
+
+    await this.syncScore(connection, match);
+    return true;
+  }
+
+  // Keep the shootout score on matches so lists and brackets can show it
+  async syncScore(connection, match) {
+    const shootout = await this.getShootout(connection, match);
+
+    await connection.query(
+      'UPDATE matches SET skor_penalti_1 = ?, skor_penalti_2 = ?, updated_at = NOW() WHERE id = ?',
+      [shootout ? shootout.skor_penalti_1 : null, shootout ? shootout.skor_penalti_2 : null, match.id]
+    );
+
+    logger.info('Penalty shootout updated', {
+      matchId: match.id,
+      score: shootout ? `${shootout.skor_penalti_1}-${shootout.skor_penalti_2}` : null,
+      decided: Boolean(shootout?.decided)
+    });
+
+    return shootout;
+  }
+}
+
+ShootoutService.computeShootout = computeShootout;
+
+module.exports = ShootoutService;
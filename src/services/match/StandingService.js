@@ -0,0 +1,789 @@
+// src/services/match/StandingService.js
+const database = require('../../config/database');
+const { AppError } = require('../../middleware/error/errorHandler');
+const logger = require('../../utils/logger');
+const PlayerService = require('../team/PlayerService');
+const BracketService = require('./BracketService');
+const { GOAL_EVENT_TYPES, OWN_GOAL_EVENT_TYPES } = require('../../constants/events');
+
+// Fair-play penalty points per card, fewer is better
+const FAIR_PLAY_POINTS = { KUNING: 1, KUNING_KEDUA: 3, MERAH: 3 };
+
+// Used when a category has no tiebreaker chain configured
+const DEFAULT_TIEBREAKERS = ['goal_difference', 'goals_for'];
+
+// Teams from different groups never met, so only overall criteria apply
+const CROSS_GROUP_TIEBREAKERS = ['goal_difference', 'goals_for', 'fair_play'];
+
+const STANDING_FIELDS = [
+  'main', 'menang', 'seri', 'kalah',
+  'goal_masuk', 'goal_kemasukan', 'selisih', 'point'
+];
+
+// klasemen increments a finished match gives each team
+const getResultRows = (match) => [
+  { id_team: match.team_1, goalFor: match.skor_1, goalAgainst: match.skor_2 },
+  { id_team: match.team_2, goalFor: match.skor_2, goalAgainst: match.skor_1 }
+].map(({ id_team, goalFor, goalAgainst }) => {
+  const menang = goalFor > goalAgainst ? 1 : 0;
+  const seri = goalFor === goalAgainst ? 1 : 0;
+
+  return {
+    id_team,
+    menang,
+    seri,
+    kalah: goalFor < goalAgainst ? 1 : 0,
+    goal_masuk: goalFor,
+    goal_kemasukan: goalAgainst,
+    selisih: goalFor - goalAgainst,
+    point: menang * 3 + seri
+  };
+});
+
+// A team's goals in match m according to its events: its own goals plus
+// the opponent's own goals
+const eventGoals = (teamColumn, opponentColumn) => `(
+  SELECT COUNT(*) FROM match_events me
+  WHERE me.id_match = m.id
+  AND (
+    (me.jenis IN (${GOAL_EVENT_TYPES.map(() => '?').join(', ')}) AND me.id_team = ${teamColumn})
+    OR (me.jenis IN (${OWN_GOAL_EVENT_TYPES.map(() => '?').join(', ')}) AND me.id_team = ${opponentColumn})
+  )
+)`;
+const EVENT_GOAL_PARAMS = [...GOAL_EVENT_TYPES, ...OWN_GOAL_EVENT_TYPES];
+
+// Finished matches of a category, with the stored score and the score
+// worked out from their events
+const SCORED_MATCHES_QUERY = `
+  SELECT
+    m.id, m.id_kategori, m.team_1, m.team_2, m.skor_penalti_1, m.skor_penalti_2,
+    m.skor_1 AS skor_1_tersimpan,
+    m.skor_2 AS skor_2_tersimpan,
+    ${eventGoals('m.team_1', 'm.team_2')} AS skor_1,
+    ${eventGoals('m.team_2', 'm.team_1')} AS skor_2,
+    EXISTS (SELECT 1 FROM brackets b WHERE b.match_id = m.id) AS is_bracket
+  FROM matches m
+  WHERE m.id_kategori = ?
+  AND m.status = 'selesai'
+`;
+
+const getScoredMatches = async (connection, kategoriId) => {
+  const matches = await connection.query(SCORED_MATCHES_QUERY, [
+    ...EVENT_GOAL_PARAMS,
+    ...EVENT_GOAL_PARAMS,
+    kategoriId
+  ]);
+
+  return matches.map(match => ({
+    ...match,
+    skor_1: Number(match.skor_1),
+    skor_2: Number(match.skor_2),
+    is_bracket: Boolean(match.is_bracket)
+  }));
+};
+
+const emptyRow = () => Object.fromEntries(STANDING_FIELDS.map(field => [field, 0]));
+
+// klasemen totals per team from a list of finished group matches
+const aggregateResults = (teamIds, matches) => {
+  const rows = new Map(teamIds.map(teamId => [teamId, emptyRow()]));
+
+  matches.forEach(match => {
+    getResultRows(match).forEach(result => {
+      if (!rows.has(result.id_team)) {
+        rows.set(result.id_team, emptyRow());
+      }
+
+      const row = rows.get(result.id_team);
+      row.main += 1;
+      STANDING_FIELDS.filter(field => field !== 'main').forEach(field => {
+        row[field] += result[field];
+      });
+    });
+  });
+
+  return rows;
+};
+
+const valuesOf = (teams, getValue) => new Map(teams.map(team => [team.id_team, getValue(team)]));
+
+// Mini-table of the matches played between the tied teams only
+const headToHead = (teams, matches, field) => {
+  const ids = new Set(teams.map(team => team.id_team));
+  const table = new Map(teams.map(team => [team.id_team, { points: 0, goalDifference: 0, goalsFor: 0 }]));
+
+  matches
+    .filter(match => ids.has(match.team_1) && ids.has(match.team_2))
+    .forEach(match => {
+      const home = table.get(match.team_1);
+      const away = table.get(match.team_2);
+
+      home.goalsFor += match.skor_1;
+      away.goalsFor += match.skor_2;
+      home.goalDifference += match.skor_1 - match.skor_2;
+      away.goalDifference += match.skor_2 - match.skor_1;
+
+      if (match.skor_1 > match.skor_2) {
+        home.points += 3;
+      } else if (match.skor_1 < match.skor_2) {
+        away.points += 3;
+      } else {
+        home.points += 1;
+        away.points += 1;
+      }
+    });
+
+  return valuesOf(teams, team => table.get(team.id_team)[field]);
+};
+
+// Each tiebreaker gives a value per team; higher ranks first
+const TIEBREAKERS = {
+  head_to_head_points: (teams, context) => headToHead(teams, context.matches, 'points'),
+  head_to_head_goal_difference: (teams, context) => headToHead(teams, context.matches, 'goalDifference'),
+  head_to_head_goals: (teams, context) => headToHead(teams, context.matches, 'goalsFor'),
+  goal_difference: teams => valuesOf(teams, team => team.selisih),
+  goals_for: teams => valuesOf(teams, team => team.goal_masuk),
+  fair_play: (teams, context) => valuesOf(teams, team => -(context.fairPlay.get(team.id_team) || 0)),
+  drawing_lots: teams => valuesOf(teams, team => (team.undian == null ? -Infinity : -team.undian))
+};
+
+// Split teams into ordered buckets of equal value
+const partition = (teams, values) => {
+  const sorted = [...teams].sort((a, b) => values.get(b.id_team) - values.get(a.id_team));
+  const parts = [];
+
+  sorted.forEach(team => {
+    const last = parts[parts.length - 1];
+    if (last && values.get(last[0].id_team) === values.get(team.id_team)) {
+      last.push(team);
+    } else {
+      parts.push([team]);
+    }
+  });
+
+  return parts;
+};
+
+// Apply the tiebreaker chain to teams level on points, recomputing each
+// criterion (head-to-head in particular) for the teams still tied
+const breakTie = (teams, chain, index, context) => {
+  if (index >= chain.length) {
+    return [...teams]
+      .sort((a, b) => a.nama_club.localeCompare(b.nama_club))
+      .map(team => ({ ...team, tiebreaker: 'unresolved' }));
+  }
+
+  const parts = partition(teams, TIEBREAKERS[chain[index]](teams, context));
+
+  return parts.flatMap(part => (part.length > 1
+    ? breakTie(part, chain, index + 1, context)
+    : [{ ...part[0], tiebreaker: chain[index] }]));
+};
+
+const rankGroup = (teams, chain, context) =>
+  partition(teams, valuesOf(teams, team => team.point))
+    .flatMap(part => (part.length > 1
+      ? breakTie(part, chain, 0, context)
+      : [{ ...part[0], tiebreaker: null }]))
+    .map((team, index) => ({ ...team, posisi: index + 1 }));
+
+class StandingService {
+  constructor() {
+    this.playerService = new PlayerService();
+    this.bracketService = new BracketService();
+  }
+
+  parseTiebreakers(category) {
+    if (!category || !category.tiebreakers) {
+      return DEFAULT_TIEBREAKERS;
+    }
+
+    return typeof category.tiebreakers === 'string'
+      ? JSON.parse(category.tiebreakers)
+      : category.tiebreakers;
+  }
+
+  // Ranked klasemen per group. Every row carries its group position and the
+  // tiebreaker that decided it when the team was level on points.
+  async getStandings(kategoriId, grup = null, connection = database) {
+    try {
+      const [category] = await connection.query(
+        'SELECT id, tiebreakers FROM event_categories WHERE id = ?',
+        [kategoriId]
+      );
+
+      const chain = this.parseTiebreakers(category);
+
+      let query = `
+        SELECT
+          k.*,
+          t.nama_club,
+          t.logo_club,
+          et.grup
+        FROM klasemen k
+        JOIN teams t ON k.id_team = t.id
+        JOIN event_teams et ON k.id_team = et.id_team AND et.id_kategori = k.id_kategori
+        WHERE k.id_kategori = ?
+      `;
+
+      const params = [kategoriId];
+
+      if (grup) {
+        query += ' AND et.grup = ?';
+        params.push(grup);
+      }
+
+      query += ' ORDER BY et.grup';
+
+      const rows = await connection.query(query, params);
+
+      // Finished group-stage results for head-to-head comparisons
+      const matchesQuery = `
+        SELECT m.team_1, m.team_2, m.skor_1, m.skor_2
+        FROM matches m
+        WHERE m.id_kategori = ?
+        AND m.status = 'selesai'
+        AND NOT EXISTS (SELECT 1 FROM brackets b WHERE b.match_id = m.id)
+      `;
+
+      const matches = await connection.query(matchesQuery, [kategoriId]);
+
+      const cardsQuery = `
+        SELECT me.id_team, me.jenis, COUNT(*) AS count
+        FROM match_events me
+        WHERE me.id_kategori = ?
+        AND me.jenis IN (${Object.keys(FAIR_PLAY_POINTS).map(() => '?').join(', ')})
+        GROUP BY me.id_team, me.jenis
+      `;
+
+      const cards = await connection.query(cardsQuery, [kategoriId, ...Object.keys(FAIR_PLAY_POINTS)]);
+
+      const fairPlay = new Map();
+      cards.forEach(card => {
+        fairPlay.set(card.id_team, (fairPlay.get(card.id_team) || 0) + card.count * FAIR_PLAY_POINTS[card.jenis]);
+      });
+
+      const groups = new Map();
+      rows.forEach(row => {
+        if (!groups.has(row.grup)) {
+          groups.set(row.grup, []);
+        }
+        groups.get(row.grup).push(row);
+      });
+
+      return [...groups.values()].flatMap(teams =>
+        rankGroup(teams, chain, { matches, fairPlay }).map(team => ({
+          ...team,
+          fair_play: fairPlay.get(team.id_team) || 0
+        }))
+      );
+    } catch (error) {
+      logger.error('Error fetching standings:', error);
+      throw new AppError('Failed to fetch standings', 500);
+    }
+  }
+
+  async updateTiebreakers(kategoriId, tiebreakers, userId) {
+    try {
+      const unknown = tiebreakers.filter(key => !TIEBREAKERS[key]);
+      if (unknown.length > 0) {
+        throw new AppError(`Unknown tiebreaker: ${unknown.join(', ')}`, 400);
+      }
+
+      const result = await database.query(
+        'UPDATE event_categories SET tiebreakers = ? WHERE id = ?',
+        [JSON.stringify(tiebreakers), kategoriId]
+      );
+
+      if (result.affectedRows === 0) {
+        return null;
+      }
+
+      logger.info('Tiebreakers updated', { kategori: kategoriId, tiebreakers, userId });
+
+      return tiebreakers;
+    } catch (error) {
+      logger.error('Error updating tiebreakers:', error);
+      throw error;
+    }
+  }
+
+  // Record the result of drawing lots as an order of team IDs (first = best)
+  async setDrawingLots(kategoriId, teamIds, userId) {
+    return await database.transaction(async (connection) => {
+      try {
+        for (const [index, teamId] of teamIds.entries()) {
+          await connection.query(
+            'UPDATE klasemen SET undian = ? WHERE id_kategori = ? AND id_team = ?',
+            [index + 1, kategoriId, teamId]
+          );
+        }
+
+        logger.info('Drawing lots recorded', { kategori: kategoriId, teamIds, userId });
+      } catch (error) {
+        logger.error('Error recording drawing lots:', error);
+        throw error;
+      }
+    });
+  }
+
+  // Apply a finished group match to both teams' klasemen rows
+  async applyMatchResult(connection, match) {
+    try {
+      for (const result of getResultRows(match)) {
+        const upsertQuery = `
+          INSERT INTO klasemen (
+            id_kategori, id_team, main, menang, seri, kalah,
+            goal_masuk, goal_kemasukan, selisih, point
+          ) VALUES (?, ?, 1, ?, ?, ?, ?, ?, ?, ?)
+          ON DUPLICATE KEY UPDATE
+            main = main + 1,
+            menang = menang + VALUES(menang),
+            seri = seri + VALUES(seri),
+            kalah = kalah + VALUES(kalah),
+            goal_masuk = goal_masuk + VALUES(goal_masuk),
+            goal_kemasukan = goal_kemasukan + VALUES(goal_kemasukan),
+            selisih = selisih + VALUES(selisih),
+            point = point + VALUES(point)
+        `;
+
+        await connection.query(upsertQuery, [
+          match.id_kategori,
+          result.id_team,
+          result.menang,
+          result.seri,
+          result.kalah,
+          result.goal_masuk,
+          result.goal_kemasukan,
+          result.selisih,
+          result.point
+        ]);
+      }
+    } catch (error) {
+      logger.error('Error applying match result to standings:', error);
+      throw error;
+    }
+  }
+
+  // Bring the stored score of every finished match of a category in line
+  // with its goal events. A bracket match whose winner would change is only
+  // reported: its winner has already moved on. Returns the diff.
+  async rebuildMatchScores(connection, kategoriId, { dryRun = false } = {}) {
+    try {
+      const matches = await getScoredMatches(connection, kategoriId);
+      const changes = [];
+
+      for (const match of matches) {
+        if (match.skor_1 === match.skor_1_tersimpan && match.skor_2 === match.skor_2_tersimpan) continue;
+
+        const change = {
+          id_match: match.id,
+          changes: {
+            skor_1: { from: match.skor_1_tersimpan, to: match.skor_1 },
+            skor_2: { from: match.skor_2_tersimpan, to: match.skor_2 }
+          }
+        };
+
+        if (match.is_bracket) {
+          const before = this.bracketService.getWinnerAndLoser({
+            ...match,
+            skor_1: match.skor_1_tersimpan,
+            skor_2: match.skor_2_tersimpan
+          });
+          const after = this.bracketService.getWinnerAndLoser(match);
+
+          if (before?.winner !== after?.winner) {
+            changes.push({ ...change, skipped: 'Events give this bracket match a different winner' });
+            continue;
+          }
+        }
+
+        changes.push(change);
+
+        if (dryRun) continue;
+
+        await connection.query(
+          'UPDATE matches SET skor_1 = ?, skor_2 = ?, updated_at = NOW() WHERE id = ?',
+          [match.skor_1, match.skor_2, match.id]
+        );
+      }
+
+      return changes;
+    } catch (error) {
+      logger.error('Error rebuilding match scores:', error);
+      throw error;
+    }
+  }
+
+  // Recompute every klasemen row of a category from its finished group
+  // matches, scored from their events. Rows of teams no longer in a group
+  // are zeroed. Idempotent; only rows that differ are written. Returns the diff.
+  async rebuildStandings(connection, kategoriId, { dryRun = false } = {}) {
+    try {
+      const teams = await connection.query(
+        'SELECT id_team FROM event_teams WHERE id_kategori = ? AND grup IS NOT NULL',
+        [kategoriId]
+      );
+
+      const current = await connection.query(
+        'SELECT * FROM klasemen WHERE id_kategori = ?',
+        [kategoriId]
+      );
+
+      const matches = (await getScoredMatches(connection, kategoriId)).filter(match => !match.is_bracket);
+
+      const expected = aggregateResults(teams.map(team => team.id_team), matches);
+
+      current
+        .filter(row => !expected.has(row.id_team))
+        .forEach(row => expected.set(row.id_team, emptyRow()));
+
+      const changes = [];
+
+      for (const [teamId, row] of expected) {
+        const existing = current.find(k => k.id_team === teamId);
+        const diff = {};
+
+        STANDING_FIELDS.forEach(field => {
+          const before = existing ? existing[field] : null;
+          if (before !== row[field]) {
+            diff[field] = { from: before, to: row[field] };
+          }
+        });
+
+        if (Object.keys(diff).length === 0) continue;
+
+        changes.push({ id_team: teamId, changes: diff });
+
+        if (dryRun) continue;
+
+        const upsertQuery = `
+          INSERT INTO klasemen (
+            id_kategori, id_team, ${STANDING_FIELDS.join(', ')}
+          ) VALUES (?, ?, ${STANDING_FIELDS.map(() => '?').join(', ')})
+          ON DUPLICATE KEY UPDATE
+            ${STANDING_FIELDS.map(field => `${field} = VALUES(${field})`).join(', ')}
+        `;
+
+        await connection.query(upsertQuery, [
+          kategoriId,
+          teamId,
+          ...STANDING_FIELDS.map(field => row[field])
+        ]);
+      }
+
+      return changes;
+    } catch (error) {
+      logger.error('Error rebuilding standings:', error);
+      throw error;
+    }
+  }
+
+  // Compare the teams placed posisi in every group. When groups differ in
+  // size, results against teams below the smallest group's last place are
+  // left out so every team is measured over the same number of opponents.
+  // The top `qualify` rows are marked as qualified.
+  async getPlacedTeamsTable(kategoriId, posisi, { qualify = null } = {}, connection = database) {
+    try {
+      const standings = await this.getStandings(kategoriId, null, connection);
+
+      const groups = new Map();
+      standings.forEach(team => {
+        if (!groups.has(team.grup)) {
+          groups.set(team.grup, []);
+        }
+        groups.get(team.grup).push(team);
+      });
+
+      const smallestGroup = Math.min(...[...groups.values()].map(teams => teams.length));
+      const excluded = new Set(standings
+        .filter(team => team.posisi > smallestGroup)
+        .map(team => team.id_team));
+
+      const matchesQuery = `
+        SELECT m.team_1, m.team_2, m.skor_1, m.skor_2
+        FROM matches m
+        WHERE m.id_kategori = ?
+        AND m.status = 'selesai'
+        AND NOT EXISTS (SELECT 1 FROM brackets b WHERE b.match_id = m.id)
+      `;
+
+      const matches = await connection.query(matchesQuery, [kategoriId]);
+
+      const placed = standings
+        .filter(team => team.posisi === Number(posisi))
+        .map(team => {
+          const row = emptyRow();
+          let dropped = 0;
+
+          matches
+            .filter(match => match.team_1 === team.id_team || match.team_2 === team.id_team)
+            .forEach(match => {
+              const opponent = match.team_1 === team.id_team ? match.team_2 : match.team_1;
+              if (excluded.has(opponent)) {
+                dropped += 1;
+                return;
+              }
+
+              const result = getResultRows(match).find(r => r.id_team === team.id_team);
+              row.main += 1;
+              STANDING_FIELDS.filter(field => field !== 'main').forEach(field => {
+                row[field] += result[field];
+              });
+            });
+
+          return { ...team, ...row, hasil_diabaikan: dropped };
+        });
+
+      const fairPlay = new Map(placed.map(team => [team.id_team, team.fair_play]));
+
+      return rankGroup(placed, CROSS_GROUP_TIEBREAKERS, { matches: [], fairPlay })
+        .map(({ posisi: rank, ...team }) => ({
+          ...team,
+          posisi: Number(posisi),
+          peringkat: rank,
+          lolos: qualify != null && rank <= qualify
+        }));
+    } catch (error) {
+      logger.error('Error ranking placed teams:', error);
+      if (error instanceof AppError) throw error;
+      throw new AppError('Failed to rank placed teams', 500);
+    }
+  }
+
+  // The ranked table as it stood after the given matchday, replayed from
+  // the finished group matches of that matchday and earlier
+  async buildTableAsOf(connection, kategoriId, matchday) {
+    const [category] = await connection.query(
+      'SELECT id, tiebreakers FROM event_categories WHERE id = ?',
+      [kategoriId]
+    );
+
+    const teams = await connection.query(
+      `SELECT et.id_team, et.grup, t.nama_club, t.logo_club, k.undian
+       FROM event_teams et
+       JOIN teams t ON et.id_team = t.id
+       LEFT JOIN klasemen k ON k.id_team = et.id_team AND k.id_kategori = et.id_kategori
+       WHERE et.id_kategori = ? AND et.grup IS NOT NULL`,
+      [kategoriId]
+    );
+
+    const matches = await connection.query(
+      `SELECT m.id, m.team_1, m.team_2, m.skor_1, m.skor_2
+       FROM matches m
+       WHERE m.id_kategori = ?
+       AND m.status = 'selesai'
+       AND m.matchday <= ?
+       AND NOT EXISTS (SELECT 1 FROM brackets b WHERE b.match_id = m.id)`,
+      [kategoriId, matchday]
+    );
+
+    const cards = await connection.query(
+      `SELECT me.id_team, me.jenis, COUNT(*) AS count
+       FROM match_events me
+       JOIN matches m ON me.id_match = m.id
+       WHERE me.id_kategori = ?
+       AND m.status = 'selesai'
+       AND m.matchday <= ?
+       AND me.jenis IN (${Object.keys(FAIR_PLAY_POINTS).map(() => '?').join(', ')})
+       GROUP BY me.id_team, me.jenis`,
+      [kategoriId, matchday, ...Object.keys(FAIR_PLAY_POINTS)]
+    );
+
+    const fairPlay = new Map();
+    cards.forEach(card => {
+      fairPlay.set(card.id_team, (fairPlay.get(card.id_team) || 0) + card.count * FAIR_PLAY_POINTS[card.jenis]);
+    });
+
+    const totals = aggregateResults(teams.map(team => team.id_team), matches);
+    const chain = this.parseTiebreakers(category);
+
+    const groups = new Map();
+    teams.forEach(team => {
+      if (!groups.has(team.grup)) {
+        groups.set(team.grup, []);
+      }
+      groups.get(team.grup).push({ ...team, ...totals.get(team.id_team) });
+    });
+
+    return [...groups.keys()].sort().flatMap(grup =>
+      rankGroup(groups.get(grup), chain, { matches, fairPlay }).map(team => ({
+        ...team,
+        fair_play: fairPlay.get(team.id_team) || 0
+      }))
+    );
+  }
+
+  // Store the table after every matchday from fromMatchday on. Later
+  // matchdays are refreshed too, since a match may finish after matches
+  // of the following matchday.
+  async refreshSnapshots(connection, kategoriId, fromMatchday = 1, matchId = null) {
+    try {
+      const matchdays = await connection.query(
+        `SELECT DISTINCT m.matchday
+         FROM matches m
+         WHERE m.id_kategori = ?
+         AND m.status = 'selesai'
+         AND m.matchday >= ?
+         AND NOT EXISTS (SELECT 1 FROM brackets b WHERE b.match_id = m.id)
+         ORDER BY m.matchday`,
+        [kategoriId, fromMatchday]
+      );
+
+      for (const { matchday } of matchdays) {
+        const table = await this.buildTableAsOf(connection, kategoriId, matchday);
+
+        const data = table.map(team => ({
+          id_team: team.id_team,
+          nama_club: team.nama_club,
+          grup: team.grup,
+          posisi: team.posisi,
+          tiebreaker: team.tiebreaker,
+          fair_play: team.fair_play,
+          ...Object.fromEntries(STANDING_FIELDS.map(field => [field, team[field]]))
+        }));
+
+        await connection.query(
+          `INSERT INTO klasemen_snapshots (id_kategori, matchday, id_match, data)
+           VALUES (?, ?, ?, ?)
+           ON DUPLICATE KEY UPDATE
+             id_match = COALESCE(VALUES(id_match), id_match),
+             data = VALUES(data),
+             updated_at = NOW()`,
+          [kategoriId, matchday, matchId, JSON.stringify(data)]
+        );
+      }
+
+      return matchdays.map(row => row.matchday);
+    } catch (error) {
+      logger.error('Error refreshing standings snapshots:', error);
+      throw error;
+    }
+  }
+
+  parseSnapshot(snapshot) {
+    return {
+      ...snapshot,
+      data: typeof snapshot.data === 'string' ? JSON.parse(snapshot.data) : snapshot.data
+    };
+  }
+
+  // The table as it stood after the given matchday (or the latest earlier
+  // matchday with a snapshot)
+  async getStandingsAsOf(kategoriId, matchday, grup = null) {
+    try {
+      const [snapshot] = await database.query(
+        `SELECT matchday, id_match, data, created_at, updated_at
+         FROM klasemen_snapshots
+         WHERE id_kategori = ? AND matchday <= ?
+         ORDER BY matchday DESC
+         LIMIT 1`,
+        [kategoriId, matchday]
+      );
+
+      if (!snapshot) {
+        return null;
+      }
+
+      const parsed = this.parseSnapshot(snapshot);
+
+      return {
+        ...parsed,
+        data: grup ? parsed.data.filter(team => team.grup === grup) : parsed.data
+      };
+    } catch (error) {
+      logger.error('Error fetching standings snapshot:', error);
+      throw new AppError('Failed to fetch standings snapshot', 500);
+    }
+  }
+
+  // Position of every team after each matchday
+  async getPositionHistory(kategoriId, grup = null) {
+    try {
+      const snapshots = await database.query(
+        `SELECT matchday, data
+         FROM klasemen_snapshots
+         WHERE id_kategori = ?
+         ORDER BY matchday ASC`,
+        [kategoriId]
+      );
+
+      const teams = new Map();
+
+      snapshots.map(snapshot => this.parseSnapshot(snapshot)).forEach(snapshot => {
+        snapshot.data
+          .filter(team => !grup || team.grup === grup)
+          .forEach(team => {
+            if (!teams.has(team.id_team)) {
+              teams.set(team.id_team, {
+                id_team: team.id_team,
+                nama_club: team.nama_club,
+                grup: team.grup,
+                positions: []
+              });
+            }
+
+            teams.get(team.id_team).positions.push({
+              matchday: snapshot.matchday,
+              posisi: team.posisi,
+              point: team.point,
+              main: team.main
+            });
+          });
+      });
+
+      return {
+        matchdays: snapshots.map(snapshot => snapshot.matchday),
+        teams: [...teams.values()].sort((a, b) =>
+          String(a.grup).localeCompare(String(b.grup))
+          || a.positions[a.positions.length - 1].posisi - b.positions[b.positions.length - 1].posisi)
+      };
+    } catch (error) {
+      logger.error('Error fetching standings history:', error);
+      throw new AppError('Failed to fetch standings history', 500);
+    }
+  }
+
+  // Rebuild klasemen and player totals of a category in one transaction
+  async rebuildCategory(kategoriId, { dryRun = false, userId = null } = {}) {
+    const [category] = await database.query('SELECT id FROM event_categories WHERE id = ?', [kategoriId]);
+    if (!category) {
+      throw new AppError('Category not found', 404);
+    }
+
+    const result = await database.transaction(async (connection) => {
+      const matches = await this.rebuildMatchScores(connection, kategoriId, { dryRun });
+      const standings = await this.rebuildStandings(connection, kategoriId, { dryRun });
+      const players = await this.playerService.recalculatePlayerStats(connection, kategoriId, { dryRun });
+
+      // Snapshots were taken from the drifted data as well
+      if ((standings.length > 0 || matches.length > 0) && !dryRun) {
+        await this.refreshSnapshots(connection, kategoriId);
+      }
+
+      return { matches, standings, players };
+    });
+
+    logger.info('Category standings rebuilt', {
+      kategori: kategoriId,
+      dryRun,
+      matchChanges: result.matches.length,
+      standingChanges: result.standings.length,
+      playerChanges: result.players.length,
+      userId
+    });
+
+    return {
+      kategoriId,
+      dryRun,
+      changed: result.matches.some(match => !match.skipped)
+        || result.standings.length > 0
+        || result.players.length > 0,
+      ...result
+    };
+  }
+}
+
+StandingService.TIEBREAKERS = Object.keys(TIEBREAKERS);
+
+module.exports = StandingService;
@@ -0,0 +1,557 @@
+// src/services/notification/WebhookService.js
+const crypto = require('crypto');
+const dns = require('dns').promises;
+const net = require('net');
+const database = require('../../config/database');
+const { AppError } = require('../../middleware/error/errorHandler');
+const logger = require('../../utils/logger');
+const { WEBHOOK_EVENT_TYPES } = require('../../constants/events');
+
+// webhook_deliveries.status values
+const DELIVERY_STATUS = {
+  PENDING: 'menunggu',
+  SENDING: 'mengirim',
+  DELIVERED: 'berhasil',
+  FAILED: 'gagal'
+};
+
+const MAX_ATTEMPTS = parseInt(process.env.WEBHOOK_MAX_ATTEMPTS) || 6;
+const RETRY_BASE_SECONDS = parseInt(process.env.WEBHOOK_RETRY_BASE_SECONDS) || 30;
+const REQUEST_TIMEOUT_MS = parseInt(process.env.WEBHOOK_TIMEOUT_MS) || 10000;
+
+// Deliveries stuck in SENDING this long (e.g. after a restart) are retried
+const STALE_LOCK_MINUTES = 5;
+const DUE_BATCH_SIZE = 50;
+
+// Endpoints on the server's own network could be probed through webhooks,
+// so only public addresses are allowed unless explicitly enabled (local
+// development against a receiver on the same machine)
+const ALLOW_PRIVATE_URLS = process.env.WEBHOOK_ALLOW_PRIVATE_URLS === 'true';
+
+// Loopback, private, link-local, carrier-grade NAT, unspecified, multicast
+// and reserved ranges
+const BLOCKED_ADDRESSES = new net.BlockList();
+[
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+  ['172.16.0.0', 12], ['192.168.0.0', 16], ['224.0.0.0', 4], ['240.0.0.0', 4]
+].forEach(([network, prefix]) => BLOCKED_ADDRESSES.addSubnet(network, prefix, 'ipv4'));
+[
+  ['::', 128], ['::1', 128], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]
+].forEach(([network, prefix]) => BLOCKED_ADDRESSES.addSubnet(network, prefix, 'ipv6'));
+
+const isBlockedAddress = (address) => {
+  // IPv4-mapped IPv6 addresses are checked as the IPv4 address they carry
+  const mapped = address.match(/^::ffff:(\d+\.\d+\.\d+\.\d+)$/i);
+  if (mapped) {
+    return BLOCKED_ADDRESSES.check(mapped[1], 'ipv4');
+  }
+
+  return BLOCKED_ADDRESSES.check(address, net.isIPv6(address) ? 'ipv6' : 'ipv4');
+};
+
+const generateSecret = () => `whsec_${crypto.randomBytes(24).toString('hex')}`;
+
+// Signature header value: HMAC-SHA256 over "<timestamp>.<body>", so a
+// captured request cannot be replayed later with a fresh timestamp
+const signPayload = (secret, timestamp, body) => {
+  const signature = crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+  return `t=${timestamp},v1=${signature}`;
+};
+
+// Seconds to wait before the next attempt: 30s, 1m, 2m, 4m, ...
+const getRetryDelaySeconds = (attempts) => RETRY_BASE_SECONDS * 2 ** (attempts - 1);
+
+const truncate = (value, length) => (value && value.length > length ? value.slice(0, length) : value);
+
+const parseWebhook = (webhook) => ({
+  ...webhook,
+  event_types: typeof webhook.event_types === 'string'
+    ? JSON.parse(webhook.event_types)
+    : webhook.event_types,
+  aktif: Boolean(webhook.aktif)
+});
+
+// Secrets are only shown when created or rotated
+const withoutSecret = ({ secret, ...webhook }) => webhook;
+
+class WebhookService {
+  // Whether every address the URL's host resolves to is public; null when
+  // the host does not resolve
+  async isPublicUrl(url) {
+    if (ALLOW_PRIVATE_URLS) return true;
+
+    const host = new URL(url).hostname.replace(/^\[|\]$/g, '');
+    const addresses = net.isIP(host)
+      ? [{ address: host }]
+      : await dns.lookup(host, { all: true }).catch(() => []);
+
+    if (addresses.length === 0) {
+      return null;
+    }
+
+    return !addresses.some(({ address }) => isBlockedAddress(address));
+  }
+
+  async assertPublicUrl(url) {
+    const isPublic = await this.isPublicUrl(url);
+
+    if (isPublic === null) {
+      throw new AppError('Webhook URL host could not be resolved', 400);
+    }
+
+    if (!isPublic) {
+      throw new AppError('Webhook URL must point to a public address', 400);
+    }
+  }
+
+  assertEventTypes(eventTypes) {
+    const unknown = eventTypes.filter(type => !WEBHOOK_EVENT_TYPES.includes(type));
+    if (unknown.length > 0) {
+      throw new AppError(`Unknown webhook event type: ${unknown.join(', ')}`, 400);
+    }
+  }
+
+  // Admins manage every webhook. An EO manages only webhooks scoped to an
+  // event they created; webhooks for all events (no id_event) are admin-only.
+  async canManage(user, eventId) {
+    if (user?.role === 'admin') {
+      return true;
+    }
+
+    if (!user || !eventId) {
+      return false;
+    }
+
+    const [event] = await database.query(
+      'SELECT id FROM events WHERE id = ? AND created_by = ?',
+      [eventId, user.id]
+    );
+
+    return Boolean(event);
+  }
+
+  // Webhooks visible to user, optionally for one event
+  async getWebhooks({ eventId = null, user = null } = {}) {
+    try {
+      const conditions = [];
+      const params = [];
+
+      if (eventId) {
+        conditions.push('id_event = ?');
+        params.push(eventId);
+      }
+
+      if (user?.role !== 'admin') {
+        conditions.push('id_event IN (SELECT id FROM events WHERE created_by = ?)');
+        params.push(user?.id ?? null);
+      }
+
+      let query = 'SELECT * FROM webhooks';
+
+      if (conditions.length > 0) {
+        query += ` WHERE ${conditions.join(' AND ')}`;
+      }
+
+      query += ' ORDER BY created_at DESC';
+
+      const webhooks = await database.query(query, params);
+      return webhooks.map(webhook => withoutSecret(parseWebhook(webhook)));
+    } catch (error) {
+      logger.error('Error fetching webhooks:', error);
+      throw new AppError('Failed to fetch webhooks', 500);
+    }
+  }
+
+  async getWebhookById(id) {
+    const [webhook] = await database.query('SELECT * FROM webhooks WHERE id = ?', [id]);
+    return webhook ? parseWebhook(webhook) : null;
+  }
+
+  async getDeliveryById(id) {
+    const [delivery] = await database.query('SELECT * FROM webhook_deliveries WHERE id = ?', [id]);
+    return delivery || null;
+  }
+
+  async createWebhook(data, userId) {
+    this.assertEventTypes(data.event_types);
+    await this.assertPublicUrl(data.url);
+
+    const secret = generateSecret();
+
+    const result = await database.query(
+      `INSERT INTO webhooks (id_event, url, secret, event_types, deskripsi, created_by)
+       VALUES (?, ?, ?, ?, ?, ?)`,
+      [
+        data.id_event || null,
+        data.url,
+        secret,
+        JSON.stringify([...new Set(data.event_types)]),
+        data.deskripsi || null,
+        userId
+      ]
+    );
+
+    logger.info('Webhook created', { webhookId: result.insertId, url: data.url, userId });
+
+    return await this.getWebhookById(result.insertId);
+  }
+
+  async updateWebhook(id, data, userId) {
+    const fields = [];
+    const values = [];
+
+    if (data.url !== undefined) {
+      await this.assertPublicUrl(data.url);
+      fields.push('url = ?');
+      values.push(data.url);
+    }
+
+    if (data.event_types !== undefined) {
+      this.assertEventTypes(data.event_types);
+      fields.push('event_types = ?');
+      values.push(JSON.stringify([...new Set(data.event_types)]));
+    }
+
+    if (data.deskripsi !== undefined) {
+      fields.push('deskripsi = ?');
+      values.push(data.deskripsi);
+    }
+
+    if (data.aktif !== undefined) {
+      fields.push('aktif = ?');
+      values.push(data.aktif ? 1 : 0);
+    }
+
+    if (fields.length === 0) {
+      throw new AppError('No valid fields to update', 400);
+    }
+
+    const result = await database.query(
+      `UPDATE webhooks SET ${fields.join(', ')}, updated_at = NOW() WHERE id = ?`,
+      [...values, id]
+    );
+
+    if (result.affectedRows === 0) {
+      return null;
+    }
+
+    logger.info('Webhook updated', { webhookId: id, changes: Object.keys(data), userId });
+
+    return withoutSecret(await this.getWebhookById(id));
+  }
+
+  async rotateSecret(id, userId) {
+    const secret = generateSecret();
+
+    const result = await database.query(
+      'UPDATE webhooks SET secret = ?, updated_at = NOW() WHERE id = ?',
+      [secret, id]
+    );
+
+    if (result.affectedRows === 0) {
+      return null;
+    }
+
+    logger.info('Webhook secret rotated', { webhookId: id, userId });
+
+    return await this.getWebhookById(id);
+  }
+
+  async deleteWebhook(id, userId) {
+    return await database.transaction(async (connection) => {
+      try {
+        await connection.query('DELETE FROM webhook_deliveries WHERE id_webhook = ?', [id]);
+        const [result] = await connection.query('DELETE FROM webhooks WHERE id = ?', [id]);
+
+        if (result.affectedRows === 0) {
+          return false;
+        }
+
+        logger.info('Webhook deleted', { webhookId: id, userId });
+        return true;
+      } catch (error) {
+        logger.error('Error deleting webhook:', error);
+        throw error;
+      }
+    });
+  }
+
+  async getDeliveries(webhookId, { status = null, limit = 20, offset = 0 } = {}) {
+    try {
+      const params = [webhookId];
+      let where = 'WHERE id_webhook = ?';
+
+      if (status) {
+        where += ' AND status = ?';
+        params.push(status);
+      }
+
+      const [count] = await database.query(
+        `SELECT COUNT(*) AS total FROM webhook_deliveries ${where}`,
+        params
+      );
+
+      const deliveries = await database.query(
+        `SELECT * FROM webhook_deliveries ${where} ORDER BY created_at DESC, id DESC LIMIT ? OFFSET ?`,
+        [...params, limit, offset]
+      );
+
+      return {
+        data: deliveries.map(delivery => ({
+          ...delivery,
+          payload: typeof delivery.payload === 'string' ? JSON.parse(delivery.payload) : delivery.payload
+        })),
+        total: count.total
+      };
+    } catch (error) {
+      logger.error('Error fetching webhook deliveries:', error);
+      throw new AppError('Failed to fetch webhook deliveries', 500);
+    }
+  }
+
+  // Queue an occurrence for every active webhook subscribed to its type and
+  // scope, then attempt delivery straight away. Scope comes from the match
+  // or category the occurrence belongs to. Never throws: webhooks must not
+  // break the request that triggered them.
+  async dispatch(eventType, data, { matchId = null, kategoriId = null, eventId = null } = {}) {
+    try {
+      if (!eventId && (matchId || kategoriId)) {
+        const [scope] = matchId
+          ? await database.query(
+            `SELECT ec.id_event FROM matches m JOIN event_categories ec ON m.id_kategori = ec.id WHERE m.id = ?`,
+            [matchId]
+          )
+          : await database.query('SELECT id_event FROM event_categories WHERE id = ?', [kategoriId]);
+
+        eventId = scope ? scope.id_event : null;
+      }
+
+      const webhooks = await database.query(
+        `SELECT id, event_types FROM webhooks
+         WHERE aktif = 1
+         AND (id_event IS NULL OR id_event = ?)`,
+        [eventId]
+      );
+
+      const subscribed = webhooks
+        .map(parseWebhook)
+        .filter(webhook => webhook.event_types.includes(eventType));
+
+      if (subscribed.length === 0) {
+        return [];
+      }
+
+      const eventUid = crypto.randomUUID();
+      const payload = JSON.stringify({
+        id: eventUid,
+        type: eventType,
+        created_at: new Date().toISOString(),
+        id_event: eventId,
+        id_kategori: kategoriId ? Number(kategoriId) : undefined,
+        id_match: matchId ? Number(matchId) : undefined,
+        data
+      });
+
+      const deliveryIds = [];
+      for (const webhook of subscribed) {
+        const result = await database.query(
+          `INSERT INTO webhook_deliveries (id_webhook, event_uid, event_type, payload, status, next_attempt_at)
+           VALUES (?, ?, ?, ?, ?, NOW())`,
+          [webhook.id, eventUid, eventType, payload, DELIVERY_STATUS.PENDING]
+        );
+        deliveryIds.push(result.insertId);
+      }
+
+      deliveryIds.forEach(id => {
+        this.attemptDelivery(id).catch(error => logger.error('Webhook delivery failed:', error));
+      });
+
+      return deliveryIds;
+    } catch (error) {
+      logger.error(`Error dispatching webhook ${eventType}:`, error);
+      return [];
+    }
+  }
+
+  // Claim a due delivery so the retry job and an immediate attempt never
+  // send it twice
+  async claimDelivery(id) {
+    const result = await database.query(
+      `UPDATE webhook_deliveries
+       SET status = ?, locked_at = NOW(), updated_at = NOW()
+       WHERE id = ?
+       AND (
+         status = ?
+         OR (status = ? AND locked_at < NOW() - INTERVAL ${STALE_LOCK_MINUTES} MINUTE)
+       )`,
+      [DELIVERY_STATUS.SENDING, id, DELIVERY_STATUS.PENDING, DELIVERY_STATUS.SENDING]
+    );
+
+    return result.affectedRows === 1;
+  }
+
+  // POST the payload once. Failures are rescheduled with exponential
+  // backoff until MAX_ATTEMPTS, after which the delivery is marked failed.
+  async attemptDelivery(id) {
+    if (!(await this.claimDelivery(id))) {
+      return null;
+    }
+
+    const [delivery] = await database.query(
+      `SELECT wd.*, w.url, w.secret, w.aktif
+       FROM webhook_deliveries wd
+       JOIN webhooks w ON wd.id_webhook = w.id
+       WHERE wd.id = ?`,
+      [id]
+    );
+
+    // The webhook (and its deliveries) was deleted after the claim
+    if (!delivery) {
+      return null;
+    }
+
+    const body = typeof delivery.payload === 'string' ? delivery.payload : JSON.stringify(delivery.payload);
+    const timestamp = Math.floor(Date.now() / 1000);
+    const attempts = delivery.attempts + 1;
+
+    let statusCode = null;
+    let responseText = null;
+    let errorMessage = null;
+    let blocked = false;
+
+    try {
+      // Checked again on every attempt: the host may resolve elsewhere by
+      // now. Unresolvable hosts are left to fail (and retry) in fetch.
+      if (await this.isPublicUrl(delivery.url) === false) {
+        blocked = true;
+        throw new Error('Webhook URL no longer points to a public address');
+      }
+
+      const response = await fetch(delivery.url, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'User-Agent': 'SportScore-Webhooks/1.0',
+          'X-SportScore-Event': delivery.event_type,
+          'X-SportScore-Delivery': String(delivery.id),
+          'X-SportScore-Signature': signPayload(delivery.secret, timestamp, body)
+        },
+        body,
+        redirect: 'manual',
+        signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS)
+      });
+
+      statusCode = response.status;
+      responseText = truncate(await response.text().catch(() => null), 2000);
+
+      if (!response.ok) {
+        errorMessage = `Endpoint responded with ${response.status}`;
+      }
+    } catch (error) {
+      errorMessage = truncate(error.name === 'TimeoutError' ? 'Request timed out' : error.message, 500);
+    }
+
+    if (!errorMessage) {
+      await database.query(
+        `UPDATE webhook_deliveries
+         SET status = ?, attempts = ?, last_status_code = ?, last_error = NULL, last_response = ?,
+             delivered_at = NOW(), next_attempt_at = NULL, locked_at = NULL, updated_at = NOW()
+         WHERE id = ?`,
+        [DELIVERY_STATUS.DELIVERED, attempts, statusCode, responseText, id]
+      );
+
+      return DELIVERY_STATUS.DELIVERED;
+    }
+
+    const giveUp = attempts >= MAX_ATTEMPTS || !delivery.aktif || blocked;
+
+    await database.query(
+      `UPDATE webhook_deliveries
+       SET status = ?, attempts = ?, last_status_code = ?, last_error = ?, last_response = ?,
+           next_attempt_at = ${giveUp ? 'NULL' : 'NOW() + INTERVAL ? SECOND'}, locked_at = NULL, updated_at = NOW()
+       WHERE id = ?`,
+      [
+        giveUp ? DELIVERY_STATUS.FAILED : DELIVERY_STATUS.PENDING,
+        attempts,
+        statusCode,
+        errorMessage,
+        responseText,
+        ...(giveUp ? [] : [getRetryDelaySeconds(attempts)]),
+        id
+      ]
+    );
+
+    logger.warn('Webhook delivery attempt failed', {
+      deliveryId: id,
+      webhookId: delivery.id_webhook,
+      attempts,
+      error: errorMessage
+    });
+
+    return giveUp ? DELIVERY_STATUS.FAILED : DELIVERY_STATUS.PENDING;
+  }
+
+  // Attempt every delivery whose retry time has come, for the periodic job.
+  // A delivery that throws is logged and left for the next run, so it does
+  // not hold up the rest of the batch.
+  async retryDueDeliveries() {
+    const due = await database.query(
+      `SELECT id FROM webhook_deliveries
+       WHERE (status = ? AND next_attempt_at <= NOW())
+       OR (status = ? AND locked_at < NOW() - INTERVAL ${STALE_LOCK_MINUTES} MINUTE)
+       ORDER BY next_attempt_at ASC
+       LIMIT ${DUE_BATCH_SIZE}`,
+      [DELIVERY_STATUS.PENDING, DELIVERY_STATUS.SENDING]
+    );
+
+    const results = [];
+    for (const delivery of due) {
+      try {
+        results.push(await this.attemptDelivery(delivery.id));
+      } catch (error) {
+        logger.error(`Webhook delivery ${delivery.id} retry failed:`, error);
+        results.push(null);
+      }
+    }
+
+    return results;
+  }
+
+  // Send a logged delivery again as a new delivery with the same payload,
+  // whatever the outcome of the original
+  async replayDelivery(id, userId) {
+    const [original] = await database.query(
+      `SELECT wd.*
+       FROM webhook_deliveries wd
+       JOIN webhooks w ON wd.id_webhook = w.id
+       WHERE wd.id = ?`,
+      [id]
+    );
+
+    if (!original) {
+      return null;
+    }
+
+    const payload = typeof original.payload === 'string' ? original.payload : JSON.stringify(original.payload);
+
+    const result = await database.query(
+      `INSERT INTO webhook_deliveries
+        (id_webhook, event_uid, event_type, payload, status, next_attempt_at, replay_of)
+       VALUES (?, ?, ?, ?, ?, NOW(), ?)`,
+      [original.id_webhook, original.event_uid, original.event_type, payload, DELIVERY_STATUS.PENDING, original.id]
+    );
+
+    logger.info('Webhook delivery replayed', { deliveryId: id, replayId: result.insertId, userId });
+
+    await this.attemptDelivery(result.insertId);
+
+    const [replay] = await database.query('SELECT * FROM webhook_deliveries WHERE id = ?', [result.insertId]);
+    return replay;
+  }
+}
+
+WebhookService.EVENT_TYPES = WEBHOOK_EVENT_TYPES;
+WebhookService.DELIVERY_STATUS = DELIVERY_STATUS;
+WebhookService.signPayload = signPayload;
+
+module.exports = WebhookService;
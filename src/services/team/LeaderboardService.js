@@ -0,0 +1,253 @@
+// src/services/team/LeaderboardService.js
+const database = require('../../config/database');
+const { AppError } = require('../../middleware/error/errorHandler');
+const logger = require('../../utils/logger');
+const {
+  MATCH_EVENT_TYPES,
+  GOAL_EVENT_TYPES,
+  OWN_GOAL_EVENT_TYPES,
+  SENDING_OFF_EVENT_TYPES
+} = require('../../constants/events');
+
+const LEADERBOARD_TYPES = ['scorers', 'discipline', 'clean-sheets'];
+
+// Disciplinary points used to rank the cards table
+const CARD_POINTS = {
+  KUNING: 1,
+  KUNING_KEDUA: 3,
+  MERAH: 3
+};
+
+const placeholders = values => values.map(() => '?').join(', ');
+
+const perMatch = (total, matches) => `IF(${matches} > 0, ROUND(${total} / ${matches}, 2), 0)`;
+
+// Columns, filter and ranking of every leaderboard. Equal totals are ranked
+// by fewer minutes played, then by the better rate per match (higher or
+// lower, as given); players level on all three share a position.
+const LEADERBOARDS = {
+  scorers: {
+    columns: [
+      'gol', 'gol_penalti', 'gol - gol_penalti AS gol_non_penalti', 'gol_bunuh_diri',
+      'main', 'menit_bermain'
+    ],
+    where: 'gol > 0',
+    field: 'gol',
+    rateField: 'gol_per_main',
+    rate: perMatch('gol', 'main'),
+    rateOrder: 'DESC'
+  },
+  discipline: {
+    columns: ['kuning', 'kuning_kedua', 'merah', 'poin_disiplin', 'main', 'menit_bermain'],
+    where: 'poin_disiplin > 0',
+    field: 'poin_disiplin',
+    rateField: 'kartu_per_main',
+    rate: perMatch('(kuning + kuning_kedua + merah)', 'main'),
+    rateOrder: 'DESC'
+  },
+  // A clean sheet goes to a starting goalkeeper who played the whole match
+  // without the team conceding
+  'clean-sheets': {
+    columns: ['clean_sheet', 'main_kiper', 'kebobolan', 'menit_bermain'],
+    where: 'main_kiper > 0',
+    field: 'clean_sheet',
+    rateField: 'kebobolan_per_main',
+    rate: perMatch('kebobolan', 'main_kiper'),
+    rateOrder: 'ASC'
+  }
+};
+
+// SUM and division results come back from MySQL as DECIMAL strings
+const TEXT_FIELDS = ['nama_pemain', 'foto_pemain', 'nama_club'];
+
+const toNumbers = row => Object.fromEntries(
+  Object.entries(row).map(([key, value]) =>
+    [key, TEXT_FIELDS.includes(key) || value === null ? value : Number(value)]
+  )
+);
+
+class LeaderboardService {
+  // Common table expressions ending in `player_rows`: one row per team:player with
+  // appearance totals and event counts. scope is { kategori } or { event };
+  // across an event, players are combined over every category they are
+  // registered in for the same team.
+  buildScopeQuery({ kategori, event }) {
+    const scopeCondition = kategori ? 'ec.id = ?' : 'ec.id_event = ?';
+    const scopeParam = kategori || event;
+
+    // A player's stints on the pitch run from kickoff (starters) or each
+    // substitution in, to each substitution out, the sending off or the
+    // final whistle, so minutes played are the exit minutes less the entry
+    // minutes. A sending off only ends a stint while the player is on.
+    const sql = `
+      WITH scope_matches AS (
+        SELECT m.id, m.team_1, m.team_2, m.skor_1, m.skor_2,
+               ec.durasi_babak * ec.jumlah_babak
+                 + GREATEST(COALESCE(mc.babak, 0) - ec.jumlah_babak, 0)
+                 * COALESCE(ec.durasi_babak_tambahan, 0) AS panjang
+        FROM matches m
+        JOIN event_categories ec ON m.id_kategori = ec.id
+        LEFT JOIN match_clock mc ON mc.id_match = m.id
+        WHERE ${scopeCondition}
+        AND m.status = 'selesai'
+      ),
+      stints AS (
+        SELECT me.id_match, me.id_team, me.id_pemain, 1 AS masuk, 0 AS keluar,
+               LEAST(me.menit, sm.panjang) AS menit, NULL AS menit_dikeluarkan
+        FROM match_events me
+        JOIN scope_matches sm ON me.id_match = sm.id
+        WHERE me.jenis = ?
+        UNION ALL
+        SELECT me.id_match, me.id_team, me.id_pemain_keluar, 0, 1,
+               LEAST(me.menit, sm.panjang), NULL
+        FROM match_events me
+        JOIN scope_matches sm ON me.id_match = sm.id
+        WHERE me.jenis = ?
+        UNION ALL
+        SELECT me.id_match, me.id_team, me.id_pemain, 0, 0,
+               NULL, LEAST(me.menit, sm.panjang)
+        FROM match_events me
+        JOIN scope_matches sm ON me.id_match = sm.id
+        WHERE me.jenis IN (${placeholders(SENDING_OFF_EVENT_TYPES)})
+      ),
+      appearances AS (
+        SELECT ml.id_match, pe.id_team, pe.id_pemain, ml.is_kiper, ml.is_starting, sm.panjang,
+               IF(pe.id_team = sm.team_1, sm.skor_2, sm.skor_1) AS kebobolan,
+               ml.is_starting + COALESCE(SUM(s.masuk), 0) AS masuk,
+               COALESCE(SUM(s.keluar), 0) AS keluar,
+               COALESCE(SUM(s.masuk * s.menit), 0) AS menit_masuk,
+               COALESCE(SUM(s.keluar * s.menit), 0) AS menit_keluar,
+               MIN(s.menit_dikeluarkan) AS menit_dikeluarkan
+        FROM match_lineup ml
+        JOIN scope_matches sm ON ml.id_match = sm.id
+        JOIN pemain_event pe ON ml.id_pemain_event = pe.id
+        LEFT JOIN stints s
+          ON s.id_match = ml.id_match AND s.id_team = pe.id_team AND s.id_pemain = pe.id_pemain
+        GROUP BY ml.id, ml.id_match, pe.id_team, pe.id_pemain, ml.is_kiper, ml.is_starting,
+                 sm.panjang, sm.team_1, sm.skor_1, sm.skor_2
+      ),
+      played AS (
+        SELECT a.*,
+               GREATEST(a.menit_keluar - a.menit_masuk
+                 + IF(a.keluar < a.masuk, COALESCE(a.menit_dikeluarkan, a.panjang), 0), 0) AS menit
+        FROM appearances a
+        WHERE a.masuk > 0
+      ),
+      players AS (
+        SELECT MIN(pe.id) AS id_pemain_event, pe.id_pemain, pe.id_team
+        FROM pemain_event pe
+        JOIN event_categories ec ON pe.id_kategori = ec.id
+        WHERE ${scopeCondition}
+        GROUP BY pe.id_pemain, pe.id_team
+      ),
+      totals AS (
+        SELECT pl.id_pemain_event, pl.id_pemain, pl.id_team,
+               COUNT(pd.id_match) AS main,
+               COALESCE(SUM(pd.menit), 0) AS menit_bermain,
+               COALESCE(SUM(pd.is_kiper AND pd.is_starting), 0) AS main_kiper,
+               COALESCE(SUM(IF(pd.is_kiper AND pd.is_starting, pd.kebobolan, 0)), 0) AS kebobolan,
+               COALESCE(SUM(pd.is_kiper AND pd.is_starting
+                 AND pd.kebobolan = 0 AND pd.menit >= pd.panjang), 0) AS clean_sheet
+        FROM players pl
+        LEFT JOIN played pd ON pd.id_team = pl.id_team AND pd.id_pemain = pl.id_pemain
+        GROUP BY pl.id_pemain_event, pl.id_pemain, pl.id_team
+      ),
+      event_counts AS (
+        SELECT me.id_team, me.id_pemain,
+               SUM(me.jenis IN (${placeholders(GOAL_EVENT_TYPES)})) AS gol,
+               SUM(me.jenis = ?) AS gol_penalti,
+               SUM(me.jenis IN (${placeholders(OWN_GOAL_EVENT_TYPES)})) AS gol_bunuh_diri,
+               SUM(me.jenis = ?) AS kuning,
+               SUM(me.jenis = ?) AS kuning_kedua,
+               SUM(me.jenis = ?) AS merah
+        FROM match_events me
+        JOIN scope_matches sm ON me.id_match = sm.id
+        GROUP BY me.id_team, me.id_pemain
+      ),
+      player_rows AS (
+        SELECT t.id_pemain, t.id_pemain_event, t.id_team,
+               p.nama_pemain, p.foto_pemain, pe.no_punggung, tm.nama_club,
+               t.main, t.menit_bermain, t.main_kiper, t.kebobolan, t.clean_sheet,
+               COALESCE(c.gol, 0) AS gol,
+               COALESCE(c.gol_penalti, 0) AS gol_penalti,
+               COALESCE(c.gol_bunuh_diri, 0) AS gol_bunuh_diri,
+               COALESCE(c.kuning, 0) AS kuning,
+               COALESCE(c.kuning_kedua, 0) AS kuning_kedua,
+               COALESCE(c.merah, 0) AS merah,
+               COALESCE(c.kuning * ? + c.kuning_kedua * ? + c.merah * ?, 0) AS poin_disiplin
+        FROM totals t
+        JOIN pemain_event pe ON pe.id = t.id_pemain_event
+        JOIN pemain p ON p.id = t.id_pemain
+        JOIN teams tm ON tm.id = t.id_team
+        LEFT JOIN event_counts c ON c.id_team = t.id_team AND c.id_pemain = t.id_pemain
+      )`;
+
+    const params = [
+      scopeParam,
+      MATCH_EVENT_TYPES.SUBSTITUSI,
+      MATCH_EVENT_TYPES.SUBSTITUSI,
+      ...SENDING_OFF_EVENT_TYPES,
+      scopeParam,
+      ...GOAL_EVENT_TYPES,
+      MATCH_EVENT_TYPES.GOL_PENALTI,
+      ...OWN_GOAL_EVENT_TYPES,
+      MATCH_EVENT_TYPES.KUNING,
+      MATCH_EVENT_TYPES.KUNING_KEDUA,
+      MATCH_EVENT_TYPES.MERAH,
+      CARD_POINTS.KUNING,
+      CARD_POINTS.KUNING_KEDUA,
+      CARD_POINTS.MERAH
+    ];
+
+    return { sql, params };
+  }
+
+  // Ranked, paginated leaderboard of the given type
+  async getLeaderboard(type, scope, { limit = 10, offset = 0 } = {}) {
+    if (!LEADERBOARD_TYPES.includes(type)) {
+      throw new AppError(`Unknown leaderboard: ${type}`, 400);
+    }
+
+    const { columns, where, field, rateField, rate, rateOrder } = LEADERBOARDS[type];
+
+    try {
+      const { sql: scopeQuery, params } = this.buildScopeQuery(scope);
+
+      const [{ total }] = await database.query(
+        `${scopeQuery}
+        SELECT COUNT(*) AS total FROM player_rows WHERE ${where}`,
+        params
+      );
+
+      const leaderboard = await database.query(
+        `${scopeQuery}
+        SELECT board.*,
+               RANK() OVER (
+                 ORDER BY board.${field} DESC, board.menit_bermain ASC, board.${rateField} ${rateOrder}
+               ) AS peringkat
+        FROM (
+          SELECT id_pemain, id_pemain_event, id_team, nama_pemain, foto_pemain, no_punggung, nama_club,
+                 ${columns.join(', ')},
+                 ${rate} AS ${rateField}
+          FROM player_rows
+          WHERE ${where}
+        ) board
+        ORDER BY peringkat, board.nama_pemain
+        LIMIT ? OFFSET ?`,
+        [...params, limit, offset]
+      );
+
+      return {
+        data: leaderboard.map(toNumbers),
+        total
+      };
+    } catch (error) {
+      logger.error('Error fetching leaderboard:', error);
+      throw new AppError('Failed to fetch leaderboard', 500);
+    }
+  }
+}
+
+LeaderboardService.TYPES = LEADERBOARD_TYPES;
+
+module.exports = LeaderboardService;
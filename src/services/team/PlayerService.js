@@ -0,0 +1,92 @@
+// src/services/team/PlayerService.js
+const logger = require('../../utils/logger');
+
+// pemain_event totals derived from match events, keyed by the event types
+// each total counts
+const PLAYER_STAT_FIELDS = {
+  jumlah_gol: ['GOL', 'GOL_PENALTI'],
+  jumlah_assist: ['ASSIST'],
+  jumlah_kuning: ['KUNING'],
+  jumlah_merah: ['MERAH', 'KUNING_KEDUA']
+};
+
+const STAT_EVENT_TYPES = Object.values(PLAYER_STAT_FIELDS).flat();
+
+class PlayerService {
+  // Recompute goal, assist and card totals of a category's players from the events
+  // of every non-cancelled match. Only rows that differ are written; returns
+  // the diff. Pass playerIds to limit the recalculation to those players.
+  async recalculatePlayerStats(connection, kategoriId, { dryRun = false, playerIds = null } = {}) {
+    try {
+      const fields = Object.keys(PLAYER_STAT_FIELDS);
+      const playerFilter = playerIds && playerIds.length > 0
+        ? ` AND pe.id_pemain IN (${playerIds.map(() => '?').join(', ')})`
+        : '';
+      const filterParams = playerFilter ? playerIds : [];
+
+      const current = await connection.query(
+        `SELECT pe.id, pe.id_pemain, pe.id_team, ${fields.map(f => `pe.${f}`).join(', ')}
+         FROM pemain_event pe
+         WHERE pe.id_kategori = ?${playerFilter}`,
+        [kategoriId, ...filterParams]
+      );
+
+      const eventsQuery = `
+        SELECT me.id_pemain, me.id_team, me.jenis, COUNT(*) AS count
+        FROM match_events me
+        JOIN matches m ON me.id_match = m.id
+        JOIN pemain_event pe ON pe.id_pemain = me.id_pemain
+          AND pe.id_team = me.id_team
+          AND pe.id_kategori = me.id_kategori
+        WHERE me.id_kategori = ?
+        AND m.status != 'cancelled'
+        AND me.jenis IN (${STAT_EVENT_TYPES.map(() => '?').join(', ')})
+        ${playerFilter}
+        GROUP BY me.id_pemain, me.id_team, me.jenis
+      `;
+
+      const events = await connection.query(eventsQuery, [
+        kategoriId,
+        ...STAT_EVENT_TYPES,
+        ...filterParams
+      ]);
+
+      const changes = [];
+
+      for (const player of current) {
+        const diff = {};
+
+        Object.entries(PLAYER_STAT_FIELDS).forEach(([field, types]) => {
+          const total = events
+            .filter(e => e.id_pemain === player.id_pemain && e.id_team === player.id_team && types.includes(e.jenis))
+            .reduce((sum, e) => sum + e.count, 0);
+
+          if (player[field] !== total) {
+            diff[field] = { from: player[field], to: total };
+          }
+        });
+
+        if (Object.keys(diff).length === 0) continue;
+
+        changes.push({ id_pemain_event: player.id, id_pemain: player.id_pemain, changes: diff });
+
+        if (dryRun) continue;
+
+        const changedFields = Object.keys(diff);
+        await connection.query(
+          `UPDATE pemain_event SET ${changedFields.map(f => `${f} = ?`).join(', ')} WHERE id = ?`,
+          [...changedFields.map(f => diff[f].to), player.id]
+        );
+      }
+
+      return changes;
+    } catch (error) {
+      logger.error('Error recalculating player stats:', error);
+      throw error;
+    }
+  }
+}
+
+PlayerService.PLAYER_STAT_FIELDS = PLAYER_STAT_FIELDS;
+
+module.exports = PlayerService;
@@ -0,0 +1,437 @@
+// src/services/team/RosterImportService.js
+const { Readable } = require('stream');
+const ExcelJS = require('exceljs');
+const database = require('../../config/database');
+const { AppError } = require('../../middleware/error/errorHandler');
+const logger = require('../../utils/logger');
+
+const MAX_IMPORT_ROWS = 2000;
+
+const ROW_TYPES = {
+  PLAYER: 'pemain',
+  STAFF: 'staff'
+};
+
+// Accepted spellings of each column header
+const HEADER_ALIASES = {
+  tipe: ['tipe', 'type', 'jenis'],
+  tim: ['tim', 'team', 'nama_club', 'club'],
+  wilayah: ['wilayah', 'region'],
+  nama: ['nama', 'name', 'nama_pemain', 'nama_staff'],
+  no_punggung: ['no_punggung', 'nomor', 'jersey', 'shirt', 'no'],
+  tanggal_lahir: ['tanggal_lahir', 'tgl_lahir', 'dob', 'birth_date'],
+  nik: ['nik', 'id_number'],
+  jabatan: ['jabatan', 'role', 'position']
+};
+
+const normalizeHeader = (header) => {
+  const key = String(header ?? '').trim().toLowerCase().replace(/[\s-]+/g, '_');
+  return Object.keys(HEADER_ALIASES).find(field => HEADER_ALIASES[field].includes(key)) || null;
+};
+
+const cellText = (value) => {
+  if (value == null) return '';
+  if (value instanceof Date) return value.toISOString().slice(0, 10);
+  if (typeof value === 'object') {
+    // Rich text, hyperlink and formula cells
+    if (value.richText) return value.richText.map(part => part.text).join('').trim();
+    if (value.text != null) return String(value.text).trim();
+    if (value.result != null) return cellText(value.result);
+  }
+  return String(value).trim();
+};
+
+// Dates as YYYY-MM-DD or DD/MM/YYYY, or spreadsheet date cells
+const parseDate = (value) => {
+  if (value instanceof Date) {
+    return Number.isNaN(value.getTime()) ? null : value;
+  }
+
+  const text = cellText(value);
+  let match = text.match(/^(\d{4})-(\d{1,2})-(\d{1,2})$/);
+  let parts = match ? [match[1], match[2], match[3]] : null;
+
+  if (!parts) {
+    match = text.match(/^(\d{1,2})[/.-](\d{1,2})[/.-](\d{4})$/);
+    parts = match ? [match[3], match[2], match[1]] : null;
+  }
+
+  if (!parts) return null;
+
+  const [year, month, day] = parts.map(Number);
+  const date = new Date(Date.UTC(year, month - 1, day));
+
+  return date.getUTCMonth() === month - 1 && date.getUTCDate() === day ? date : null;
+};
+
+// Age in full years on the given date
+const ageOn = (birthDate, date) => {
+  let age = date.getUTCFullYear() - birthDate.getUTCFullYear();
+  const beforeBirthday = date.getUTCMonth() < birthDate.getUTCMonth()
+    || (date.getUTCMonth() === birthDate.getUTCMonth() && date.getUTCDate() < birthDate.getUTCDate());
+
+  return beforeBirthday ? age - 1 : age;
+};
+
+const toSqlDate = (date) => date.toISOString().slice(0, 10);
+
+// First worksheet of a CSV or XLSX upload as a list of row objects keyed by
+// the recognised headers. Row numbers match the spreadsheet (header is 1).
+const readSpreadsheet = async (buffer, format) => {
+  const workbook = new ExcelJS.Workbook();
+
+  // Keep CSV cells as text; dates and numbers are parsed per column
+  const sheet = format === 'xlsx'
+    ? (await workbook.xlsx.load(buffer)).worksheets[0]
+    : await workbook.csv.read(Readable.from(buffer.toString('utf8').replace(/^\uFEFF/, '')), {
+      map: value => value
+    });
+
+  if (!sheet || sheet.rowCount < 1) {
+    throw new AppError('The file is empty', 400);
+  }
+
+  const headers = [];
+  sheet.getRow(1).eachCell((cell, column) => {
+    headers[column] = normalizeHeader(cell.value);
+  });
+
+  if (!headers.includes('nama')) {
+    throw new AppError('The file must have a "nama" column', 400);
+  }
+
+  const rows = [];
+  sheet.eachRow((row, rowNumber) => {
+    if (rowNumber === 1) return;
+
+    const values = { baris: rowNumber };
+    row.eachCell((cell, column) => {
+      if (headers[column]) values[headers[column]] = cell.value;
+    });
+
+    const isEmpty = Object.keys(HEADER_ALIASES).every(field => cellText(values[field]) === '');
+    if (!isEmpty) rows.push(values);
+  });
+
+  if (rows.length > MAX_IMPORT_ROWS) {
+    throw new AppError(`An import can contain at most ${MAX_IMPORT_ROWS} rows`, 400);
+  }
+
+  return rows;
+};
+
+class RosterImportService {
+  // Import a CSV or XLSX roster into a category. With teamId every row
+  // belongs to that team; otherwise each row names its team in "tim", and
+  // unknown teams are created. Only callers with canRegister (admins and
+  // EOs) may register teams into the category; teams register themselves
+  // through the event registration and payment. Every row is validated
+  // first; nothing is written in dry-run mode or when any row has an error.
+  async importRoster({ kategoriId, teamId = null, buffer, format, dryRun = true, canRegister = false }, userId) {
+    const rows = await readSpreadsheet(buffer, format);
+
+    return await database.transaction(async (connection) => {
+      try {
+        const [category] = await connection.query(
+          'SELECT id, usia_min, usia_maks, tanggal_acuan_usia FROM event_categories WHERE id = ?',
+          [kategoriId]
+        );
+
+        if (!category) {
+          return null;
+        }
+
+        let fixedTeam = null;
+        if (teamId) {
+          [fixedTeam] = await connection.query('SELECT id, nama_club FROM teams WHERE id = ?', [teamId]);
+          if (!fixedTeam) {
+            throw new AppError('Team not found', 404);
+          }
+        }
+
+        const context = await this.loadContext(connection, category, rows);
+        const { errors, plan } = this.validateRows(rows, category, fixedTeam, context);
+
+        if (!canRegister && plan.registrations.length > 0) {
+          throw new AppError(
+            'Team is not registered in this category; register through the event registration before importing a roster',
+            403
+          );
+        }
+
+        const report = {
+          dry_run: dryRun,
+          valid: errors.length === 0,
+          rows: rows.length,
+          summary: {
+            teams_created: plan.newTeams.length,
+            teams_registered: plan.registrations.length,
+            players: plan.players.length,
+            staff: plan.staff.length
+          },
+          errors
+        };
+
+        if (dryRun || errors.length > 0) {
+          return report;
+        }
+
+        await this.applyPlan(connection, category.id, plan);
+
+        logger.info('Roster imported', {
+          kategori: category.id,
+          team: teamId,
+          ...report.summary,
+          userId
+        });
+
+        return report;
+      } catch (error) {
+        logger.error('Error importing roster:', error);
+        throw error;
+      }
+    });
+  }
+
+  // Existing teams, registrations and people the rows may refer to
+  async loadContext(connection, category, rows) {
+    const teams = await connection.query('SELECT id, nama_club FROM teams');
+
+    const registered = await connection.query(
+      'SELECT id_team FROM event_teams WHERE id_kategori = ?',
+      [category.id]
+    );
+
+    const players = await connection.query(
+      `SELECT pe.id_team, pe.no_punggung, p.nik
+       FROM pemain_event pe
+       JOIN pemain p ON pe.id_pemain = p.id
+       WHERE pe.id_kategori = ?`,
+      [category.id]
+    );
+
+    const staff = await connection.query(
+      `SELECT se.id_team, s.nik
+       FROM staff_event se
+       JOIN staff s ON se.id_staff = s.id
+       WHERE se.id_kategori = ?`,
+      [category.id]
+    );
+
+    const niks = [...new Set(rows.map(row => cellText(row.nik)).filter(Boolean))];
+    const inList = niks.map(() => '?').join(', ');
+
+    const knownPlayers = niks.length > 0
+      ? await connection.query(`SELECT id, nik, tanggal_lahir FROM pemain WHERE nik IN (${inList})`, niks)
+      : [];
+    const knownStaff = niks.length > 0
+      ? await connection.query(`SELECT id, nik FROM staff WHERE nik IN (${inList})`, niks)
+      : [];
+
+    return {
+      teamsByName: new Map(teams.map(team => [team.nama_club.trim().toLowerCase(), team])),
+      registeredTeams: new Set(registered.map(row => row.id_team)),
+      registeredPlayers: players,
+      registeredStaff: staff,
+      playersByNik: new Map(knownPlayers.map(player => [player.nik, player])),
+      staffIdsByNik: new Map(knownStaff.map(member => [member.nik, member.id]))
+    };
+  }
+
+  // Check every row and collect what would be written. Teams are keyed by
+  // ID, or by lower-cased name for teams the import will create.
+  validateRows(rows, category, fixedTeam, context) {
+    const errors = [];
+    const plan = { newTeams: [], registrations: [], players: [], staff: [] };
+
+    const referenceDate = category.tanggal_acuan_usia ? new Date(category.tanggal_acuan_usia) : new Date();
+    const shirtNumbers = new Map();
+    const niksInCategory = new Set([
+      ...context.registeredPlayers.map(player => player.nik),
+      ...context.registeredStaff.map(member => `staff:${member.nik}`)
+    ].filter(Boolean));
+    const importedNiks = new Set();
+
+    context.registeredPlayers.forEach(player => {
+      shirtNumbers.set(`${player.id_team}:${player.no_punggung}`, 'an already registered player');
+    });
+
+    const resolveTeam = (row, fail) => {
+      if (fixedTeam) return { key: fixedTeam.id, id: fixedTeam.id };
+
+      const name = cellText(row.tim);
+      if (!name) {
+        fail('tim', 'Team is required when importing a whole category');
+        return null;
+      }
+
+      const key = name.toLowerCase();
+      const existing = context.teamsByName.get(key);
+      if (existing) return { key: existing.id, id: existing.id };
+
+      if (!plan.newTeams.some(team => team.key === key)) {
+        plan.newTeams.push({ key, nama_club: name, wilayah: cellText(row.wilayah) || null });
+      }
+
+      return { key, id: null };
+    };
+
+    rows.forEach(row => {
+      const rowErrors = [];
+      const fail = (field, message) => rowErrors.push({ row: row.baris, field, message });
+
+      const tipe = (cellText(row.tipe) || ROW_TYPES.PLAYER).toLowerCase();
+      if (!Object.values(ROW_TYPES).includes(tipe)) {
+        fail('tipe', `Type must be ${Object.values(ROW_TYPES).join(' or ')}`);
+      }
+
+      const nama = cellText(row.nama);
+      if (!nama) fail('nama', 'Name is required');
+
+      const nik = cellText(row.nik) || null;
+      const team = resolveTeam(row, fail);
+
+      if (tipe === ROW_TYPES.PLAYER) {
+        if (!nik) fail('nik', 'NIK is required for players');
+
+        const noPunggung = Number(cellText(row.no_punggung));
+        if (!Number.isInteger(noPunggung) || noPunggung < 1 || noPunggung > 99) {
+          fail('no_punggung', 'Shirt number must be a whole number from 1 to 99');
+        } else if (team) {
+          const key = `${team.key}:${noPunggung}`;
+          if (shirtNumbers.has(key)) {
+            fail('no_punggung', `Shirt number ${noPunggung} is already used by ${shirtNumbers.get(key)}`);
+          } else {
+            shirtNumbers.set(key, `row ${row.baris}`);
+          }
+        }
+
+        // A known NIK reuses that player, so the age check goes by the
+        // date of birth on record
+        const knownPlayer = nik ? context.playersByNik.get(nik) : null;
+        const recordedBirthDate = knownPlayer?.tanggal_lahir
+          ? toSqlDate(new Date(knownPlayer.tanggal_lahir))
+          : null;
+        const birthDate = parseDate(row.tanggal_lahir);
+        if (!birthDate) {
+          fail('tanggal_lahir', 'A valid date of birth (YYYY-MM-DD or DD/MM/YYYY) is required');
+        } else if (recordedBirthDate && toSqlDate(birthDate) !== recordedBirthDate) {
+          fail('tanggal_lahir', `Date of birth does not match the one on record for this NIK (${recordedBirthDate})`);
+        } else {
+          const age = ageOn(birthDate, referenceDate);
+          if (category.usia_min != null && age < category.usia_min) {
+            fail('tanggal_lahir', `Player is ${age}; the category minimum age is ${category.usia_min}`);
+          }
+          if (category.usia_maks != null && age > category.usia_maks) {
+            fail('tanggal_lahir', `Player is ${age}; the category maximum age is ${category.usia_maks}`);
+          }
+        }
+
+        if (nik && niksInCategory.has(nik)) {
+          fail('nik', 'Player is already registered in this category');
+        } else if (nik && importedNiks.has(nik)) {
+          fail('nik', 'Player appears more than once in the file');
+        }
+
+        if (nik) importedNiks.add(nik);
+
+        if (rowErrors.length === 0) {
+          plan.players.push({
+            team,
+            id_pemain: knownPlayer?.id || null,
+            nama_pemain: nama,
+            nik,
+            tanggal_lahir: toSqlDate(birthDate),
+            no_punggung: noPunggung
+          });
+        }
+      } else if (tipe === ROW_TYPES.STAFF) {
+        if (nik && niksInCategory.has(`staff:${nik}`)) {
+          fail('nik', 'Staff member is already registered in this category');
+        } else if (nik && importedNiks.has(`staff:${nik}`)) {
+          fail('nik', 'Staff member appears more than once in the file');
+        }
+
+        if (nik) importedNiks.add(`staff:${nik}`);
+
+        if (rowErrors.length === 0) {
+          plan.staff.push({
+            team,
+            id_staff: (nik && context.staffIdsByNik.get(nik)) || null,
+            nama_staff: nama,
+            nik,
+            jabatan: cellText(row.jabatan) || null
+          });
+        }
+      }
+
+      if (rowErrors.length === 0 && team && !context.registeredTeams.has(team.key)
+        && !plan.registrations.some(registration => registration.key === team.key)) {
+        plan.registrations.push(team);
+      }
+
+      errors.push(...rowErrors);
+    });
+
+    return { errors, plan };
+  }
+
+  async applyPlan(connection, kategoriId, plan) {
+    const teamIds = new Map();
+    const teamId = (team) => team.id ?? teamIds.get(team.key);
+
+    for (const team of plan.newTeams) {
+      const [result] = await connection.query(
+        'INSERT INTO teams (nama_club, wilayah) VALUES (?, ?)',
+        [team.nama_club, team.wilayah]
+      );
+      teamIds.set(team.key, result.insertId);
+    }
+
+    for (const team of plan.registrations) {
+      await connection.query(
+        'INSERT INTO event_teams (id_kategori, id_team) VALUES (?, ?)',
+        [kategoriId, teamId(team)]
+      );
+    }
+
+    for (const player of plan.players) {
+      let playerId = player.id_pemain;
+
+      if (!playerId) {
+        const [result] = await connection.query(
+          'INSERT INTO pemain (nama_pemain, nik, tanggal_lahir) VALUES (?, ?, ?)',
+          [player.nama_pemain, player.nik, player.tanggal_lahir]
+        );
+        playerId = result.insertId;
+      }
+
+      await connection.query(
+        'INSERT INTO pemain_event (id_pemain, id_team, id_kategori, no_punggung) VALUES (?, ?, ?, ?)',
+        [playerId, teamId(player.team), kategoriId, player.no_punggung]
+      );
+    }
+
+    for (const member of plan.staff) {
+      let staffId = member.id_staff;
+
+      if (!staffId) {
+        const [result] = await connection.query(
+          'INSERT INTO staff (nama_staff, nik) VALUES (?, ?)',
+          [member.nama_staff, member.nik]
+        );
+        staffId = result.insertId;
+      }
+
+      await connection.query(
+        'INSERT INTO staff_event (id_staff, id_team, id_kategori, jabatan) VALUES (?, ?, ?, ?)',
+        [staffId, teamId(member.team), kategoriId, member.jabatan]
+      );
+    }
+  }
+}
+
+RosterImportService.MAX_ROWS = MAX_IMPORT_ROWS;
+RosterImportService.readSpreadsheet = readSpreadsheet;
+
+module.exports = RosterImportService;
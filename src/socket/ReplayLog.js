@@ -0,0 +1,155 @@
+// src/socket/ReplayLog.js
+const redis = require('../config/redis');
+
+// Broadcasts kept per room for clients resuming after a dropped connection
+const REPLAY_LIMIT = parseInt(process.env.SOCKET_REPLAY_LIMIT) || 200;
+// Rooms with no broadcast for this long lose their log
+const REPLAY_TTL_MS = (parseInt(process.env.SOCKET_REPLAY_TTL_MINUTES) || 30) * 60 * 1000;
+
+// High-frequency state pushes; they carry the current sequence number but
+// are not logged, the next tick replaces them anyway
+const UNLOGGED_EVENTS = ['match:clock'];
+
+// Full snapshots sent along with some broadcasts (e.g. the match detail
+// with lineups). Logged entries keep only the change itself, such as the
+// event and skor_*; a client that must resync fetches the snapshot anew.
+const SNAPSHOT_FIELDS = ['matchDetail'];
+
+// Broadcasts after lastSeq, or null when some of them are no longer logged
+// (log expired, trimmed, or started after a restart)
+const selectMissed = (seq, events, lastSeq) => {
+  if (seq === null || lastSeq > seq) {
+    return null;
+  }
+
+  const firstSeq = events.length > 0 ? events[0].seq : seq + 1;
+  if (lastSeq < firstSeq - 1) {
+    return null;
+  }
+
+  return events.filter(entry => entry.seq > lastSeq);
+};
+
+// Sequence numbers and recent broadcasts per room. Kept in Redis when it is
+// configured, so every instance numbers a room's broadcasts from the same
+// counter and can replay them; otherwise kept in this process. While Redis
+// is unreachable calls fail fast, and callers send unnumbered updates or
+// ask clients to resync.
+class ReplayLog {
+  constructor() {
+    this.logs = new Map();
+  }
+
+  // Number a broadcast and keep it in the room's log. Sequence numbers are
+  // seeded from the clock so they keep increasing when a log is recreated,
+  // and a client holding an older number is sent to resync.
+  async record(room, event, data) {
+    const now = Date.now();
+
+    if (redis.enabled) {
+      this.assertReady();
+      return await redis.run(this.recordRedis(room, event, data, now));
+    }
+
+    return this.recordMemory(room, event, data, now);
+  }
+
+  // { seq, events } where events is null when the client must resync
+  async getMissed(room, lastSeq) {
+    if (redis.enabled) {
+      this.assertReady();
+      const [seq, entries] = await redis.run(redis.client.multi()
+        .get(this.seqKey(room))
+        .zRange(this.eventsKey(room), 0, -1)
+        .exec());
+
+      const current = seq === null ? null : Number(seq);
+      return { seq: current, events: selectMissed(current, entries.map(entry => JSON.parse(entry)), lastSeq) };
+    }
+
+    const log = this.logs.get(room);
+    return log
+      ? { seq: log.seq, events: selectMissed(log.seq, log.events, lastSeq) }
+      : { seq: null, events: null };
+  }
+
+  recordMemory(room, event, data, now) {
+    let log = this.logs.get(room);
+
+    if (!log) {
+      this.prune(now);
+      log = { seq: now, events: [], updatedAt: now };
+      this.logs.set(room, log);
+    }
+
+    if (UNLOGGED_EVENTS.includes(event)) {
+      return log.seq;
+    }
+
+    log.seq++;
+    log.updatedAt = now;
+    log.events.push(this.buildEntry(log.seq, event, data, now));
+
+    if (log.events.length > REPLAY_LIMIT) {
+      log.events.splice(0, log.events.length - REPLAY_LIMIT);
+    }
+
+    return log.seq;
+  }
+
+  // Entries sit in a sorted set scored by sequence number, so broadcasts
+  // from different instances are replayed in order
+  async recordRedis(room, event, data, now) {
+    const seqKey = this.seqKey(room);
+    const eventsKey = this.eventsKey(room);
+
+    const numbering = redis.client.multi().set(seqKey, String(now), { NX: true, PX: REPLAY_TTL_MS });
+
+    if (UNLOGGED_EVENTS.includes(event)) {
+      const [, seq] = await numbering.get(seqKey).exec();
+      return Number(seq);
+    }
+
+    const [, seq] = await numbering.incr(seqKey).pExpire(seqKey, REPLAY_TTL_MS).exec();
+
+    await redis.client.multi()
+      .zAdd(eventsKey, { score: seq, value: JSON.stringify(this.buildEntry(seq, event, data, now)) })
+      .zRemRangeByRank(eventsKey, 0, -(REPLAY_LIMIT + 1))
+      .pExpire(eventsKey, REPLAY_TTL_MS)
+      .exec();
+
+    return Number(seq);
+  }
+
+  assertReady() {
+    if (!redis.ready) {
+      throw new Error('Redis is not connected');
+    }
+  }
+
+  buildEntry(seq, event, data, now) {
+    const delta = Object.fromEntries(
+      Object.entries(data).filter(([key]) => !SNAPSHOT_FIELDS.includes(key))
+    );
+
+    return { seq, event, data: { ...delta, seq }, timestamp: new Date(now).toISOString() };
+  }
+
+  prune(now) {
+    this.logs.forEach((log, room) => {
+      if (now - log.updatedAt > REPLAY_TTL_MS) {
+        this.logs.delete(room);
+      }
+    });
+  }
+
+  seqKey(room) {
+    return redis.key('replay', room, 'seq');
+  }
+
+  eventsKey(room) {
+    return redis.key('replay', room, 'events');
+  }
+}
+
+module.exports = ReplayLog;
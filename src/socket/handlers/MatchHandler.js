@@ -0,0 +1,224 @@
+// src/socket/handlers/MatchHandler.js
+const { body, validationResult } = require('express-validator');
+const logger = require('../../utils/logger');
+const MatchService = require('../../services/match/MatchService');
+const LiveMatchService = require('../../services/match/LiveMatchService');
+const WebhookService = require('../../services/notification/WebhookService');
+const { SUBMITTABLE_EVENT_TYPES } = require('../../constants/events');
+
+const matchId = body('matchId').isInt().withMessage('Match ID must be an integer');
+
+// Payload rules per operator command, matching the REST endpoints
+const COMMAND_SCHEMAS = {
+  'operator:start_match': [
+    matchId,
+    body('babak').optional().isInt({ min: 1 }).withMessage('Half must be a positive integer')
+  ],
+  'operator:pause_match': [matchId],
+  'operator:resume_match': [matchId],
+  'operator:add_event': [
+    matchId,
+    body('event.id_team').isInt().withMessage('Team ID must be an integer'),
+    body('event.id_pemain').optional({ nullable: true }).isInt().withMessage('Player ID must be an integer'),
+    body('event.jenis').isIn(SUBMITTABLE_EVENT_TYPES).withMessage('Invalid event type'),
+    body('event.menit').isInt({ min: 0 }).withMessage('Minute must be a positive integer'),
+    body('event.babak').optional().isInt({ min: 1 }).withMessage('Half must be a positive integer'),
+    body('event.id_pemain_keluar').optional().isInt().withMessage('Substituted player ID must be an integer'),
+    body('event.id_event_terkait').optional().isInt().withMessage('Related event ID must be an integer')
+  ]
+};
+
+// Match operators score over the socket instead of the REST API. Every
+// command is acknowledged with { success, data, message, errors } and the
+// resulting match state, so the operator console never has to guess.
+class MatchHandler {
+  constructor(io, socketService) {
+    this.io = io;
+    this.socketService = socketService;
+    this.matchService = new MatchService();
+    this.liveMatchService = new LiveMatchService();
+    this.webhookService = new WebhookService();
+
+    this.io.on('connection', (socket) => this.register(socket));
+  }
+
+  register(socket) {
+    this.handle(socket, 'operator:start_match', this.startMatch);
+    this.handle(socket, 'operator:pause_match', this.pauseMatch);
+    this.handle(socket, 'operator:resume_match', this.resumeMatch);
+    this.handle(socket, 'operator:add_event', this.addMatchEvent);
+  }
+
+  // Validate, authorize and run a command, then acknowledge it. Commands
+  // sent without an acknowledgement callback are still applied.
+  handle(socket, command, action) {
+    socket.on(command, async (payload, ack) => {
+      const reply = typeof ack === 'function' ? ack : () => {};
+      const timestamp = () => new Date().toISOString();
+
+      try {
+        const errors = await this.validate(command, payload);
+        if (errors.length > 0) {
+          return reply({ success: false, message: 'Validation failed', errors, timestamp: timestamp() });
+        }
+
+        const denied = await this.authorize(socket, payload.matchId);
+        if (denied) {
+          return reply({ success: false, message: denied, timestamp: timestamp() });
+        }
+
+        const data = await action.call(this, payload, socket.user.id);
+        if (!data) {
+          return reply({
+            success: false,
+            message: 'Command not allowed in the current match state',
+            state: await this.getMatchState(payload.matchId),
+            timestamp: timestamp()
+          });
+        }
+
+        logger.info('Operator command applied', { command, matchId: payload.matchId, userId: socket.user.id });
+
+        return reply({
+          success: true,
+          data,
+          state: await this.getMatchState(payload.matchId),
+          timestamp: timestamp()
+        });
+      } catch (error) {
+        logger.error(`Error handling ${command}:`, error);
+
+        return reply({
+          success: false,
+          message: error.isOperational ? error.message : 'Command failed',
+          timestamp: timestamp()
+        });
+      }
+    });
+  }
+
+  async validate(command, payload) {
+    const req = { body: payload && typeof payload === 'object' ? payload : {} };
+
+    await Promise.all(COMMAND_SCHEMAS[command].map(chain => chain.run(req)));
+
+    return validationResult(req).array().map(err => ({
+      field: err.path,
+      message: err.msg,
+      value: err.value
+    }));
+  }
+
+  // Returns the reason a command is refused, or null when the socket
+  // belongs to the operator assigned to the match
+  async authorize(socket, id) {
+    if (!socket.user) {
+      return 'Authentication required';
+    }
+
+    const match = await this.matchService.getMatchById(id);
+    if (!match) {
+      return 'Match not found';
+    }
+
+    if (!match.id_operator || Number(match.id_operator) !== Number(socket.user.id)) {
+      return 'You are not the assigned operator for this match';
+    }
+
+    return null;
+  }
+
+  // Score and clock after a command, as the console should display them
+  async getMatchState(id) {
+    const match = await this.matchService.getMatchById(id);
+    if (!match) {
+      return null;
+    }
+
+    return {
+      id: match.id,
+      status: match.status,
+      skor_1: match.skor_1,
+      skor_2: match.skor_2,
+      skor_penalti_1: match.skor_penalti_1,
+      skor_penalti_2: match.skor_penalti_2,
+      skor_tampil: match.skor_tampil,
+      clock: await this.liveMatchService.getClock(id)
+    };
+  }
+
+  async startMatch({ matchId: id, babak }, userId) {
+    const match = await this.liveMatchService.startMatch(id, babak, userId);
+    if (!match) {
+      return null;
+    }
+
+    this.emitToMatch(id, 'match:started', {
+      babak: match.clock.babak,
+      clock: match.clock,
+      timestamp: new Date().toISOString()
+    });
+
+    this.webhookService.dispatch('match:started', {
+      babak: match.clock.babak,
+      clock: match.clock
+    }, { matchId: id });
+
+    return { clock: match.clock };
+  }
+
+  async pauseMatch({ matchId: id }, userId) {
+    const match = await this.liveMatchService.pauseMatch(id, userId);
+    if (!match) {
+      return null;
+    }
+
+    this.emitToMatch(id, 'match:paused', {
+      clock: match.clock,
+      timestamp: new Date().toISOString()
+    });
+
+    return { clock: match.clock };
+  }
+
+  async resumeMatch({ matchId: id }, userId) {
+    const match = await this.liveMatchService.resumeMatch(id, userId);
+    if (!match) {
+      return null;
+    }
+
+    this.emitToMatch(id, 'match:resumed', {
+      clock: match.clock,
+      timestamp: new Date().toISOString()
+    });
+
+    return { clock: match.clock };
+  }
+
+  async addMatchEvent({ matchId: id, event: eventData }, userId) {
+    const event = await this.matchService.addMatchEvent(id, { ...eventData, id_match: id }, userId);
+    const matchDetail = await this.matchService.getMatchDetailWithLineup(id);
+
+    this.emitToMatch(id, 'match:event_added', {
+      event,
+      skor_1: matchDetail?.skor_1,
+      skor_2: matchDetail?.skor_2,
+      matchDetail
+    });
+
+    this.webhookService.dispatch('match:event_added', {
+      event,
+      skor_1: matchDetail?.skor_1,
+      skor_2: matchDetail?.skor_2
+    }, { matchId: id });
+
+    return { event };
+  }
+
+  // Broadcast through the socket service so the update is sequenced
+  emitToMatch(id, event, data) {
+    this.socketService.emitToMatch(id, event, data);
+  }
+}
+
+module.exports = MatchHandler;
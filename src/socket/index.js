@@ -1,26 +1,50 @@
 const { Server } = require('socket.io');
+const { createAdapter } = require('@socket.io/redis-adapter');
 const jwt = require('jsonwebtoken');
+const proxyaddr = require('proxy-addr');
 const logger = require('../utils/logger');
+const redis = require('../config/redis');
 const { corsConfig } = require('../config/cors');
+const rateLimitStore = require('../utils/helpers/rateLimitStore');
+const ReplayLog = require('./ReplayLog');
 
 // Socket handlers
 const MatchHandler = require('./handlers/MatchHandler');
 const CategoryHandler = require('./handlers/CategoryHandler');
 const GeneralHandler = require('./handlers/GeneralHandler');
 
+// Connections allowed per client address each minute
+const CONNECTION_LIMIT = 50;
+const CONNECTION_WINDOW_MS = 60000;
+// Minimum time between joins of the same room by one socket
+const JOIN_COOLDOWN_MS = 2000;
+
 class SocketService {
   constructor() {
     this.io = null;
-    this.connections = new Map();
+    this.replayLog = new ReplayLog();
+    this.trustProxy = () => false;
   }
 
-  init(server) {
+  // trustProxy is the app's compiled "trust proxy fn", so sockets see the
+  // same client address as req.ip
+  init(server, { trustProxy } = {}) {
+    if (trustProxy) {
+      this.trustProxy = trustProxy;
+    }
+
     this.io = new Server(server, {
       cors: corsConfig,
       transports: ['websocket', 'polling'],
       allowEIO3: true
     });
 
+    // Broadcasts reach clients connected to any instance
+    if (redis.enabled) {
+      this.io.adapter(createAdapter(redis.client, redis.subscriber, { key: redis.key('socket.io') }));
+      logger.info('🔌 Socket.IO using the Redis adapter');
+    }
+
     this.setupMiddleware();
     this.setupConnectionHandling();
     this.setupEventHandlers();
@@ -30,23 +54,16 @@ class SocketService {
 
   setupMiddleware() {
     // Rate limiting
-    this.io.use((socket, next) => {
-      const clientId = socket.handshake.address;
-      const now = Date.now();
-      
-      if (!this.connections.has(clientId)) {
-        this.connections.set(clientId, { count: 1, lastReset: now });
-      } else {
-        const client = this.connections.get(clientId);
-        if (now - client.lastReset > 60000) {
-          client.count = 1;
-          client.lastReset = now;
-        } else if (client.count >= 50) {
+    this.io.use(async (socket, next) => {
+      try {
+        const { count } = await rateLimitStore.hit(`socket:${this.clientAddress(socket)}`, CONNECTION_WINDOW_MS);
+        if (count > CONNECTION_LIMIT) {
           return next(new Error('Rate limit exceeded'));
-        } else {
-          client.count++;
         }
+      } catch (error) {
+        logger.error('Socket rate limiter store error:', { error: error.message });
       }
+
       next();
     });
 
@@ -67,6 +84,11 @@ class SocketService {
     });
   }
 
+  // Address of the client behind any trusted proxies
+  clientAddress(socket) {
+    return proxyaddr(socket.request, this.trustProxy);
+  }
+
   setupConnectionHandling() {
     this.io.on('connection', (socket) => {
       logger.info(`Client connected: ${socket.id}`);
@@ -77,10 +99,8 @@ class SocketService {
       // Handle room joining with debouncing
       this.handleRoomJoining(socket);
 
-      // Cleanup on disconnect
       socket.on('disconnect', (reason) => {
         logger.info(`Client disconnected: ${socket.id}, reason: ${reason}`);
-        this.cleanupClient(socket);
       });
     });
   }
@@ -89,7 +109,7 @@ class SocketService {
     const joinCooldowns = new Map();
 
     socket.on('join_match', (matchId) => {
-      this.joinWithCooldown(socket, `match_${matchId}`, joinCooldowns, 2000);
+      this.joinWithCooldown(socket, `match_${matchId}`, joinCooldowns, JOIN_COOLDOWN_MS);
     });
 
     socket.on('leave_match', (matchId) => {
@@ -98,13 +118,58 @@ class SocketService {
     });
 
     socket.on('join_category', (categoryId) => {
-      this.joinWithCooldown(socket, `category_${categoryId}`, joinCooldowns, 2000);
+      this.joinWithCooldown(socket, `category_${categoryId}`, joinCooldowns, JOIN_COOLDOWN_MS);
     });
 
     socket.on('leave_category', (categoryId) => {
       socket.leave(`category_${categoryId}`);
       logger.debug(`Socket ${socket.id} left category_${categoryId}`);
     });
+
+    // Reconnecting clients send the last sequence number they saw and get
+    // only the broadcasts they missed
+    socket.on('resume_match', (payload, ack) => {
+      this.resume(socket, `match_${payload?.matchId}`, payload?.lastSeq, ack, joinCooldowns);
+    });
+
+    socket.on('resume_category', (payload, ack) => {
+      this.resume(socket, `category_${payload?.categoryId}`, payload?.lastSeq, ack, joinCooldowns);
+    });
+  }
+
+  // Rejoin a room and replay what was broadcast after lastSeq. When the log
+  // no longer reaches back that far the client is told to resync in full.
+  // Rejoining is subject to the same cooldown as join_*. Replies through the
+  // acknowledgement, or a resume:result event.
+  async resume(socket, room, lastSeq, ack, cooldowns) {
+    const reply = typeof ack === 'function' ? ack : (result) => socket.emit('resume:result', result);
+
+    if (!/^(match|category)_\d+$/.test(room) || !Number.isInteger(lastSeq)) {
+      return reply({ success: false, message: 'A room ID and integer lastSeq are required' });
+    }
+
+    // Joined before reading the log so nothing falls between the replay and
+    // live updates; clients drop anything they already have by seq
+    if (!this.joinWithCooldown(socket, room, cooldowns, JOIN_COOLDOWN_MS)) {
+      return reply({ success: false, message: 'Rejoined too soon; try again shortly' });
+    }
+
+    try {
+      const { seq, events } = await this.replayLog.getMissed(room, lastSeq);
+
+      logger.debug(`Socket ${socket.id} resumed ${room}`, { lastSeq, missed: events ? events.length : 'resync' });
+
+      return reply({
+        success: true,
+        room,
+        seq,
+        resync: events === null,
+        events: events || []
+      });
+    } catch (error) {
+      logger.error(`Error resuming ${room}:`, error);
+      return reply({ success: true, room, seq: null, resync: true, events: [] });
+    }
   }
 
   joinWithCooldown(socket, room, cooldowns, cooldownMs) {
@@ -113,36 +178,42 @@ class SocketService {
 
     if (now - lastJoin < cooldownMs) {
       logger.debug(`Join cooldown active for ${socket.id} -> ${room}`);
-      return;
+      return false;
     }
 
     cooldowns.set(socket.id + room, now);
     socket.join(room);
     logger.debug(`Socket ${socket.id} joined ${room}`);
+    return true;
   }
 
   setupEventHandlers() {
-    this.matchHandler = new MatchHandler(this.io);
+    this.matchHandler = new MatchHandler(this.io, this);
     this.categoryHandler = new CategoryHandler(this.io);
     this.generalHandler = new GeneralHandler(this.io);
   }
 
-  cleanupClient(socket) {
-    // Clean up any client-specific data
-    this.connections.forEach((value, key) => {
-      if (value.socketId === socket.id) {
-        this.connections.delete(key);
-      }
-    });
-  }
-
   // Public methods for emitting events
   emitToMatch(matchId, event, data) {
-    this.io.to(`match_${matchId}`).emit(event, { matchId, ...data });
+    this.emitToRoom(`match_${matchId}`, event, { matchId, ...data });
   }
 
   emitToCategory(categoryId, event, data) {
-    this.io.to(`category_${categoryId}`).emit(event, { categoryId, ...data });
+    this.emitToRoom(`category_${categoryId}`, event, { categoryId, ...data });
+  }
+
+  // Numbered through the replay log; if the log is unreachable the update
+  // still goes out, without a sequence number
+  async emitToRoom(room, event, data) {
+    let seq = null;
+
+    try {
+      seq = await this.replayLog.record(room, event, data);
+    } catch (error) {
+      logger.error(`Error recording ${event} for ${room}:`, error);
+    }
+
+    this.io.to(room).emit(event, { ...data, seq });
   }
 
   emitToAll(event, data) {
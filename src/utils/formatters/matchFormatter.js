@@ -0,0 +1,19 @@
+// src/utils/formatters/matchFormatter.js
+
+// Scoreline of a match, with the shootout when it was decided on
+// penalties, e.g. "1-1 (4-3 pen)"
+const formatScore = (match) => {
+  if (match.skor_1 == null || match.skor_2 == null) {
+    return null;
+  }
+
+  const score = `${match.skor_1}-${match.skor_2}`;
+
+  if (match.skor_penalti_1 == null || match.skor_penalti_2 == null) {
+    return score;
+  }
+
+  return `${score} (${match.skor_penalti_1}-${match.skor_penalti_2} pen)`;
+};
+
+module.exports = { formatScore };
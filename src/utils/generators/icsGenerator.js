@@ -0,0 +1,110 @@
+// src/utils/generators/icsGenerator.js
+const { formatScore } = require('../formatters/matchFormatter');
+
+const DEFAULT_DURATION_MINUTES = 90;
+const PRODUCT_ID = '-//SportScore//Match Schedule//ID';
+
+// Domain part of each event UID; must never change once feeds are
+// subscribed, or calendars will duplicate every match
+const UID_DOMAIN = process.env.ICS_UID_DOMAIN || 'sportscore';
+
+// Escape TEXT values (RFC 5545 section 3.3.11)
+const escapeText = (value) => String(value ?? '')
+  .replace(/\\/g, '\\\\')
+  .replace(/;/g, '\\;')
+  .replace(/,/g, '\\,')
+  .replace(/\r?\n/g, '\\n');
+
+// Fold content lines longer than 75 octets
+const foldLine = (line) => {
+  const chunks = [];
+  let current = '';
+
+  for (const char of line) {
+    const limit = chunks.length === 0 ? 75 : 74;
+    if (Buffer.byteLength(current + char) > limit) {
+      chunks.push(current);
+      current = char;
+    } else {
+      current += char;
+    }
+  }
+
+  chunks.push(current);
+  return chunks.join('\r\n ');
+};
+
+// UTC date-time, e.g. 20250301T130000Z
+const formatDateTime = (value) =>
+  new Date(value).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+
+const matchDurationMinutes = (match) => (match.durasi_babak && match.jumlah_babak
+  ? match.durasi_babak * match.jumlah_babak + (match.buffer_menit || 0)
+  : DEFAULT_DURATION_MINUTES);
+
+// From a team's feed the summary names the opponent; otherwise both teams
+const buildSummary = (match, teamId) => {
+  const team1 = match.team1_name || 'TBD';
+  const team2 = match.team2_name || 'TBD';
+
+  if (teamId && Number(teamId) === match.team_1) return `vs ${team2} (${match.nama_kategori})`;
+  if (teamId && Number(teamId) === match.team_2) return `@ ${team1} (${match.nama_kategori})`;
+
+  return `${team1} vs ${team2} (${match.nama_kategori})`;
+};
+
+const buildEvent = (match, { teamId, now }) => {
+  const start = new Date(match.waktu);
+  const end = new Date(start.getTime() + matchDurationMinutes(match) * 60 * 1000);
+  const score = match.status === 'selesai' ? formatScore(match) : null;
+
+  const description = [
+    match.nama_event,
+    `Category: ${match.nama_kategori}`,
+    match.grup ? `Group ${match.grup}` : null,
+    `${match.team1_name || 'TBD'} vs ${match.team2_name || 'TBD'}`,
+    score ? `Result: ${score}` : null
+  ].filter(Boolean).join('\n');
+
+  const location = [match.nama_venue, match.nama_court, match.alamat_venue].filter(Boolean).join(', ');
+
+  return [
+    'BEGIN:VEVENT',
+    `UID:match-${match.id}@${UID_DOMAIN}`,
+    `DTSTAMP:${formatDateTime(now)}`,
+    `DTSTART:${formatDateTime(start)}`,
+    `DTEND:${formatDateTime(end)}`,
+    `SEQUENCE:${match.revisi_jadwal || 0}`,
+    `SUMMARY:${escapeText(buildSummary(match, teamId))}`,
+    `DESCRIPTION:${escapeText(description)}`,
+    location ? `LOCATION:${escapeText(location)}` : null,
+    `CATEGORIES:${escapeText(match.nama_kategori)}`,
+    `STATUS:${match.status === 'cancelled' ? 'CANCELLED' : 'CONFIRMED'}`,
+    match.updated_at ? `LAST-MODIFIED:${formatDateTime(match.updated_at)}` : null,
+    'END:VEVENT'
+  ].filter(Boolean);
+};
+
+// Build an iCalendar feed from schedule rows (see MatchService.getMatchesBy*).
+// Matches without a kickoff time are left out. Pass teamId to word the
+// summaries from that team's point of view.
+const generateCalendar = (matches, { name, teamId = null } = {}) => {
+  const now = new Date();
+
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    `PRODID:${PRODUCT_ID}`,
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    name ? `X-WR-CALNAME:${escapeText(name)}` : null,
+    ...matches
+      .filter(match => match.waktu)
+      .flatMap(match => buildEvent(match, { teamId, now })),
+    'END:VCALENDAR'
+  ].filter(Boolean);
+
+  return `${lines.map(foldLine).join('\r\n')}\r\n`;
+};
+
+module.exports = { generateCalendar };
@@ -0,0 +1,288 @@
+// src/utils/generators/matchSheetGenerator.js
+const PDFDocument = require('pdfkit');
+
+const MARGIN = 40;
+const ROW_HEIGHT = 16;
+const BLANK_TIMELINE_ROWS = 14;
+
+const EVENT_LABELS = {
+  GOL: 'Goal',
+  GOL_PENALTI: 'Goal (penalty)',
+  BUNUH_DIRI: 'Own goal',
+  KUNING: 'Yellow card',
+  KUNING_KEDUA: 'Second yellow',
+  MERAH: 'Red card'
+};
+
+const SIGNATURES = ['Referee', 'Match commissioner', 'Team 1 official', 'Team 2 official'];
+
+const formatDate = (value) => (value
+  ? new Date(value).toLocaleString('id-ID', { dateStyle: 'long', timeStyle: 'short' })
+  : '-');
+
+const contentWidth = (doc) => doc.page.width - MARGIN * 2;
+
+// Start a new page when the next block does not fit
+const ensureSpace = (doc, height) => {
+  if (doc.y + height > doc.page.height - MARGIN) {
+    doc.addPage();
+  }
+};
+
+const heading = (doc, text) => {
+  ensureSpace(doc, ROW_HEIGHT * 3);
+  doc.moveDown(0.8);
+  doc.font('Helvetica-Bold').fontSize(11).text(text, MARGIN, doc.y);
+  doc.moveDown(0.3);
+};
+
+// Draw a bordered table row; columns are { width, text, align }
+const tableRow = (doc, x, columns, { bold = false } = {}) => {
+  const y = doc.y;
+  let cursor = x;
+
+  doc.font(bold ? 'Helvetica-Bold' : 'Helvetica').fontSize(9);
+
+  columns.forEach(column => {
+    doc.rect(cursor, y, column.width, ROW_HEIGHT).stroke();
+    doc.text(column.text == null ? '' : String(column.text), cursor + 3, y + 4, {
+      width: column.width - 6,
+      height: ROW_HEIGHT - 4,
+      align: column.align || 'left',
+      lineBreak: false,
+      ellipsis: true
+    });
+    cursor += column.width;
+  });
+
+  doc.x = x;
+  doc.y = y + ROW_HEIGHT;
+};
+
+const drawHeader = (doc, sheet) => {
+  const { match } = sheet;
+
+  doc.font('Helvetica-Bold').fontSize(16)
+    .text(sheet.blank ? 'OFFICIAL MATCH SHEET (PRE-MATCH)' : 'OFFICIAL MATCH SHEET', { align: 'center' });
+  doc.moveDown(0.3);
+  doc.font('Helvetica').fontSize(10)
+    .text(`${match.nama_event || '-'} - ${match.nama_kategori || '-'}${match.grup ? ` - Group ${match.grup}` : ''}`, { align: 'center' })
+    .text(`${formatDate(match.waktu)} | ${[match.nama_venue, match.nama_court].filter(Boolean).join(', ') || '-'} | Match #${match.id}`, { align: 'center' });
+
+  doc.moveDown(1);
+
+  const width = contentWidth(doc);
+  const y = doc.y;
+  const score = sheet.score;
+
+  doc.font('Helvetica-Bold').fontSize(14);
+  doc.text(match.team_1.nama || 'TBD', MARGIN, y, { width: width * 0.4, align: 'right' });
+  doc.text(match.team_2.nama || 'TBD', MARGIN + width * 0.6, y, { width: width * 0.4, align: 'left' });
+
+  doc.rect(MARGIN + width * 0.42, y - 4, width * 0.16, 26).stroke();
+  doc.text(score ? `${score.skor_1 ?? 0} - ${score.skor_2 ?? 0}` : '   -   ', MARGIN + width * 0.42, y + 2, {
+    width: width * 0.16,
+    align: 'center'
+  });
+
+  doc.x = MARGIN;
+  doc.y = y + 30;
+
+  if (score && score.skor_tampil && score.skor_tampil.includes('pen')) {
+    doc.font('Helvetica').fontSize(9).text(score.skor_tampil, { align: 'center' });
+  }
+};
+
+const drawScoreByHalf = (doc, sheet) => {
+  heading(doc, 'Score by half');
+
+  const halves = sheet.score
+    ? sheet.score.babak
+    : Array.from({ length: sheet.match.jumlah_babak || 2 }, (_, index) => ({ babak: index + 1 }));
+
+  const width = contentWidth(doc);
+  const labelWidth = width * 0.4;
+  const cellWidth = (width - labelWidth) / (halves.length + 1);
+
+  const halfLabel = (half) => (half.perpanjangan_waktu ? `ET ${half.babak}` : `Half ${half.babak}`);
+
+  tableRow(doc, MARGIN, [
+    { width: labelWidth, text: 'Team' },
+    ...halves.map(half => ({ width: cellWidth, text: halfLabel(half), align: 'center' })),
+    { width: cellWidth, text: 'Final', align: 'center' }
+  ], { bold: true });
+
+  ['team_1', 'team_2'].forEach((team, index) => {
+    const field = index === 0 ? 'skor_1' : 'skor_2';
+
+    tableRow(doc, MARGIN, [
+      { width: labelWidth, text: sheet.match[team].nama },
+      ...halves.map(half => ({ width: cellWidth, text: half[field], align: 'center' })),
+      { width: cellWidth, text: sheet.score ? sheet.score[field] : '', align: 'center' }
+    ]);
+  });
+};
+
+// Both squads side by side: starters first, then substitutes. The blank
+// sheet leaves the start and substitute columns for the team to tick.
+const drawSquads = (doc, sheet) => {
+  heading(doc, sheet.blank ? 'Registered squads' : 'Lineups');
+
+  const columnWidth = (contentWidth(doc) - 10) / 2;
+  const numberWidth = 30;
+  const markWidth = 34;
+  const nameWidth = columnWidth - numberWidth - markWidth * 2;
+
+  const ordered = (players) => [...players].sort((a, b) =>
+    (b.is_starting ? 1 : 0) - (a.is_starting ? 1 : 0) || (a.no_punggung || 0) - (b.no_punggung || 0)
+  );
+
+  const teams = [ordered(sheet.players.team_1), ordered(sheet.players.team_2)];
+  const rows = Math.max(teams[0].length, teams[1].length);
+
+  ensureSpace(doc, (rows + 2) * ROW_HEIGHT + 20);
+  const startY = doc.y;
+
+  ['team_1', 'team_2'].forEach((team, index) => {
+    const x = MARGIN + index * (columnWidth + 10);
+    doc.y = startY;
+
+    doc.font('Helvetica-Bold').fontSize(10).text(sheet.match[team].nama || 'TBD', x, doc.y, { width: columnWidth });
+    doc.moveDown(0.2);
+
+    tableRow(doc, x, [
+      { width: numberWidth, text: 'No', align: 'center' },
+      { width: nameWidth, text: 'Player' },
+      { width: markWidth, text: 'Start', align: 'center' },
+      { width: markWidth, text: 'GK', align: 'center' }
+    ], { bold: true });
+
+    for (let i = 0; i < rows; i++) {
+      const player = teams[index][i];
+
+      tableRow(doc, x, [
+        { width: numberWidth, text: player?.no_punggung, align: 'center' },
+        { width: nameWidth, text: player?.nama_pemain },
+        { width: markWidth, text: !sheet.blank && player?.is_starting ? 'X' : '', align: 'center' },
+        { width: markWidth, text: !sheet.blank && player?.is_kiper ? 'X' : '', align: 'center' }
+      ]);
+    }
+  });
+
+  doc.x = MARGIN;
+
+  heading(doc, 'Staff');
+
+  const staffRows = Math.max(sheet.staff.team_1.length, sheet.staff.team_2.length, 1);
+  const staffY = doc.y;
+
+  ['team_1', 'team_2'].forEach((team, index) => {
+    const x = MARGIN + index * (columnWidth + 10);
+    doc.y = staffY;
+
+    for (let i = 0; i < staffRows; i++) {
+      tableRow(doc, x, [{ width: columnWidth, text: sheet.staff[team][i]?.nama_staff }]);
+    }
+  });
+
+  doc.x = MARGIN;
+};
+
+const drawTimeline = (doc, sheet) => {
+  heading(doc, 'Goals and cards');
+
+  const width = contentWidth(doc);
+  const columns = [width * 0.1, width * 0.3, width * 0.4, width * 0.2];
+
+  tableRow(doc, MARGIN, [
+    { width: columns[0], text: 'Min', align: 'center' },
+    { width: columns[1], text: 'Team' },
+    { width: columns[2], text: 'Player' },
+    { width: columns[3], text: 'Event' }
+  ], { bold: true });
+
+  const teamName = (teamId) => (teamId === sheet.match.team_1.id
+    ? sheet.match.team_1.nama
+    : sheet.match.team_2.nama);
+
+  const rows = sheet.blank
+    ? Array.from({ length: BLANK_TIMELINE_ROWS }, () => null)
+    : sheet.timeline;
+
+  rows.forEach(event => {
+    ensureSpace(doc, ROW_HEIGHT);
+
+    tableRow(doc, MARGIN, [
+      { width: columns[0], text: event?.menit, align: 'center' },
+      { width: columns[1], text: event ? teamName(event.id_team) : '' },
+      { width: columns[2], text: event ? [event.no_punggung, event.nama_pemain].filter(v => v != null).join('. ') : '' },
+      { width: columns[3], text: event ? EVENT_LABELS[event.jenis] || event.jenis : '' }
+    ]);
+  });
+};
+
+const drawShootout = (doc, sheet) => {
+  if (!sheet.shootout) return;
+
+  heading(doc, `Penalty shootout (${sheet.shootout.skor_penalti_1} - ${sheet.shootout.skor_penalti_2})`);
+
+  const width = contentWidth(doc);
+  const columns = [width * 0.1, width * 0.35, width * 0.35, width * 0.2];
+
+  sheet.shootout.kicks.forEach(kick => {
+    ensureSpace(doc, ROW_HEIGHT);
+
+    tableRow(doc, MARGIN, [
+      { width: columns[0], text: kick.urutan, align: 'center' },
+      { width: columns[1], text: kick.id_team === sheet.match.team_1.id ? sheet.match.team_1.nama : sheet.match.team_2.nama },
+      { width: columns[2], text: `${kick.no_punggung}. ${kick.nama_pemain}` },
+      { width: columns[3], text: kick.hasil }
+    ]);
+  });
+};
+
+const drawSignatures = (doc) => {
+  ensureSpace(doc, 110);
+  heading(doc, 'Signatures');
+
+  const boxWidth = (contentWidth(doc) - 30) / SIGNATURES.length;
+  const y = doc.y;
+
+  SIGNATURES.forEach((label, index) => {
+    const x = MARGIN + index * (boxWidth + 10);
+
+    doc.rect(x, y, boxWidth, 60).stroke();
+    doc.font('Helvetica').fontSize(8)
+      .text(label, x, y + 64, { width: boxWidth, align: 'center' })
+      .text('Name: ____________', x, y + 76, { width: boxWidth, align: 'center' });
+  });
+
+  doc.x = MARGIN;
+  doc.y = y + 92;
+};
+
+// Render a match sheet (see MatchReportService.getMatchSheet) as an A4
+// PDF. Returns the document stream; the caller pipes it and calls end().
+const generateMatchSheet = (sheet) => {
+  const doc = new PDFDocument({
+    size: 'A4',
+    margin: MARGIN,
+    info: {
+      Title: `Match sheet #${sheet.match.id}`,
+      Subject: `${sheet.match.team_1.nama || 'TBD'} vs ${sheet.match.team_2.nama || 'TBD'}`
+    }
+  });
+
+  doc.lineWidth(0.5);
+
+  drawHeader(doc, sheet);
+  drawScoreByHalf(doc, sheet);
+  drawSquads(doc, sheet);
+  drawTimeline(doc, sheet);
+  drawShootout(doc, sheet);
+  drawSignatures(doc);
+
+  return doc;
+};
+
+module.exports = { generateMatchSheet };
@@ -0,0 +1,119 @@
+// src/utils/generators/spreadsheetGenerator.js
+const { once } = require('events');
+const ExcelJS = require('exceljs');
+
+// Byte order mark so Excel opens UTF-8 CSV files with the right encoding
+const UTF8_BOM = '\uFEFF';
+
+const formatCsvValue = (value) => {
+  if (value == null) return '';
+  if (value instanceof Date) return value.toISOString();
+
+  let text = String(value);
+
+  // Keep spreadsheet apps from evaluating text cells as formulas
+  if (typeof value === 'string' && /^[=+\-@]/.test(text)) {
+    text = `'${text}`;
+  }
+
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// A closed output never drains, so wait for whichever comes first
+const waitForDrain = async (output) => {
+  const controller = new AbortController();
+
+  try {
+    await Promise.race([
+      once(output, 'drain', { signal: controller.signal }),
+      once(output, 'close', { signal: controller.signal })
+    ]);
+  } finally {
+    controller.abort();
+  }
+};
+
+const writeLine = async (output, line) => {
+  if (!output.write(line) && !output.destroyed) {
+    await waitForDrain(output);
+  }
+};
+
+// exceljs settles a commit on the output's finish, which a destroyed output
+// never emits, so also settle on its close (or error)
+const commitWorkbook = async (workbook, output) => {
+  const controller = new AbortController();
+
+  try {
+    await Promise.race([
+      workbook.commit(),
+      once(output, 'close', { signal: controller.signal })
+    ]);
+  } finally {
+    controller.abort();
+  }
+};
+
+// Stop a row stream that was not read to the end, so it releases what it
+// holds (e.g. its database connection)
+const closeRows = (rows) => {
+  if (typeof rows.destroy === 'function' && !rows.destroyed) {
+    rows.destroy();
+  }
+};
+
+// Write rows (an array or async iterable) to output as CSV. Stops early
+// when the output is closed, e.g. the client went away.
+const writeCsv = async (output, columns, rows) => {
+  try {
+    await writeLine(output, `${UTF8_BOM}${columns.map(column => formatCsvValue(column.header)).join(',')}\r\n`);
+
+    for await (const row of rows) {
+      if (output.destroyed) break;
+      await writeLine(output, `${columns.map(column => formatCsvValue(row[column.key])).join(',')}\r\n`);
+    }
+  } finally {
+    closeRows(rows);
+  }
+
+  output.end();
+};
+
+// Write rows to output as a single-sheet XLSX workbook. Rows are committed
+// as they arrive, so the workbook is never held in memory as a whole, and
+// writing waits while the output is backed up. Stops early when the output
+// is closed.
+const writeXlsx = async (output, { title, columns }, rows) => {
+  const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({ stream: output });
+  const sheet = workbook.addWorksheet(title.slice(0, 31), {
+    views: [{ state: 'frozen', ySplit: 1 }]
+  });
+
+  sheet.columns = columns.map(column => ({
+    header: column.header,
+    key: column.key,
+    width: Math.max(column.header.length + 2, 12)
+  }));
+  sheet.getRow(1).font = { bold: true };
+  sheet.getRow(1).commit();
+
+  try {
+    for await (const row of rows) {
+      if (output.destroyed) break;
+      sheet.addRow(columns.map(column => row[column.key] ?? null)).commit();
+
+      if (output.writableNeedDrain && !output.destroyed) {
+        await waitForDrain(output);
+      }
+    }
+  } finally {
+    closeRows(rows);
+  }
+
+  if (output.destroyed) return;
+
+  sheet.commit();
+  await commitWorkbook(workbook, output);
+};
+
+module.exports = { writeCsv, writeXlsx };
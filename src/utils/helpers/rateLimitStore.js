@@ -0,0 +1,62 @@
+// src/utils/helpers/rateLimitStore.js
+const redis = require('../../config/redis');
+
+// Fixed-window hit counters shared by the HTTP and socket rate limiters.
+// With Redis every instance counts into the same window; otherwise, or
+// while Redis is unreachable, the counters live in this process.
+class RateLimitStore {
+  constructor() {
+    this.windows = new Map();
+    this.lastSweep = Date.now();
+  }
+
+  // Count a hit for key and return { count, resetAt } for its window
+  async hit(key, windowMs) {
+    if (redis.ready) {
+      return await redis.run(this.hitRedis(key, windowMs));
+    }
+
+    return this.hitMemory(key, windowMs);
+  }
+
+  async hitRedis(key, windowMs) {
+    const redisKey = redis.key('ratelimit', key);
+
+    // The first hit of a window creates the key with its expiry
+    const [, count, ttl] = await redis.client.multi()
+      .set(redisKey, '0', { NX: true, PX: windowMs })
+      .incr(redisKey)
+      .pTTL(redisKey)
+      .exec();
+
+    return { count: Number(count), resetAt: Date.now() + Math.max(Number(ttl), 0) };
+  }
+
+  hitMemory(key, windowMs) {
+    const now = Date.now();
+    this.sweep(now, windowMs);
+
+    let entry = this.windows.get(key);
+    if (!entry || entry.resetAt <= now) {
+      entry = { count: 0, resetAt: now + windowMs };
+      this.windows.set(key, entry);
+    }
+
+    entry.count++;
+    return { count: entry.count, resetAt: entry.resetAt };
+  }
+
+  // Drop finished windows now and then, so one-off clients do not pile up
+  sweep(now, windowMs) {
+    if (now - this.lastSweep < windowMs) return;
+
+    this.lastSweep = now;
+    this.windows.forEach((entry, key) => {
+      if (entry.resetAt <= now) {
+        this.windows.delete(key);
+      }
+    });
+  }
+}
+
+module.exports = new RateLimitStore();